@@ -1,11 +1,5 @@
-import { View } from 'react-native';
+import { P2PChatDemo } from '@/components/p2p-chat-demo';
 
-
-export default function TabTwoScreen() {
-  return (
-    <View>
-     
-    </View>
-  );
+export default function ChatScreen() {
+  return <P2PChatDemo />;
 }
-
@@ -0,0 +1,9 @@
+import { Redirect } from 'expo-router';
+
+/**
+ * Target of p2pnexus://join/<publicKey> invite links.
+ * The chat screen reads the invite from the incoming URL and runs the join flow.
+ */
+export default function JoinScreen() {
+  return <Redirect href="/Chat" />;
+}
@@ -0,0 +1,95 @@
+import { P2PAttachment, useP2P } from '@/hooks/use-p2p';
+import { Image } from 'expo-image';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Pressable, StyleSheet, Text } from 'react-native';
+
+interface MessageAttachmentProps {
+  p2p: ReturnType<typeof useP2P>;
+  chatId: string;
+  messageId: string;
+  index: number;
+  attachment: P2PAttachment;
+}
+
+export function formatSize(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * An attachment of a chat message
+ * Images are downloaded as soon as they are shown; other files on tap.
+ */
+export function MessageAttachment({
+  p2p,
+  chatId,
+  messageId,
+  index,
+  attachment,
+}: MessageAttachmentProps) {
+  const [path, setPath] = useState<string | null>(null);
+  const [progress, setProgress] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const isImage = attachment.mime.startsWith('image/');
+
+  useEffect(() => {
+    return p2p.onAttachmentProgress((event) => {
+      if (event.messageId === messageId && event.index === index) {
+        setProgress(event.total ? event.loaded / event.total : 1);
+      }
+    });
+  }, [p2p, messageId, index]);
+
+  const download = useCallback(async () => {
+    setError(null);
+    try {
+      setPath(await p2p.fetchAttachment(chatId, messageId, index));
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  }, [p2p, chatId, messageId, index]);
+
+  useEffect(() => {
+    if (isImage) download();
+  }, [isImage, download]);
+
+  if (isImage && path) {
+    return (
+      <Image
+        source={{ uri: `file://${path}` }}
+        style={styles.image}
+        contentFit="cover"
+      />
+    );
+  }
+
+  let status = formatSize(attachment.size);
+  if (progress !== null) status = `${Math.round(progress * 100)}%`;
+  else if (error) status = `failed: ${error}`;
+  else if (path) status = 'downloaded';
+
+  return (
+    <Pressable onPress={download} disabled={progress !== null}>
+      <Text style={styles.file}>
+        📎 {attachment.name} ({status})
+      </Text>
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  image: {
+    width: 200,
+    height: 150,
+    borderRadius: 4,
+    marginVertical: 4,
+  },
+  file: {
+    fontSize: 12,
+    color: '#007AFF',
+    marginVertical: 2,
+  },
+});
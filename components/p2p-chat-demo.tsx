@@ -1,14 +1,54 @@
-import { P2PMessage, useP2P } from '@/hooks/use-p2p';
-import React, { useEffect, useState } from 'react';
-import { Alert, Button, ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import { useInviteLink } from '@/hooks/use-invite-link';
+import { formatSize, MessageAttachment } from '@/components/message-attachment';
+import { VoiceNote } from '@/components/voice-note';
+import { useOutbox } from '@/hooks/use-outbox';
+import { usePeers } from '@/hooks/use-peers';
+import { applyReceipt, P2PAttachment, P2PChatInfo, P2PMessage, useP2P } from '@/hooks/use-p2p';
+import { useVoiceRecorder } from '@/hooks/use-voice-recorder';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Alert, AppState, Button, ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+
+const PAGE_SIZE = 50;
 
 export function P2PChatDemo() {
   const p2p = useP2P();
+  const outbox = useOutbox(p2p);
   const [chatId] = useState('demo-chat');
   const [messageText, setMessageText] = useState('');
   const [messages, setMessages] = useState<P2PMessage[]>([]);
-  const [chatInfo, setChatInfo] = useState<any>(null);
+  const [hasEarlier, setHasEarlier] = useState(false);
+  const [attachments, setAttachments] = useState<P2PAttachment[]>([]);
+  const [typingPeers, setTypingPeers] = useState<string[]>([]);
+  const [chatInfo, setChatInfo] = useState<P2PChatInfo | null>(null);
+  const { peers } = usePeers(p2p, chatInfo ? chatId : null);
   const [username] = useState(`User-${Math.random().toString(36).substr(2, 4)}`);
+  const invite = useInviteLink();
+  const recorder = useVoiceRecorder();
+  const handledInviteRef = useRef<string | null>(null);
+  const markedReadRef = useRef<string | null>(null);
+
+  // Latest page first; older pages are loaded on demand
+  const loadLatestMessages = useCallback(async () => {
+    const page = await p2p.getMessages(chatId, { limit: PAGE_SIZE, reverse: true });
+    setMessages(page.messages.reverse());
+    setHasEarlier(page.hasMore);
+  }, [p2p, chatId]);
+
+  const handleLoadEarlier = async () => {
+    if (messages.length === 0) return;
+
+    try {
+      const page = await p2p.getMessages(chatId, {
+        before: messages[0].id,
+        limit: PAGE_SIZE,
+        reverse: true,
+      });
+      setMessages(prev => [...page.messages.reverse(), ...prev]);
+      setHasEarlier(page.hasMore);
+    } catch (error: any) {
+      Alert.alert('Error', error.message);
+    }
+  };
 
   useEffect(() => {
     if (!p2p.isReady || p2p.isInitialized) return;
@@ -17,13 +57,23 @@ export function P2PChatDemo() {
     const init = async () => {
       try {
         await p2p.initialize();
+
+        // Pick up the demo chat again if it was restored from the registry
+        const chats = await p2p.listChats();
+        if (chats.some(chat => chat.chatId === chatId && chat.loaded)) {
+          setChatInfo(await p2p.getChatInfo(chatId));
+          await p2p.watchMessages(chatId, (message) => {
+            console.log('Received message via watcher:', message);
+          });
+          await loadLatestMessages();
+        }
       } catch (error) {
         console.error('Failed to initialize P2P:', error);
       }
     };
 
     init();
-  }, [p2p]);
+  }, [p2p, chatId, loadLatestMessages]);
 
   // Subscribe to message received events
   useEffect(() => {
@@ -37,6 +87,106 @@ export function P2PChatDemo() {
     return unsubscribe;
   }, [p2p, chatId]);
 
+  // Edits, deletions and reactions replace the message in place
+  useEffect(() => {
+    const unsubscribe = p2p.onMessageUpdated((data) => {
+      if (data.chatId === chatId) {
+        setMessages(prev =>
+          prev.map(msg => (msg.id === data.message.id ? data.message : msg))
+        );
+      }
+    });
+
+    return unsubscribe;
+  }, [p2p, chatId]);
+
+  // Bans, kicks and role changes hide or show messages anywhere in the chat
+  useEffect(() => {
+    const unsubscribe = p2p.onMessagesReset((data) => {
+      if (data.chatId === chatId) {
+        loadLatestMessages().catch((error) => {
+          console.error('Failed to reload messages:', error);
+        });
+      }
+    });
+
+    return unsubscribe;
+  }, [p2p, chatId, loadLatestMessages]);
+
+  // Receipts move the sent/delivered/read state of the messages they cover
+  useEffect(() => {
+    const unsubscribe = p2p.onReceiptUpdated((receipt) => {
+      if (receipt.chatId === chatId) {
+        setMessages(prev => prev.map(msg => applyReceipt(msg, receipt)));
+      }
+    });
+
+    return unsubscribe;
+  }, [p2p, chatId]);
+
+  // Metadata edited by any member shows up everywhere
+  useEffect(() => {
+    const unsubscribe = p2p.onChatUpdated((update) => {
+      if (update.chatId === chatId) {
+        setChatInfo(prev => prev && { ...prev, metadata: update.metadata });
+      }
+    });
+
+    return unsubscribe;
+  }, [p2p, chatId]);
+
+  // Everything shown counts as read
+  const lastMessageId = messages.length > 0 ? messages[messages.length - 1].id : null;
+  const { markRead } = p2p;
+  useEffect(() => {
+    if (!lastMessageId) return;
+
+    // markRead follows the rpc object, which changes with every event
+    const marked = `${chatId}:${lastMessageId}`;
+    if (markedReadRef.current === marked) return;
+    markedReadRef.current = marked;
+
+    markRead(chatId, lastMessageId).catch((error) => {
+      markedReadRef.current = null;
+      console.error('Failed to mark messages read:', error);
+    });
+  }, [markRead, chatId, lastMessageId]);
+
+  // Peers typing in the demo chat; the backend expires stale signals
+  useEffect(() => {
+    const unsubscribe = p2p.onTypingChanged((data) => {
+      if (data.chatId !== chatId) return;
+
+      setTypingPeers(prev =>
+        data.typing
+          ? [...prev.filter(peer => peer !== data.peer), data.peer]
+          : prev.filter(peer => peer !== data.peer)
+      );
+    });
+
+    return unsubscribe;
+  }, [p2p, chatId]);
+
+  // Show as away while the app is in the background
+  useEffect(() => {
+    if (!p2p.isInitialized) return;
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      p2p.setPresence(state === 'active' ? 'online' : 'away').catch((error) => {
+        console.error('Failed to set presence:', error);
+      });
+    });
+
+    return () => subscription.remove();
+  }, [p2p]);
+
+  const handleChangeText = (text: string) => {
+    setMessageText(text);
+    p2p.setTyping(chatId, text.length > 0).catch((error) => {
+      console.error('Failed to send typing signal:', error);
+    });
+  };
+
   const handleCreateChat = async () => {
     try {
       const info = await p2p.createChat(chatId, {
@@ -44,7 +194,7 @@ export function P2PChatDemo() {
         createdBy: username,
       });
       setChatInfo(info);
-      Alert.alert('Success', `Chat created!\n\nShare this key:\n${info.discoveryKey}`);
+      Alert.alert('Success', `Chat created!\n\nShare this invite:\n${info.invite}`);
       
       // Start watching for messages
       await p2p.watchMessages(chatId, (message) => {
@@ -52,46 +202,110 @@ export function P2PChatDemo() {
       });
 
       // Load existing messages
-      const msgs = await p2p.getMessages(chatId);
-      setMessages(msgs);
+      await loadLatestMessages();
     } catch (error: any) {
       Alert.alert('Error', error.message);
     }
   };
 
+  const joinWithInvite = async (inviteLink: string) => {
+    try {
+      const info = await p2p.joinChat(chatId, inviteLink, {
+        joinedBy: username,
+      });
+      setChatInfo(info);
+      Alert.alert('Success', 'Joined chat!');
+
+      // Start watching for messages
+      await p2p.watchMessages(chatId, (message) => {
+        console.log('Received message via watcher:', message);
+      });
+
+      // Load existing messages
+      await loadLatestMessages();
+    } catch (error: any) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // Open the join flow when the app is launched from an invite link
+  useEffect(() => {
+    if (!invite || !p2p.isInitialized || handledInviteRef.current === invite.url) {
+      return;
+    }
+
+    handledInviteRef.current = invite.url;
+    Alert.alert(
+      'Join Chat',
+      `Join ${invite.name ? `"${invite.name}"` : 'this chat'}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Join', onPress: () => joinWithInvite(invite.url) },
+      ]
+    );
+  });
+
   const handleJoinChat = async () => {
     Alert.prompt(
       'Join Chat',
-      'Enter discovery key:',
-      async (key) => {
-        try {
-          const info = await p2p.joinChat(chatId, key, {
-            joinedBy: username,
-          });
-          setChatInfo(info);
-          Alert.alert('Success', 'Joined chat!');
+      'Enter invite link:',
+      (inviteLink) => joinWithInvite(inviteLink)
+    );
+  };
 
-          // Start watching for messages
-          await p2p.watchMessages(chatId, (message) => {
-            console.log('Received message via watcher:', message);
-          });
+  // Messages go through the outbox, so they can be written before the chat
+  // is ready and survive the app closing
+  const handleSendMessage = () => {
+    if (!messageText.trim() && attachments.length === 0) return;
 
-          // Load existing messages
-          const msgs = await p2p.getMessages(chatId);
-          setMessages(msgs);
-        } catch (error: any) {
-          Alert.alert('Error', error.message);
-        }
+    outbox.enqueue({
+      chatId,
+      text: messageText,
+      author: username,
+      authorId: username,
+      attachments,
+    });
+    setMessageText('');
+    setAttachments([]);
+  };
+
+  // There is no file picker in the demo, so files are attached by path
+  const handleAttach = () => {
+    Alert.prompt('Attach File', 'Enter a file path:', async (path) => {
+      try {
+        const attachment = await p2p.attachFile(chatId, path);
+        setAttachments(prev => [...prev, attachment]);
+      } catch (error: any) {
+        Alert.alert('Error', error.message);
       }
-    );
+    });
+  };
+
+  // Tap to start recording, tap again to send the voice note
+  const handleRecord = async () => {
+    try {
+      if (!recorder.isRecording) {
+        await recorder.start();
+        return;
+      }
+
+      const note = await recorder.stop();
+      if (note) {
+        await p2p.sendVoiceNote(chatId, note, username, username);
+      }
+    } catch (error: any) {
+      Alert.alert('Error', error.message);
+    }
   };
 
-  const handleSendMessage = async () => {
-    if (!messageText.trim()) return;
+  // Long press toggles a thumbs up on a message
+  const handleReact = async (msg: P2PMessage) => {
+    if (msg.deleted) return;
 
     try {
-      await p2p.sendMessage(chatId, messageText, username, username);
-      setMessageText('');
+      const identity = await p2p.getIdentity();
+      const reacted = (msg.reactions['👍'] || []).includes(identity.publicKey);
+      await p2p.react(chatId, msg.id, '👍', reacted);
     } catch (error: any) {
       Alert.alert('Error', error.message);
     }
@@ -101,9 +315,13 @@ export function P2PChatDemo() {
     try {
       const stats = await p2p.getStats();
       const peers = await p2p.getPeers(chatId);
+      // Unknown peers are shown by a short prefix of their key
+      const peerNames = peers.map(
+        (peer) => peer.name || peer.publicKey.slice(0, 8)
+      );
       Alert.alert(
         'Stats',
-        `Chats: ${stats.totalChats}\nPeers: ${peers.length}\nMessages: ${stats.totalMessages}`
+        `Chats: ${stats.totalChats}\nPeers: ${peers.length} ${peerNames.join(', ')}\nMessages: ${stats.totalMessages}`
       );
     } catch (error: any) {
       Alert.alert('Error', error.message);
@@ -126,8 +344,21 @@ export function P2PChatDemo() {
       {chatInfo && (
         <View style={styles.infoContainer}>
           <Text style={styles.infoLabel}>Chat ID: {chatInfo.chatId}</Text>
-          <Text style={styles.infoLabel}>Messages: {chatInfo.length}</Text>
-          <Text style={styles.infoLabel}>Writable: {chatInfo.writable ? 'Yes' : 'No'}</Text>
+          {chatInfo.metadata?.name && (
+            <Text style={styles.infoLabel}>Name: {chatInfo.metadata.name}</Text>
+          )}
+          {chatInfo.metadata?.topic && (
+            <Text style={styles.infoLabel}>Topic: {chatInfo.metadata.topic}</Text>
+          )}
+          <Text style={styles.infoLabel}>Messages: {chatInfo.messageCount}</Text>
+          <Text style={styles.infoLabel}>Peers: {peers.length}</Text>
+          {peers.map((peer) => (
+            <Text key={peer.publicKey} style={styles.peerLabel}>
+              {peer.name || peer.publicKey.slice(0, 8)} · {peer.connectionType ?? '?'}
+              {peer.latency !== null ? ` · ${peer.latency} ms` : ''}
+              {` · ↑${formatSize(peer.bytesSent)} ↓${formatSize(peer.bytesReceived)}`}
+            </Text>
+          ))}
         </View>
       )}
 
@@ -150,29 +381,127 @@ export function P2PChatDemo() {
       </View>
 
       <ScrollView style={styles.messagesContainer}>
-        {messages.map((msg, index) => (
-          <View key={index} style={styles.message}>
-            <Text style={styles.messageAuthor}>{msg.author}:</Text>
-            <Text style={styles.messageText}>{msg.text}</Text>
+        {hasEarlier && (
+          <Button title="Load earlier messages" onPress={handleLoadEarlier} />
+        )}
+        {messages.map((msg) => (
+          <View key={msg.id} style={styles.message}>
+            <Text style={styles.messageAuthor}>
+              {msg.author}
+              {msg.verified ? '' : ' (unverified)'}:
+            </Text>
+            {msg.quoted && (
+              <Text style={styles.messageQuote} numberOfLines={1}>
+                {msg.quoted.author}: {msg.quoted.deleted ? 'Message deleted' : msg.quoted.text}
+              </Text>
+            )}
+            {msg.voice ? (
+              <VoiceNote
+                p2p={p2p}
+                chatId={chatId}
+                messageId={msg.id}
+                voice={msg.voice}
+              />
+            ) : (
+              <Text
+                style={[styles.messageText, msg.deleted && styles.messageDeleted]}
+                onLongPress={() => handleReact(msg)}>
+                {msg.deleted ? 'Message deleted' : msg.text}
+              </Text>
+            )}
+            {msg.kind !== 'voice' && msg.attachments.map((attachment, index) => (
+              <MessageAttachment
+                key={`${attachment.hash}-${index}`}
+                p2p={p2p}
+                chatId={chatId}
+                messageId={msg.id}
+                index={index}
+                attachment={attachment}
+              />
+            ))}
+            {Object.keys(msg.reactions).length > 0 && (
+              <Text style={styles.messageReactions}>
+                {Object.entries(msg.reactions)
+                  .map(([emoji, authors]) => `${emoji} ${authors.length}`)
+                  .join('  ')}
+              </Text>
+            )}
             <Text style={styles.messageTime}>
               {new Date(msg.timestamp).toLocaleTimeString()}
+              {msg.edited ? ' (edited)' : ''}
+              {msg.author === username
+                ? { sent: ' ✓', delivered: ' ✓✓', read: ' ✓✓ read' }[msg.status]
+                : ''}
+              {msg.replyCount > 0
+                ? ` · ${msg.replyCount} ${msg.replyCount === 1 ? 'reply' : 'replies'}`
+                : ''}
             </Text>
           </View>
         ))}
+        {outbox.entries
+          .filter(entry => entry.chatId === chatId)
+          .map(entry => (
+            <View key={entry.clientId} style={[styles.message, styles.messageQueued]}>
+              <Text style={styles.messageAuthor}>{entry.author}:</Text>
+              <Text style={styles.messageText}>{entry.text}</Text>
+              <Text style={styles.messageTime}>
+                {entry.status === 'failed'
+                  ? `Failed: ${entry.error}`
+                  : entry.status === 'waiting'
+                    ? 'Waiting for the chat...'
+                    : 'Sending...'}
+              </Text>
+              {entry.status !== 'sending' && (
+                <View style={styles.buttonRow}>
+                  <Button title="Retry" onPress={() => outbox.retry(entry.clientId)} />
+                  <Button title="Cancel" onPress={() => outbox.cancel(entry.clientId)} />
+                </View>
+              )}
+            </View>
+          ))}
       </ScrollView>
 
+      {typingPeers.length > 0 && (
+        <Text style={styles.typingText}>
+          {typingPeers.length === 1
+            ? `${typingPeers[0].slice(0, 8)} is typing...`
+            : `${typingPeers.length} people are typing...`}
+        </Text>
+      )}
+
       <View style={styles.inputContainer}>
         <TextInput
           style={styles.input}
           value={messageText}
-          onChangeText={setMessageText}
-          placeholder="Type a message..."
-          editable={p2p.isInitialized && !!chatInfo}
+          onChangeText={handleChangeText}
+          placeholder={
+            attachments.length > 0
+              ? `${attachments.length} attached, add a caption...`
+              : 'Type a message...'
+          }
+          editable={!p2p.isInitialized || !!chatInfo}
+        />
+        <Button
+          title="Attach"
+          onPress={handleAttach}
+          disabled={!p2p.isInitialized || !chatInfo}
+        />
+        <Button
+          title={
+            recorder.isRecording
+              ? `Stop ${Math.round(recorder.duration / 1000)}s`
+              : 'Record'
+          }
+          onPress={handleRecord}
+          disabled={!p2p.isInitialized || !chatInfo}
         />
         <Button 
           title="Send" 
           onPress={handleSendMessage}
-          disabled={!p2p.isInitialized || !chatInfo || !messageText.trim()}
+          disabled={
+            (p2p.isInitialized && !chatInfo) ||
+            (!messageText.trim() && attachments.length === 0)
+          }
         />
       </View>
 
@@ -214,6 +543,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginVertical: 2,
   },
+  peerLabel: {
+    fontSize: 11,
+    color: '#666',
+    marginLeft: 8,
+  },
   buttonRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -241,10 +575,35 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginVertical: 4,
   },
+  messageDeleted: {
+    fontStyle: 'italic',
+    color: '#999',
+  },
+  messageQueued: {
+    opacity: 0.6,
+  },
+  messageQuote: {
+    fontSize: 12,
+    color: '#666',
+    borderLeftWidth: 2,
+    borderLeftColor: '#ccc',
+    paddingLeft: 6,
+    marginTop: 4,
+  },
+  messageReactions: {
+    fontSize: 12,
+    marginBottom: 4,
+  },
   messageTime: {
     fontSize: 10,
     color: '#666',
   },
+  typingText: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 4,
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,117 @@
+import { P2PVoice, useP2P } from '@/hooks/use-p2p';
+import { useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Pressable, StyleSheet, Text, View } from 'react-native';
+
+interface VoiceNoteProps {
+  p2p: ReturnType<typeof useP2P>;
+  chatId: string;
+  messageId: string;
+  voice: P2PVoice;
+}
+
+function formatDuration(ms: number) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * A voice message: its waveform, drawn from the message metadata, and a play
+ * button. The recording is streamed from the backend's media server, so it
+ * starts playing before it has fully replicated.
+ */
+export function VoiceNote({ p2p, chatId, messageId, voice }: VoiceNoteProps) {
+  const [url, setUrl] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const player = useAudioPlayer(url);
+  const status = useAudioPlayerStatus(player);
+
+  useEffect(() => {
+    if (status.didJustFinish) {
+      player.seekTo(0);
+    }
+  }, [player, status.didJustFinish]);
+
+  const toggle = useCallback(async () => {
+    setError(null);
+
+    if (status.playing) {
+      player.pause();
+      return;
+    }
+    if (url) {
+      player.play();
+      return;
+    }
+
+    try {
+      setUrl(await p2p.getAttachmentUrl(chatId, messageId));
+    } catch (err: any) {
+      setError(err.message);
+    }
+  }, [p2p, chatId, messageId, player, status.playing, url]);
+
+  // Start playing once the player has loaded the URL it was given
+  useEffect(() => {
+    if (url && status.isLoaded) {
+      player.play();
+    }
+  }, [player, url, status.isLoaded]);
+
+  const played = voice.duration
+    ? Math.min(1, (status.currentTime * 1000) / voice.duration)
+    : 0;
+
+  return (
+    <Pressable onPress={toggle} style={styles.container}>
+      <Text style={styles.button}>{status.playing ? '⏸' : '▶️'}</Text>
+      <View style={styles.waveform}>
+        {voice.peaks.map((peak, index) => (
+          <View
+            key={index}
+            style={[
+              styles.bar,
+              { height: 2 + peak * 22 },
+              index / voice.peaks.length < played && styles.barPlayed,
+            ]}
+          />
+        ))}
+      </View>
+      <Text style={styles.duration}>
+        {error ? 'failed' : formatDuration(voice.duration)}
+      </Text>
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  button: {
+    fontSize: 18,
+    marginRight: 8,
+  },
+  waveform: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 24,
+    flexShrink: 1,
+  },
+  bar: {
+    width: 2,
+    marginRight: 1,
+    borderRadius: 1,
+    backgroundColor: '#999',
+  },
+  barPlayed: {
+    backgroundColor: '#007AFF',
+  },
+  duration: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 8,
+  },
+});
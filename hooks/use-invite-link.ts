@@ -0,0 +1,81 @@
+import * as Linking from 'expo-linking';
+import { useMemo } from 'react';
+
+export const INVITE_SCHEME = 'p2pnexus';
+
+export interface ChatInvite {
+  /** Full invite link, passed as-is to p2p.joinChat */
+  url: string;
+  /** Hex-encoded public key of the chat's bootstrap core */
+  publicKey: string;
+  name?: string;
+  version: number;
+}
+
+/**
+ * Read key=value pairs from the #fragment of a link
+ */
+function parseFragment(url: string): Record<string, string> {
+  const hashIndex = url.indexOf('#');
+  if (hashIndex === -1) {
+    return {};
+  }
+
+  const params: Record<string, string> = {};
+  for (const pair of url.slice(hashIndex + 1).split('&')) {
+    const [key, value = ''] = pair.split('=');
+    if (key) {
+      params[decodeURIComponent(key)] = decodeURIComponent(
+        value.replace(/\+/g, ' ')
+      );
+    }
+  }
+  return params;
+}
+
+/**
+ * Parse a p2pnexus://join/<publicKey>?v=2#key=...&epoch=...&name=... invite
+ * link; links without a chat key are not invites
+ */
+export function parseInviteLink(url: string): ChatInvite | null {
+  const { scheme, hostname, path, queryParams } = Linking.parse(
+    url.split('#')[0]
+  );
+
+  if (scheme !== INVITE_SCHEME) {
+    return null;
+  }
+
+  // Depending on the platform the action is parsed as hostname or path prefix
+  const segments = [hostname, ...(path || '').split('/')].filter(
+    (segment): segment is string => !!segment
+  );
+  if (segments[0] !== 'join' || !/^[0-9a-fA-F]{64}$/.test(segments[1] || '')) {
+    return null;
+  }
+
+  const version = Number(queryParams?.v || 1);
+  const fragment = parseFragment(url);
+
+  // The chat key and name live in the fragment so they never leave the device
+  if (version < 2 || !/^[0-9a-fA-F]{64}$/.test(fragment.key || '')) {
+    return null;
+  }
+
+  return {
+    url,
+    publicKey: segments[1].toLowerCase(),
+    name: fragment.name,
+    version,
+  };
+}
+
+/**
+ * Returns the invite link the app was opened with (or the latest one tapped
+ * while it was running), or null when the app was opened any other way
+ */
+export function useInviteLink(): ChatInvite | null {
+  const url = Linking.useURL();
+
+  return useMemo(() => (url ? parseInviteLink(url) : null), [url]);
+}
@@ -1,5 +1,5 @@
 import nodejs from 'nodejs-mobile-react-native';
-import { useCallback, useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
 export interface RPCRequest {
   method: string;
@@ -25,6 +25,9 @@ export interface RPCEvent {
 type EventCallback = (event: RPCEvent) => void;
 type RequestCallback = (response: RPCResponse) => void;
 
+// How long calls made while the runtime starts wait for it
+const READY_TIMEOUT = 60000;
+
 export interface NodeJSRPC {
   call: <T = any>(method: string, params?: Record<string, any>) => Promise<T>;
   isReady: boolean;
@@ -37,6 +40,8 @@ export function useNodeJS(): NodeJSRPC {
   const [lastEvent, setLastEvent] = useState<RPCEvent | null>(null);
   
   const listenerRef = useRef<any>(null);
+  const isReadyRef = useRef(false);
+  const readyWaitersRef = useRef<Set<() => void>>(new Set());
   const requestIdCounter = useRef(0);
   const pendingRequestsRef = useRef<Map<string, RequestCallback>>(new Map());
   const eventListenersRef = useRef<Map<string, Set<EventCallback>>>(new Map());
@@ -66,8 +71,14 @@ export function useNodeJS(): NodeJSRPC {
 
     // Special handling for node.ready event
     if (eventType === 'node.ready') {
+      isReadyRef.current = true;
       setIsReady(true);
       console.log('[RPC] Node.js runtime is ready!', msg.data);
+
+      // Send the calls made while the runtime was starting
+      const waiters = Array.from(readyWaitersRef.current);
+      readyWaitersRef.current.clear();
+      waiters.forEach(resolve => resolve());
     }
 
     // Call all registered listeners for this event type
@@ -110,6 +121,7 @@ export function useNodeJS(): NodeJSRPC {
     // Capture refs for cleanup
     const pendingRequests = pendingRequestsRef.current;
     const eventListeners = eventListenersRef.current;
+    const readyWaiters = readyWaitersRef.current;
 
     // Set up message listener
     console.log('[RPC] Setting up message listener...');
@@ -153,22 +165,41 @@ export function useNodeJS(): NodeJSRPC {
       }
       pendingRequests.clear();
       eventListeners.clear();
+      readyWaiters.clear();
     };
   }, [handleRPCResponse, handleRPCEvent]);
 
+  /**
+   * Wait until the Node.js runtime has started
+   */
+  const waitUntilReady = useCallback((): Promise<void> => {
+    if (isReadyRef.current) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const onReady = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        readyWaitersRef.current.delete(onReady);
+        reject(new Error('Node.js runtime not ready yet'));
+      }, READY_TIMEOUT);
+
+      readyWaitersRef.current.add(onReady);
+    });
+  }, []);
+
   /**
    * Make an RPC call to Node.js
+   * Calls made while the runtime is starting are sent once it is ready.
    */
-  const call = useCallback(<T = any>(
+  const call = useCallback(async <T = any>(
     method: string,
     params?: Record<string, any>
   ): Promise<T> => {
-    return new Promise((resolve, reject) => {
-      if (!isReady) {
-        reject(new Error('Node.js runtime not ready yet'));
-        return;
-      }
+    await waitUntilReady();
 
+    return new Promise((resolve, reject) => {
       const requestId = `rpc-${++requestIdCounter.current}-${Date.now()}`;
 
       // Store the callback for this request
@@ -202,7 +233,7 @@ export function useNodeJS(): NodeJSRPC {
         }
       }, 30000); // 30 second timeout
     });
-  }, [isReady]);
+  }, [waitUntilReady]);
 
   /**
    * Subscribe to RPC events
@@ -227,10 +258,11 @@ export function useNodeJS(): NodeJSRPC {
     };
   }, []);
 
-  return {
+  // Hooks built on this one key their callbacks and effects on its identity
+  return useMemo(() => ({
     call,
     isReady,
     on,
     lastEvent,
-  };
+  }), [call, isReady, on, lastEvent]);
 }
@@ -0,0 +1,294 @@
+import { File, Paths } from 'expo-file-system';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { P2PAttachment, useP2P } from './use-p2p';
+
+/** 'waiting' entries wait for their chat to be loaded */
+export type OutboxStatus = 'pending' | 'sending' | 'waiting' | 'failed';
+
+/**
+ * A message waiting to be sent
+ */
+export interface OutboxEntry {
+  /** Id given to the message before sending; sent messages carry it too */
+  clientId: string;
+  chatId: string;
+  text: string;
+  author: string;
+  authorId: string;
+  replyTo?: string;
+  attachments?: P2PAttachment[];
+  mentions?: string[];
+  status: OutboxStatus;
+  /** Failed attempts since the entry was queued or last retried */
+  attempts: number;
+  /** Error of the last failed attempt */
+  error: string | null;
+  /** Earliest time of the next attempt */
+  retryAt: number;
+  createdAt: number;
+}
+
+export interface OutboxMessage {
+  chatId: string;
+  text: string;
+  author: string;
+  authorId: string;
+  replyTo?: string;
+  attachments?: P2PAttachment[];
+  mentions?: string[];
+}
+
+const OUTBOX_FILE = 'outbox.json';
+// Attempts before an entry is marked failed; retry() starts over
+const MAX_ATTEMPTS = 5;
+// Delay before the second attempt, doubled after every failure
+const RETRY_DELAY = 2000;
+
+function outboxFile() {
+  return new File(Paths.document, OUTBOX_FILE);
+}
+
+function createClientId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Durable outbox of messages
+ * Messages are queued with a client id and saved to disk, so they survive
+ * the app closing. They are sent in order per chat once the backend is
+ * initialized; failed sends are retried with backoff and then marked failed
+ * until retried by hand or cancelled. Sends to a chat that is not loaded
+ * yet, e.g. while it is rejoined, do not count as failed; they wait until the
+ * chat is loaded. A chat's later messages wait for the ones queued before
+ * them.
+ */
+export function useOutbox(p2p: ReturnType<typeof useP2P>) {
+  const [entries, setEntries] = useState<OutboxEntry[]>([]);
+  const [loaded, setLoaded] = useState(false);
+  const entriesRef = useRef<OutboxEntry[]>([]);
+  const loadedRef = useRef(false);
+  const flushingRef = useRef(false);
+  const dirtyRef = useRef(false);
+  const retryTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const flushRef = useRef<() => Promise<void>>(async () => {});
+  // Chats loaded after the send of one of their entries started
+  const loadedWhileSendingRef = useRef(new Set<string>());
+
+  const { isInitialized, sendMessage, onChatLoaded } = p2p;
+
+  const save = useCallback(() => {
+    try {
+      const file = outboxFile();
+      if (!file.exists) file.create();
+      file.write(JSON.stringify(entriesRef.current));
+    } catch (error) {
+      console.error('[Outbox] Failed to save:', error);
+    }
+  }, []);
+
+  const update = useCallback((change: (prev: OutboxEntry[]) => OutboxEntry[]) => {
+    entriesRef.current = change(entriesRef.current);
+    setEntries(entriesRef.current);
+
+    // Entries queued before the saved ones are loaded are saved along with them
+    if (loadedRef.current) save();
+  }, [save]);
+
+  const patch = useCallback((clientId: string, fields: Partial<OutboxEntry>) => {
+    update(prev =>
+      prev.map(entry => (entry.clientId === clientId ? { ...entry, ...fields } : entry))
+    );
+  }, [update]);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const file = outboxFile();
+        if (file.exists) {
+          const saved: OutboxEntry[] = JSON.parse(await file.text());
+
+          // Sends cut off by the app closing are attempted again; the client
+          // id keeps them from being sent twice. Chats are loaded again too.
+          update(prev => [
+            ...saved.map(entry =>
+              entry.status === 'sending' || entry.status === 'waiting'
+                ? { ...entry, status: 'pending' as const }
+                : entry
+            ),
+            ...prev,
+          ]);
+        }
+      } catch (error) {
+        console.error('[Outbox] Failed to load:', error);
+      } finally {
+        loadedRef.current = true;
+        save();
+        setLoaded(true);
+      }
+    };
+
+    load();
+  }, [update, save]);
+
+  const sendPending = useCallback(async () => {
+    // Chats with an earlier entry that is not sent yet
+    const blocked = new Set<string>();
+
+    for (const entry of entriesRef.current) {
+      if (blocked.has(entry.chatId)) continue;
+
+      const current = entriesRef.current.find(e => e.clientId === entry.clientId);
+      if (!current) continue; // Cancelled meanwhile
+
+      if (current.status !== 'pending' || current.retryAt > Date.now()) {
+        blocked.add(current.chatId);
+        continue;
+      }
+
+      loadedWhileSendingRef.current.delete(current.chatId);
+      patch(current.clientId, { status: 'sending' });
+
+      try {
+        await sendMessage(current.chatId, current.text, {
+          author: current.author,
+          authorId: current.authorId,
+          replyTo: current.replyTo,
+          attachments: current.attachments,
+          clientId: current.clientId,
+          mentions: current.mentions,
+        });
+        update(prev => prev.filter(e => e.clientId !== current.clientId));
+      } catch (error: any) {
+        blocked.add(current.chatId);
+
+        if (error.code === 'CHAT_NOT_LOADED') {
+          // A chat loaded during the send is not announced again; the flush
+          // started by its event sends the entry on the next pass
+          const status = loadedWhileSendingRef.current.has(current.chatId)
+            ? 'pending'
+            : 'waiting';
+          patch(current.clientId, { status, error: error.message });
+          continue;
+        }
+
+        const attempts = current.attempts + 1;
+        patch(current.clientId, {
+          status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+          attempts,
+          error: error.message,
+          retryAt: Date.now() + RETRY_DELAY * 2 ** (attempts - 1),
+        });
+      }
+    }
+  }, [sendMessage, patch, update]);
+
+  const flush = useCallback(async () => {
+    dirtyRef.current = true;
+    if (!isInitialized || !loadedRef.current || flushingRef.current) return;
+
+    flushingRef.current = true;
+    try {
+      // Entries queued while sending are picked up by another pass
+      while (dirtyRef.current) {
+        dirtyRef.current = false;
+        await sendPending();
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+
+    // Wake up for the next retry
+    if (retryTimerRef.current) clearTimeout(retryTimerRef.current);
+    const next = Math.min(
+      ...entriesRef.current
+        .filter(entry => entry.status === 'pending')
+        .map(entry => entry.retryAt)
+    );
+    if (Number.isFinite(next)) {
+      retryTimerRef.current = setTimeout(
+        () => flushRef.current(),
+        Math.max(0, next - Date.now())
+      );
+    }
+  }, [isInitialized, sendPending]);
+
+  flushRef.current = flush;
+
+  // Send what was queued while the backend was starting
+  useEffect(() => {
+    if (loaded && isInitialized) flushRef.current();
+  }, [loaded, isInitialized]);
+
+  // Send what was waiting for a chat once it is loaded
+  useEffect(() => {
+    return onChatLoaded(({ chatId }) => {
+      loadedWhileSendingRef.current.add(chatId);
+      update(prev =>
+        prev.map(entry =>
+          entry.chatId === chatId && entry.status === 'waiting'
+            ? { ...entry, status: 'pending' as const, error: null }
+            : entry
+        )
+      );
+      flushRef.current();
+    });
+  }, [onChatLoaded, update]);
+
+  useEffect(() => {
+    return () => {
+      if (retryTimerRef.current) clearTimeout(retryTimerRef.current);
+    };
+  }, []);
+
+  /**
+   * Queue a message
+   * @returns The entry's client id
+   */
+  const enqueue = useCallback((message: OutboxMessage): string => {
+    const clientId = createClientId();
+
+    update(prev => [
+      ...prev,
+      {
+        ...message,
+        clientId,
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        retryAt: 0,
+        createdAt: Date.now(),
+      },
+    ]);
+    flushRef.current();
+
+    return clientId;
+  }, [update]);
+
+  /**
+   * Attempt a pending or failed entry again right away
+   */
+  const retry = useCallback((clientId: string) => {
+    patch(clientId, { status: 'pending', attempts: 0, error: null, retryAt: 0 });
+    flushRef.current();
+  }, [patch]);
+
+  /**
+   * Drop an entry that is not being sent
+   * @returns False if the entry is being sent and cannot be cancelled
+   */
+  const cancel = useCallback((clientId: string): boolean => {
+    const entry = entriesRef.current.find(e => e.clientId === clientId);
+    if (!entry) return true;
+    if (entry.status === 'sending') return false;
+
+    update(prev => prev.filter(e => e.clientId !== clientId));
+    return true;
+  }, [update]);
+
+  return {
+    entries,
+    enqueue,
+    retry,
+    cancel,
+  };
+}
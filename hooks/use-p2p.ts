@@ -1,27 +1,532 @@
 import { useCallback, useState } from 'react';
 import { RPCEvent, useNodeJS } from './use-nodejs';
 
+/** Text messages may carry attachments; voice messages carry one recording */
+export type P2PMessageKind = 'text' | 'voice';
+
 export interface P2PMessage {
-  text: string;
+  id: string;
+  type: 'message';
+  kind: P2PMessageKind;
+  /** Current text, null once the message is deleted */
+  text: string | null;
   author: string;
   authorId: string;
   timestamp: number;
+  /** Sequence number within the author's writer core */
+  seq: number;
+  /** Hex-encoded key of the writer core the message was appended to */
+  writer: string;
+  /** Lamport clock used to order messages across writers */
+  clock: number;
+  /** Hex-encoded Ed25519 signature by the authorId identity key */
+  signature?: string;
+  /** True if the signature matches authorId; unsigned messages are false */
+  verified: boolean;
+  edited: boolean;
+  editedAt: number | null;
+  /** Every version of the text, oldest first (empty once deleted) */
+  history: { text: string; timestamp: number }[];
+  /** Deleted messages stay in the list as tombstones */
+  deleted: boolean;
+  deletedAt: number | null;
+  /** Identity keys of the members who reacted, by emoji */
+  reactions: Record<string, string[]>;
+  /** Id the sender gave the message before sending it (see useOutbox) */
+  clientId?: string;
+  /** Id of the message this one replies to */
+  replyTo?: string;
+  /** Id of the thread root, set on replies */
+  threadId?: string;
+  /** The replied-to message as it currently reads, if we have it */
+  quoted: P2PQuote | null;
+  /** Number of replies in the thread this message is the root of */
+  replyCount: number;
+  lastReplyAt: number | null;
+  /** Files attached to the message (empty once deleted) */
+  attachments: P2PAttachment[];
+  /** Identity keys of the members the message mentions */
+  mentions: string[];
+  /** Recording metadata of a voice message (null otherwise or once deleted) */
+  voice: P2PVoice | null;
+  /** 'delivered' once a peer has it, 'read' once a peer has read it */
+  status: P2PMessageStatus;
+  /** Public keys of the peers that have the message, other than its author */
+  deliveredTo: string[];
+  /** Public keys of the peers that have read the message */
+  readBy: string[];
+}
+
+export type P2PMessageStatus = 'sent' | 'delivered' | 'read';
+
+/**
+ * A peer has (delivered) or has read the messages of a writer up to seq
+ */
+export interface P2PReceipt {
+  chatId: string;
+  /** Hex-encoded public key of the peer */
+  peer: string;
+  kind: 'delivered' | 'read';
+  /** Hex-encoded key of the writer core */
+  writer: string;
   seq: number;
 }
 
+export interface P2PUnreadCounts {
+  chatId: string;
+  /** Messages of others past our read position */
+  unread: number;
+  /** Unread messages that mention us */
+  mentions: number;
+}
+
+export interface P2PVoice {
+  /** Duration in milliseconds */
+  duration: number;
+  /** Waveform peaks between 0 and 1, evenly spread over the recording */
+  peaks: number[];
+}
+
+/**
+ * A recorded voice note to send
+ */
+export interface P2PVoiceNote extends P2PVoice {
+  /** Path or file:// URI of the recording */
+  path: string;
+  /** Audio type, audio/mp4 by default */
+  mime?: string;
+}
+
+/**
+ * Last message of a chat, as shown in the chat list
+ */
+export interface P2PMessagePreview {
+  id: string;
+  author: string;
+  authorId: string;
+  timestamp: number;
+  kind: P2PMessageKind;
+  text: string | null;
+  deleted: boolean;
+  /** Duration of a voice message in milliseconds */
+  duration: number | null;
+  /** Number of attachments */
+  attachments: number;
+}
+
+/**
+ * Reference to a file stored in a chat's blob cores
+ */
+export interface P2PAttachment {
+  /** Hex-encoded key of the blob core holding the file */
+  blobs: string;
+  /** Location of the encrypted file in the blob core */
+  id: {
+    byteOffset: number;
+    blockOffset: number;
+    blockLength: number;
+    byteLength: number;
+  };
+  name: string;
+  mime: string;
+  /** Size of the file in bytes */
+  size: number;
+  /** Hex-encoded BLAKE2b-256 hash of the file */
+  hash: string;
+  /** Hex-encoded key and header the file is encrypted with */
+  key: string;
+  header: string;
+}
+
+export interface P2PAttachmentProgress {
+  chatId: string;
+  messageId: string;
+  /** Position of the attachment in the message */
+  index: number;
+  /** Bytes downloaded so far, out of total */
+  loaded: number;
+  total: number;
+}
+
+export interface P2PQuote {
+  id: string;
+  author?: string;
+  authorId: string;
+  text: string | null;
+  deleted: boolean;
+}
+
+export interface P2PThread {
+  /** Null if the root message has not been replicated yet */
+  root: P2PMessage | null;
+  replies: P2PMessage[];
+}
+
+export interface P2PMessageQuery {
+  /** Only messages older than this message id */
+  before?: string;
+  /** Only messages newer than this message id */
+  after?: string;
+  limit?: number;
+  /** Newest first */
+  reverse?: boolean;
+}
+
+export interface P2PMessagePage {
+  messages: P2PMessage[];
+  /** More messages exist past the end of this page */
+  hasMore: boolean;
+}
+
+export interface P2PSearchOptions {
+  /** Words to look for; each one also matches longer words it starts */
+  query: string;
+  /** Only search these chats (default: all loaded chats) */
+  chatIds?: string[];
+  /** Author identity key or display name */
+  author?: string;
+  /** Earliest timestamp (inclusive) */
+  from?: number;
+  /** Latest timestamp (inclusive) */
+  to?: number;
+  /** Maximum number of hits (default 50) */
+  limit?: number;
+}
+
+export interface P2PSearchHit {
+  chatId: string;
+  /** Message id */
+  id: string;
+  writer: string;
+  seq: number;
+  author?: string;
+  authorId: string;
+  timestamp: number;
+  /** Part of the message text around the first match */
+  snippet: string;
+  /** Offsets of the matched words in the snippet */
+  highlights: { start: number; end: number }[];
+}
+
+export interface P2PIdentity {
+  /** Hex-encoded Ed25519 public key this device signs messages with */
+  publicKey: string;
+  createdAt: number;
+}
+
+/**
+ * Which DHT to join and how to connect; the public DHT if omitted. A
+ * firewall callback can only be set inside the Node.js process.
+ */
+export interface P2PNetworkConfig {
+  /** DHT nodes to bootstrap from, e.g. a private bootstrap node */
+  bootstrap?: (string | { host: string; port: number })[];
+  /** Address our DHT socket binds to */
+  host?: string;
+  port?: number;
+  /** Fixed identity, hex-encoded; or a seed to derive it from */
+  keyPair?: { publicKey: string; secretKey: string };
+  seed?: string;
+  maxPeers?: number;
+  maxClientConnections?: number;
+  maxServerConnections?: number;
+  /** Public keys of blind relays used when holepunching fails */
+  relayThrough?: string | string[];
+  /** Relay every connection instead of holepunching */
+  forceRelay?: boolean;
+  deferRandomPunch?: boolean;
+  randomPunchInterval?: number;
+}
+
+/**
+ * Returned by getChatInfo; creating and joining a chat return the fields
+ * that are not optional
+ */
 export interface P2PChatInfo {
   chatId: string;
   discoveryKey: string;
   publicKey: string;
+  /** Shareable p2pnexus://join/... link */
+  invite: string;
+  /** Hex-encoded keys of the writer cores admitted to the chat */
+  writers: string[];
+  /** Whether messages are encrypted with a chat key shared in the invite */
+  encrypted: boolean;
+  /** Current chat key epoch, bumped whenever a member is removed */
+  keyEpoch: number | null;
+  kind: P2PChatKind;
+  metadata: Record<string, any>;
+  messageCount: number;
+  /** Number of connected peers */
+  peers?: number;
+  connectedPeers?: P2PPeer[];
+  /** Whether we created the chat or joined it through an invite */
+  role?: 'creator' | 'member';
+  /** Identity public key of the other party of a direct chat */
+  peer?: string;
+  /** Contact name of the other party of a direct chat */
+  peerName?: string | null;
+  /** Our role in the chat */
+  memberRole?: P2PMemberRole;
+  /** Whether we are still a member of the chat */
+  memberStatus?: P2PMemberStatus;
+  /** Whether we only replicate the chat with its members */
+  membersOnly?: boolean;
+  /** When we created or joined the chat */
+  createdAt?: number;
+}
+
+/**
+ * Chat metadata replicated to every member; null means the field was cleared
+ */
+export interface P2PChatMetadata {
+  name?: string | null;
+  description?: string | null;
+  /** URL or emoji */
+  avatar?: string | null;
+  topic?: string | null;
+}
+
+export interface P2PChatUpdate {
+  chatId: string;
+  /** Replicated fields merged over the chat's local metadata */
+  metadata: Record<string, any>;
+  updatedAt: number;
+  /** Identity key of the member who made the latest change */
+  updatedBy: string;
+}
+
+/** Group chats are shared through invites, direct chats are 1:1 with a peer */
+export type P2PChatKind = 'group' | 'direct';
+
+export interface P2PChatSummary {
+  chatId: string;
+  publicKey: string;
+  discoveryKey: string;
+  invite: string;
+  encrypted: boolean;
+  kind: P2PChatKind;
+  peer?: string;
+  metadata: Record<string, any>;
+  /** Whether we created the chat or joined it through an invite */
+  role: 'creator' | 'member';
+  joinedAt: number;
+  /** False if the chat is registered but could not be reopened */
+  loaded: boolean;
+  messageCount: number;
+  membersOnly: boolean;
+  peers: number;
+  lastMessage: P2PMessagePreview | null;
+  unread: number;
+  mentions: number;
+}
+
+/** Owners and admins manage members; read-only members cannot write */
+export type P2PMemberRole = 'owner' | 'admin' | 'member' | 'read-only';
+
+/** Kicked members' later messages are hidden, banned members' all of them */
+export type P2PMemberStatus = 'active' | 'kicked' | 'banned';
+
+export interface P2PMember {
+  /** Hex-encoded identity public key */
+  identity: string;
+  /** Writer cores the member appends to */
+  writers: string[];
+  /** Null for identities that were invited but have not joined yet */
+  joinedAt: number | null;
+  role: P2PMemberRole;
+  status: P2PMemberStatus;
+  /** Contact name, or null if the member is not in our contacts */
+  name: string | null;
+}
+
+/** Network a connection crosses, from the peer's address */
+export type P2PConnectionType = 'loopback' | 'lan' | 'internet';
+
+/** Blocks of one chat exchanged with a peer since it connected */
+export interface P2PReplicationStats {
+  downloadedBlocks: number;
+  downloadedBytes: number;
+  uploadedBlocks: number;
+  uploadedBytes: number;
+}
+
+export interface P2PPeer {
+  /** Hex-encoded Noise public key (the peer's identity key) */
+  publicKey: string;
+  connectedAt: number;
+  client: boolean;
+  /** Contact name, or null if the peer is not in our contacts */
+  name: string | null;
+  /** Null until the connection's address is known */
+  connectionType: P2PConnectionType | null;
+  /** Smoothed round trip time in milliseconds, null until measured */
+  latency: number | null;
+  /** Bytes of the whole connection, which carries every shared chat */
+  bytesSent: number;
+  bytesReceived: number;
+  replication: P2PReplicationStats;
+}
+
+export interface P2PWriterSyncStatus {
+  /** Hex-encoded writer core key */
+  key: string;
   writable: boolean;
+  /** Blocks the writer has, as far as we or our peers know */
   length: number;
-  metadata?: Record<string, any>;
+  /** Blocks merged into the timeline */
+  downloaded: number;
+  /** Older blocks left out until backfilled */
+  history: number;
 }
 
-export interface P2PPeer {
-  remotePublicKey: string;
-  type: string;
-  topics: number;
+export interface P2PSyncStatus {
+  chatId: string;
+  /** Every block but the history left out is downloaded */
+  synced: boolean;
+  downloaded: number;
+  total: number;
+  /** Blocks of older history left out; see backfill */
+  history: number;
+  /** Blocks per writer downloaded first, or null if the chat is not sparse */
+  recent: number | null;
+  writers: P2PWriterSyncStatus[];
+  /** What each connected peer sent since it connected */
+  peers: {
+    peer: string;
+    name: string | null;
+    downloadedBlocks: number;
+    downloadedBytes: number;
+  }[];
+}
+
+export interface P2PSendOptions {
+  author: string;
+  /** Hex-encoded identity public key of the author */
+  authorId: string;
+  /** Id of the message this one replies to */
+  replyTo?: string;
+  /** References returned by attachFile */
+  attachments?: P2PAttachment[];
+  /** Id given to the message before sending (see useOutbox) */
+  clientId?: string;
+  /** Identity keys of the members the message mentions */
+  mentions?: string[];
+}
+
+export interface P2PJoinOptions {
+  /**
+   * Download only the last `recent` blocks of every writer first, which
+   * hold at least the last `recent` messages
+   */
+  recent?: number;
+}
+
+export interface P2PPeerConnected {
+  chatId: string;
+  peer: P2PPeer;
+}
+
+export interface P2PPeerDisconnected {
+  chatId: string;
+  /** Hex-encoded public key of the peer */
+  peer: string;
+}
+
+export interface P2PReplicationProgress {
+  chatId: string;
+  /** Hex-encoded public key of the peer */
+  peer: string;
+  /** Messages in the chat's timeline */
+  length: number;
+  replication: P2PReplicationStats;
+}
+
+/** A peer that is not a contact asked to start a direct chat */
+export interface P2PDirectRequest {
+  /** Hex-encoded identity public key */
+  peer: string;
+  /** Contact name, or null if the peer is not in our contacts */
+  name: string | null;
+  receivedAt: number;
+}
+
+export interface P2PBlockedPeer {
+  /** Hex-encoded identity public key */
+  peer: string;
+  blockedAt: number;
+  /** Contact name, or null if the peer is not in our contacts */
+  name: string | null;
+}
+
+/**
+ * Why the firewall refused a peer: blocked, too many connection attempts,
+ * or not allowed to replicate a chat
+ */
+export type P2PRejectReason =
+  | 'blocked'
+  | 'rate-limited'
+  | 'kicked'
+  | 'banned'
+  | 'not-member';
+
+export interface P2PPeerRejection {
+  peer: string;
+  reason: P2PRejectReason;
+  /** Chat the peer may not replicate, or null for a refused connection */
+  chatId: string | null;
+}
+
+export type P2PTrustLevel = 'unknown' | 'trusted' | 'verified';
+
+export interface P2PContact {
+  /** Hex-encoded identity public key */
+  publicKey: string;
+  name: string;
+  /** Hex-encoded hash of the avatar image */
+  avatar: string | null;
+  trust: P2PTrustLevel;
+  notes: string;
+  /** Last time the contact connected to us */
+  lastSeen: number | null;
+  addedAt: number;
+  updatedAt: number;
+}
+
+export type P2PContactFields = Partial<
+  Pick<P2PContact, 'name' | 'avatar' | 'trust' | 'notes'>
+>;
+
+export type P2PPresenceStatus = 'online' | 'away' | 'offline';
+
+/**
+ * A peer's presence changed in a chat
+ */
+export interface P2PPresence {
+  chatId: string;
+  /** Hex-encoded public key of the peer (its identity key) */
+  peer: string;
+  status: P2PPresenceStatus;
+  /** When the peer was last active, null if never heard from */
+  lastSeen: number | null;
+}
+
+/**
+ * A peer started or stopped typing in a chat
+ */
+export interface P2PTyping {
+  chatId: string;
+  peer: string;
+  typing: boolean;
+}
+
+export interface P2PPeerPresence {
+  peer: string;
+  /** Contact name, if the peer is a contact */
+  name: string | null;
+  status: P2PPresenceStatus;
+  lastSeen: number | null;
+  typing: boolean;
 }
 
 export interface P2PStats {
@@ -30,6 +535,34 @@ export interface P2PStats {
   totalMessages: number;
 }
 
+/**
+ * Apply a receipt to a message, returning the message unchanged if the
+ * receipt does not cover it
+ */
+export function applyReceipt(message: P2PMessage, receipt: P2PReceipt): P2PMessage {
+  if (
+    message.writer !== receipt.writer ||
+    message.seq > receipt.seq ||
+    message.authorId === receipt.peer
+  ) {
+    return message;
+  }
+
+  const add = (peers: string[]) =>
+    peers.includes(receipt.peer) ? peers : [...peers, receipt.peer];
+
+  // Reading a message implies having it
+  const deliveredTo = add(message.deliveredTo);
+  const readBy = receipt.kind === 'read' ? add(message.readBy) : message.readBy;
+
+  return {
+    ...message,
+    deliveredTo,
+    readBy,
+    status: readBy.length > 0 ? 'read' : 'delivered',
+  };
+}
+
 /**
  * High-level hook for P2P chat functionality
  */
@@ -39,12 +572,12 @@ export function useP2P() {
   const [initError, setInitError] = useState<Error | null>(null);
 
   /**
-   * Initialize the P2P system
+   * Initialize the P2P system, optionally on a private network
    */
-  const initialize = useCallback(async () => {
+  const initialize = useCallback(async (network?: P2PNetworkConfig) => {
     try {
       console.log('[P2P] Initializing...');
-      const result = await rpc.call('p2p.initialize');
+      const result = await rpc.call('p2p.initialize', { network });
       setIsInitialized(true);
       setInitError(null);
       console.log('[P2P] Initialized successfully', result);
@@ -56,6 +589,113 @@ export function useP2P() {
     }
   }, [rpc]);
 
+  /**
+   * Get the members of a chat
+   */
+  const getMembers = useCallback(async (chatId: string): Promise<P2PMember[]> => {
+    const result = await rpc.call<{ members: P2PMember[] }>('p2p.getMembers', {
+      chatId,
+    });
+    return result.members;
+  }, [rpc]);
+
+  /**
+   * Remove a member from a chat. In encrypted chats the key is rotated, so
+   * the returned chat info carries a new invite link.
+   */
+  const removeMember = useCallback(async (
+    chatId: string,
+    identity: string
+  ): Promise<P2PChatInfo> => {
+    const result = await rpc.call<{ chatInfo: P2PChatInfo }>('p2p.removeMember', {
+      chatId,
+      identity,
+    });
+    return result.chatInfo;
+  }, [rpc]);
+
+  /**
+   * Remove a member from a chat and hide everything they wrote
+   */
+  const ban = useCallback(async (
+    chatId: string,
+    identity: string
+  ): Promise<P2PChatInfo> => {
+    const result = await rpc.call<{ chatInfo: P2PChatInfo }>('p2p.ban', {
+      chatId,
+      identity,
+    });
+    return result.chatInfo;
+  }, [rpc]);
+
+  /**
+   * Give a member a role. Identities that have not joined, or were removed
+   * or banned, are invited with it.
+   */
+  const setRole = useCallback(async (
+    chatId: string,
+    identity: string,
+    role: Exclude<P2PMemberRole, 'owner'>
+  ): Promise<P2PChatInfo> => {
+    const result = await rpc.call<{ chatInfo: P2PChatInfo }>('p2p.setRole', {
+      chatId,
+      identity,
+      role,
+    });
+    return result.chatInfo;
+  }, [rpc]);
+
+  /**
+   * Only replicate a chat with members and invited identities, or with
+   * anybody who has the invite again
+   */
+  const setMembersOnly = useCallback(async (
+    chatId: string,
+    membersOnly: boolean
+  ): Promise<P2PChatInfo> => {
+    const result = await rpc.call<{ chatInfo: P2PChatInfo }>('p2p.setMembersOnly', {
+      chatId,
+      membersOnly,
+    });
+    return result.chatInfo;
+  }, [rpc]);
+
+  /**
+   * Block a peer in every chat: its connections are refused
+   */
+  const blockPeer = useCallback(async (peer: string): Promise<P2PBlockedPeer> => {
+    const result = await rpc.call<{ blocked: P2PBlockedPeer }>('p2p.blockPeer', {
+      peer,
+    });
+    return result.blocked;
+  }, [rpc]);
+
+  /**
+   * Let a blocked peer connect again
+   */
+  const unblockPeer = useCallback(async (peer: string): Promise<boolean> => {
+    const result = await rpc.call<{ unblocked: boolean }>('p2p.unblockPeer', {
+      peer,
+    });
+    return result.unblocked;
+  }, [rpc]);
+
+  /**
+   * Get the blocked peers, most recently blocked first
+   */
+  const getBlockedPeers = useCallback(async (): Promise<P2PBlockedPeer[]> => {
+    const result = await rpc.call<{ blocked: P2PBlockedPeer[] }>('p2p.getBlockedPeers');
+    return result.blocked;
+  }, [rpc]);
+
+  /**
+   * Get this device's identity (created on first initialize)
+   */
+  const getIdentity = useCallback(async (): Promise<P2PIdentity> => {
+    const result = await rpc.call<{ identity: P2PIdentity }>('p2p.getIdentity');
+    return result.identity;
+  }, [rpc]);
+
   /**
    * Create a new chat
    */
@@ -71,66 +711,374 @@ export function useP2P() {
   }, [rpc]);
 
   /**
-   * Join an existing chat using a discovery key
+   * Join an existing chat using an invite link, which carries its chat key
    */
   const joinChat = useCallback(async (
     chatId: string,
-    discoveryKey: string,
-    metadata?: Record<string, any>
+    invite: string,
+    metadata?: Record<string, any>,
+    options?: P2PJoinOptions
   ): Promise<P2PChatInfo> => {
     const result = await rpc.call<{ chatInfo: P2PChatInfo }>('p2p.joinChat', {
       chatId,
-      discoveryKey,
+      invite,
+      metadata,
+      recent: options?.recent,
+    });
+    return result.chatInfo;
+  }, [rpc]);
+
+  /**
+   * Get how far a chat is downloaded
+   */
+  const getSyncStatus = useCallback(async (chatId: string): Promise<P2PSyncStatus> => {
+    const result = await rpc.call<{ status: P2PSyncStatus }>('p2p.getSyncStatus', {
+      chatId,
+    });
+    return result.status;
+  }, [rpc]);
+
+  /**
+   * Download older history of a chat joined with `recent`, newest first
+   * @param count Blocks per writer; all of the history by default
+   */
+  const backfill = useCallback(async (
+    chatId: string,
+    count?: number
+  ): Promise<P2PSyncStatus> => {
+    const result = await rpc.call<{ status: P2PSyncStatus }>('p2p.backfill', {
+      chatId,
+      count,
+    });
+    return result.status;
+  }, [rpc]);
+
+  /**
+   * Start (or reopen) a direct chat with a peer by its identity public key
+   */
+  const startDirectChat = useCallback(async (
+    peer: string,
+    metadata?: Record<string, any>
+  ): Promise<P2PChatInfo> => {
+    const result = await rpc.call<{ chatInfo: P2PChatInfo }>('p2p.startDirectChat', {
+      peer,
       metadata,
     });
     return result.chatInfo;
   }, [rpc]);
 
+  /**
+   * Get the direct chats peers that are not contacts asked to start
+   */
+  const getDirectRequests = useCallback(async (): Promise<P2PDirectRequest[]> => {
+    const result = await rpc.call<{ requests: P2PDirectRequest[] }>('p2p.getDirectRequests');
+    return result.requests;
+  }, [rpc]);
+
+  /**
+   * Accept a direct chat a peer asked to start
+   */
+  const acceptDirectChat = useCallback(async (peer: string): Promise<P2PChatInfo> => {
+    const result = await rpc.call<{ chatInfo: P2PChatInfo }>('p2p.acceptDirectChat', {
+      peer,
+    });
+    return result.chatInfo;
+  }, [rpc]);
+
+  /**
+   * Decline a direct chat a peer asked to start; it is not offered again
+   */
+  const declineDirectChat = useCallback(async (peer: string): Promise<boolean> => {
+    const result = await rpc.call<{ declined: boolean }>('p2p.declineDirectChat', {
+      peer,
+    });
+    return result.declined;
+  }, [rpc]);
+
+  /**
+   * List all chats restored from (or saved to) the persistent registry
+   */
+  const listChats = useCallback(async (): Promise<P2PChatSummary[]> => {
+    const result = await rpc.call<{ chats: P2PChatSummary[] }>('p2p.listChats');
+    return result.chats;
+  }, [rpc]);
+
   /**
    * Send a message to a chat
+   * Resending with the same clientId returns the message already sent
+   * instead of sending it twice.
    */
   const sendMessage = useCallback(async (
     chatId: string,
     text: string,
-    author: string,
-    authorId: string
+    options: P2PSendOptions
   ): Promise<P2PMessage> => {
     const result = await rpc.call<{ message: P2PMessage }>('p2p.sendMessage', {
       chatId,
       text,
+      ...options,
+    });
+    return result.message;
+  }, [rpc]);
+
+  /**
+   * Store a local file so it can be sent with sendMessage
+   */
+  const attachFile = useCallback(async (
+    chatId: string,
+    path: string,
+    options?: { name?: string; mime?: string }
+  ): Promise<P2PAttachment> => {
+    const result = await rpc.call<{ attachment: P2PAttachment }>('p2p.attachFile', {
+      chatId,
+      path,
+      ...options,
+    });
+    return result.attachment;
+  }, [rpc]);
+
+  /**
+   * Download an attachment to the local cache and get its path
+   * Progress is reported through onAttachmentProgress.
+   */
+  const fetchAttachment = useCallback(async (
+    chatId: string,
+    messageId: string,
+    index = 0
+  ): Promise<string> => {
+    const result = await rpc.call<{ path: string }>('p2p.fetchAttachment', {
+      chatId,
+      messageId,
+      index,
+    });
+    return result.path;
+  }, [rpc]);
+
+  /**
+   * Send a recorded voice note
+   * The recording is stored in the chat's blob core; peers can play it through
+   * getAttachmentUrl while it replicates.
+   */
+  const sendVoiceNote = useCallback(async (
+    chatId: string,
+    note: P2PVoiceNote,
+    author: string,
+    authorId: string,
+    replyTo?: string
+  ): Promise<P2PMessage> => {
+    const result = await rpc.call<{ message: P2PMessage }>('p2p.sendVoiceNote', {
+      chatId,
+      ...note,
       author,
       authorId,
+      replyTo,
     });
     return result.message;
   }, [rpc]);
 
   /**
-   * Get messages from a chat
+   * Get a loopback URL to play or show an attachment from
+   * The file is streamed as it downloads, so playback can start right away.
+   */
+  const getAttachmentUrl = useCallback(async (
+    chatId: string,
+    messageId: string,
+    index = 0
+  ): Promise<string> => {
+    const result = await rpc.call<{ url: string }>('p2p.getAttachmentUrl', {
+      chatId,
+      messageId,
+      index,
+    });
+    return result.url;
+  }, [rpc]);
+
+  /**
+   * Get a thread: its root message and all replies
+   */
+  const getThread = useCallback(async (
+    chatId: string,
+    rootId: string
+  ): Promise<P2PThread> => {
+    const result = await rpc.call<P2PThread>('p2p.getThread', {
+      chatId,
+      rootId,
+    });
+    return { root: result.root, replies: result.replies };
+  }, [rpc]);
+
+  /**
+   * Edit the text of one of our own messages
+   */
+  const editMessage = useCallback(async (
+    chatId: string,
+    messageId: string,
+    text: string
+  ): Promise<P2PMessage> => {
+    const result = await rpc.call<{ message: P2PMessage }>('p2p.editMessage', {
+      chatId,
+      messageId,
+      text,
+    });
+    return result.message;
+  }, [rpc]);
+
+  /**
+   * Delete one of our own messages (it stays as a tombstone)
+   */
+  const deleteMessage = useCallback(async (
+    chatId: string,
+    messageId: string
+  ): Promise<P2PMessage> => {
+    const result = await rpc.call<{ message: P2PMessage }>('p2p.deleteMessage', {
+      chatId,
+      messageId,
+    });
+    return result.message;
+  }, [rpc]);
+
+  /**
+   * Add a reaction to a message, or remove ours with remove = true
+   */
+  const react = useCallback(async (
+    chatId: string,
+    messageId: string,
+    emoji: string,
+    remove = false
+  ): Promise<P2PMessage> => {
+    const result = await rpc.call<{ message: P2PMessage }>('p2p.react', {
+      chatId,
+      messageId,
+      emoji,
+      remove,
+    });
+    return result.message;
+  }, [rpc]);
+
+  /**
+   * Mark a chat as read up to a message (default the latest); peers get read
+   * receipts and the read position is saved
+   */
+  const markRead = useCallback(async (
+    chatId: string,
+    messageId?: string
+  ): Promise<P2PUnreadCounts> => {
+    const result = await rpc.call<P2PUnreadCounts>('p2p.markRead', {
+      chatId,
+      messageId,
+    });
+    return { chatId, unread: result.unread, mentions: result.mentions };
+  }, [rpc]);
+
+  /**
+   * Get unread and mention counts, for chat list badges
+   */
+  const getUnreadCounts = useCallback(async (
+    chatIds?: string[]
+  ): Promise<P2PUnreadCounts[]> => {
+    const result = await rpc.call<{ counts: P2PUnreadCounts[] }>('p2p.getUnreadCounts', {
+      chatIds,
+    });
+    return result.counts;
+  }, [rpc]);
+
+  /**
+   * Tell the peers of a chat whether we are typing
+   * Call with true on every keystroke; the backend throttles repeats.
+   */
+  const setTyping = useCallback(async (
+    chatId: string,
+    typing: boolean
+  ): Promise<number> => {
+    const result = await rpc.call<{ peers: number }>('p2p.setTyping', {
+      chatId,
+      typing,
+    });
+    return result.peers;
+  }, [rpc]);
+
+  /**
+   * Set our presence in every chat
+   */
+  const setPresence = useCallback(async (
+    status: P2PPresenceStatus
+  ): Promise<number> => {
+    const result = await rpc.call<{ peers: number }>('p2p.setPresence', {
+      status,
+    });
+    return result.peers;
+  }, [rpc]);
+
+  /**
+   * Get the presence and typing state of the peers of a chat
+   */
+  const getPresence = useCallback(async (
+    chatId: string
+  ): Promise<P2PPeerPresence[]> => {
+    const result = await rpc.call<{ presence: P2PPeerPresence[] }>('p2p.getPresence', {
+      chatId,
+    });
+    return result.presence;
+  }, [rpc]);
+
+  /**
+   * Get a page of messages from a chat, ordered by timestamp
+   * Load the latest page with `{ limit, reverse: true }`, then scroll back
+   * with `before` set to the oldest message id loaded so far.
    */
   const getMessages = useCallback(async (
     chatId: string,
-    options?: { start?: number; end?: number }
-  ): Promise<P2PMessage[]> => {
-    const result = await rpc.call<{ messages: P2PMessage[] }>('p2p.getMessages', {
+    options?: P2PMessageQuery
+  ): Promise<P2PMessagePage> => {
+    const result = await rpc.call<P2PMessagePage>('p2p.getMessages', {
       chatId,
       options,
     });
-    return result.messages;
+    return { messages: result.messages, hasMore: result.hasMore };
+  }, [rpc]);
+
+  /**
+   * Search messages across chats, newest hits first
+   */
+  const search = useCallback(async (
+    options: P2PSearchOptions
+  ): Promise<P2PSearchHit[]> => {
+    const result = await rpc.call<{ hits: P2PSearchHit[] }>('p2p.search', options);
+    return result.hits;
   }, [rpc]);
 
   /**
    * Watch for new messages in a chat
+   * onReset is called when messages were hidden or shown by a ban, kick or
+   * role change; pages read before are stale and must be read again.
    */
   const watchMessages = useCallback(async (
     chatId: string,
-    onMessage: (message: P2PMessage) => void
+    onMessage: (message: P2PMessage) => void,
+    onUpdate?: (message: P2PMessage) => void,
+    onReset?: () => void
   ) => {
     // Subscribe to RPC events for this chat
-    const unsubscribe = rpc.on('message.received', (event: RPCEvent) => {
+    const unsubscribeReceived = rpc.on('message.received', (event: RPCEvent) => {
       if (event.data.chatId === chatId) {
         onMessage(event.data.message);
       }
     });
+    const unsubscribeUpdated = rpc.on('message.updated', (event: RPCEvent) => {
+      if (event.data.chatId === chatId) {
+        onUpdate?.(event.data.message);
+      }
+    });
+    const unsubscribeReset = rpc.on('messages.reset', (event: RPCEvent) => {
+      if (event.data.chatId === chatId) {
+        onReset?.();
+      }
+    });
+    const unsubscribe = () => {
+      unsubscribeReceived();
+      unsubscribeUpdated();
+      unsubscribeReset();
+    };
 
     // Start watching on the Node.js side
     try {
@@ -163,6 +1111,20 @@ export function useP2P() {
     return result.info;
   }, [rpc]);
 
+  /**
+   * Change a chat's name, description, avatar or topic for every member
+   */
+  const updateChatMetadata = useCallback(async (
+    chatId: string,
+    metadata: P2PChatMetadata
+  ): Promise<P2PChatInfo> => {
+    const result = await rpc.call<{ info: P2PChatInfo }>('p2p.updateChatMetadata', {
+      chatId,
+      metadata,
+    });
+    return result.info;
+  }, [rpc]);
+
   /**
    * Get connected peers for a chat
    */
@@ -173,6 +1135,52 @@ export function useP2P() {
     return result.peers;
   }, [rpc]);
 
+  /**
+   * List all contacts
+   */
+  const listContacts = useCallback(async (): Promise<P2PContact[]> => {
+    const result = await rpc.call<{ contacts: P2PContact[] }>('contacts.list');
+    return result.contacts;
+  }, [rpc]);
+
+  /**
+   * Add a contact by identity public key
+   */
+  const addContact = useCallback(async (
+    publicKey: string,
+    fields: P2PContactFields & { name: string }
+  ): Promise<P2PContact> => {
+    const result = await rpc.call<{ contact: P2PContact }>('contacts.add', {
+      publicKey,
+      ...fields,
+    });
+    return result.contact;
+  }, [rpc]);
+
+  /**
+   * Update a contact's name, avatar, trust level or notes
+   */
+  const updateContact = useCallback(async (
+    publicKey: string,
+    fields: P2PContactFields
+  ): Promise<P2PContact> => {
+    const result = await rpc.call<{ contact: P2PContact }>('contacts.update', {
+      publicKey,
+      ...fields,
+    });
+    return result.contact;
+  }, [rpc]);
+
+  /**
+   * Remove a contact
+   */
+  const removeContact = useCallback(async (publicKey: string): Promise<boolean> => {
+    const result = await rpc.call<{ removed: boolean }>('contacts.remove', {
+      publicKey,
+    });
+    return result.removed;
+  }, [rpc]);
+
   /**
    * Get P2P system statistics
    */
@@ -221,6 +1229,200 @@ export function useP2P() {
     });
   }, [rpc]);
 
+  /**
+   * Subscribe to edits, deletions and reactions of watched messages
+   */
+  const onMessageUpdated = useCallback((
+    callback: (data: { chatId: string; message: P2PMessage }) => void
+  ) => {
+    return rpc.on('message.updated', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to message view resets (across all chats): messages were hidden
+   * or shown by a ban, kick or role change, so loaded pages must be reloaded
+   */
+  const onMessagesReset = useCallback((
+    callback: (data: { chatId: string }) => void
+  ) => {
+    return rpc.on('messages.reset', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to attachment download progress
+   */
+  const onAttachmentProgress = useCallback((
+    callback: (progress: P2PAttachmentProgress) => void
+  ) => {
+    return rpc.on('attachment.progress', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to direct chats started by other peers
+   */
+  const onDirectChat = useCallback((
+    callback: (data: { chatInfo: P2PChatInfo }) => void
+  ) => {
+    return rpc.on('chat.direct', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to peers asking to start a direct chat
+   */
+  const onDirectRequest = useCallback((
+    callback: (request: P2PDirectRequest) => void
+  ) => {
+    return rpc.on('chat.directRequest', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to unread and mention counts (across all chats)
+   */
+  const onUnreadChanged = useCallback((
+    callback: (counts: P2PUnreadCounts) => void
+  ) => {
+    return rpc.on('unread.changed', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to chats that were created, joined or restored and can be sent
+   * to
+   */
+  const onChatLoaded = useCallback((
+    callback: (data: { chatId: string }) => void
+  ) => {
+    return rpc.on('chat.loaded', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to changes of replicated chat metadata (across all chats)
+   */
+  const onChatUpdated = useCallback((
+    callback: (update: P2PChatUpdate) => void
+  ) => {
+    return rpc.on('chat.updated', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to delivery and read receipts (across all chats)
+   * A receipt covers every message of its writer up to its seq; apply it
+   * with applyReceipt.
+   */
+  const onReceiptUpdated = useCallback((
+    callback: (receipt: P2PReceipt) => void
+  ) => {
+    return rpc.on('receipt.updated', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to membership changes (across all chats); fetch the new roles
+   * with getMembers
+   */
+  const onMembersChanged = useCallback((
+    callback: (change: { chatId: string }) => void
+  ) => {
+    return rpc.on('members.changed', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to peers starting to replicate a chat with us
+   */
+  const onPeerConnected = useCallback((
+    callback: (event: P2PPeerConnected) => void
+  ) => {
+    return rpc.on('peer.connected', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to peers leaving a chat or disconnecting
+   */
+  const onPeerDisconnected = useCallback((
+    callback: (event: P2PPeerDisconnected) => void
+  ) => {
+    return rpc.on('peer.disconnected', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to blocks replicated with peers, reported about once a second
+   * per peer and chat
+   */
+  const onReplicationProgress = useCallback((
+    callback: (progress: P2PReplicationProgress) => void
+  ) => {
+    return rpc.on('replication.progress', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to download progress of chats, reported about once a second
+   * per chat while blocks come in
+   */
+  const onSyncProgress = useCallback((
+    callback: (status: P2PSyncStatus) => void
+  ) => {
+    return rpc.on('sync.progress', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to peers the firewall refused
+   */
+  const onPeerRejected = useCallback((
+    callback: (rejection: P2PPeerRejection) => void
+  ) => {
+    return rpc.on('peer.rejected', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to presence changes of peers (across all chats)
+   */
+  const onPresenceChanged = useCallback((
+    callback: (presence: P2PPresence) => void
+  ) => {
+    return rpc.on('presence.changed', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
+  /**
+   * Subscribe to peers starting and stopping typing (across all chats)
+   */
+  const onTypingChanged = useCallback((
+    callback: (typing: P2PTyping) => void
+  ) => {
+    return rpc.on('typing.changed', (event: RPCEvent) => {
+      callback(event.data);
+    });
+  }, [rpc]);
+
   return {
     // State
     isReady: rpc.isReady,
@@ -230,13 +1432,48 @@ export function useP2P() {
 
     // Methods
     initialize,
+    getIdentity,
     createChat,
     joinChat,
+    startDirectChat,
+    getDirectRequests,
+    acceptDirectChat,
+    declineDirectChat,
+    listChats,
     sendMessage,
+    attachFile,
+    fetchAttachment,
+    sendVoiceNote,
+    getAttachmentUrl,
+    getThread,
+    editMessage,
+    deleteMessage,
+    react,
+    markRead,
+    getUnreadCounts,
+    setTyping,
+    setPresence,
+    getPresence,
     getMessages,
+    search,
     watchMessages,
     getChatInfo,
+    getSyncStatus,
+    backfill,
+    updateChatMetadata,
+    getMembers,
+    removeMember,
+    ban,
+    setRole,
+    setMembersOnly,
     getPeers,
+    blockPeer,
+    unblockPeer,
+    getBlockedPeers,
+    listContacts,
+    addContact,
+    updateContact,
+    removeContact,
     getStats,
     leaveChat,
     shutdown,
@@ -244,6 +1481,23 @@ export function useP2P() {
     // Event subscriptions
     onMessageSent,
     onMessageReceived,
+    onMessageUpdated,
+    onMessagesReset,
+    onDirectChat,
+    onDirectRequest,
+    onChatLoaded,
+    onChatUpdated,
+    onUnreadChanged,
+    onAttachmentProgress,
+    onReceiptUpdated,
+    onMembersChanged,
+    onPeerConnected,
+    onPeerDisconnected,
+    onReplicationProgress,
+    onSyncProgress,
+    onPeerRejected,
+    onPresenceChanged,
+    onTypingChanged,
 
     // Raw RPC access
     rpc,
@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { P2PPeer, useP2P } from './use-p2p';
+
+// Latency and connection bytes change without events, so they are polled
+const REFRESH_INTERVAL = 5000;
+
+/**
+ * Live list of the peers replicating a chat with us
+ * Peers are added and removed as they connect and disconnect, and their
+ * replication counts follow progress events. Latency and bytes transferred
+ * are refreshed every REFRESH_INTERVAL while the chat is open.
+ */
+export function usePeers(p2p: ReturnType<typeof useP2P>, chatId: string | null) {
+  const [peers, setPeers] = useState<P2PPeer[]>([]);
+  const chatIdRef = useRef(chatId);
+  chatIdRef.current = chatId;
+
+  const {
+    isInitialized,
+    getPeers,
+    onPeerConnected,
+    onPeerDisconnected,
+    onReplicationProgress,
+  } = p2p;
+
+  const refresh = useCallback(async () => {
+    if (!chatId || !isInitialized) return;
+
+    try {
+      const current = await getPeers(chatId);
+
+      // A reply for a chat that was closed meanwhile is dropped
+      if (chatIdRef.current === chatId) setPeers(current);
+    } catch (error) {
+      console.error('[Peers] Failed to refresh:', error);
+    }
+  }, [chatId, isInitialized, getPeers]);
+
+  // Peers of the previous chat are dropped only when the chat changes
+  useEffect(() => {
+    setPeers([]);
+  }, [chatId]);
+
+  useEffect(() => {
+    if (!chatId || !isInitialized) return;
+
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+
+    const unsubscribeConnected = onPeerConnected(({ chatId: id, peer }) => {
+      if (id !== chatId) return;
+
+      // A replaced connection reports its peer again
+      setPeers(prev => [
+        ...prev.filter(entry => entry.publicKey !== peer.publicKey),
+        peer,
+      ]);
+    });
+
+    const unsubscribeDisconnected = onPeerDisconnected(({ chatId: id, peer }) => {
+      if (id !== chatId) return;
+      setPeers(prev => prev.filter(entry => entry.publicKey !== peer));
+    });
+
+    const unsubscribeProgress = onReplicationProgress(progress => {
+      if (progress.chatId !== chatId) return;
+
+      setPeers(prev =>
+        prev.map(entry =>
+          entry.publicKey === progress.peer
+            ? { ...entry, replication: progress.replication }
+            : entry
+        )
+      );
+    });
+
+    return () => {
+      clearInterval(timer);
+      unsubscribeConnected();
+      unsubscribeDisconnected();
+      unsubscribeProgress();
+    };
+  }, [
+    chatId,
+    isInitialized,
+    refresh,
+    onPeerConnected,
+    onPeerDisconnected,
+    onReplicationProgress,
+  ]);
+
+  return { peers, refresh };
+}
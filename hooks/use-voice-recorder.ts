@@ -0,0 +1,100 @@
+import {
+  RecordingPresets,
+  requestRecordingPermissionsAsync,
+  setAudioModeAsync,
+  useAudioRecorder,
+  useAudioRecorderState,
+} from 'expo-audio';
+import { useCallback, useEffect, useRef } from 'react';
+import { P2PVoiceNote } from './use-p2p';
+
+/** Number of waveform bars sent with a voice note (the backend allows 128) */
+export const VOICE_PEAKS = 64;
+// Metering is in dBFS; anything quieter than this is drawn as silence
+const SILENCE_DB = -60;
+// How often the recorder's level is sampled, in ms
+const METERING_INTERVAL = 100;
+
+/**
+ * Map a metering level in dBFS to 0..1
+ */
+function toLevel(db: number): number {
+  if (!Number.isFinite(db) || db <= SILENCE_DB) return 0;
+  return Math.min(1, 1 - db / SILENCE_DB);
+}
+
+/**
+ * Reduce level samples to a fixed number of peaks (the loudest of each bucket)
+ */
+function toPeaks(samples: number[], count = VOICE_PEAKS): number[] {
+  if (samples.length <= count) return samples;
+
+  const peaks: number[] = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * samples.length) / count);
+    const end = Math.floor(((i + 1) * samples.length) / count);
+    peaks.push(Math.max(...samples.slice(start, end)));
+  }
+  return peaks;
+}
+
+/**
+ * Record voice notes, sampling the input level for their waveform
+ */
+export function useVoiceRecorder() {
+  const recorder = useAudioRecorder({
+    ...RecordingPresets.HIGH_QUALITY,
+    isMeteringEnabled: true,
+  });
+  const state = useAudioRecorderState(recorder, METERING_INTERVAL);
+  const samples = useRef<number[]>([]);
+
+  useEffect(() => {
+    if (state.isRecording && state.metering !== undefined) {
+      samples.current.push(toLevel(state.metering));
+    }
+  }, [state.isRecording, state.metering, state.durationMillis]);
+
+  /**
+   * Start recording; throws if microphone access is denied
+   */
+  const start = useCallback(async () => {
+    const { granted } = await requestRecordingPermissionsAsync();
+    if (!granted) {
+      throw new Error('Microphone permission denied');
+    }
+
+    await setAudioModeAsync({ allowsRecording: true, playsInSilentMode: true });
+    await recorder.prepareToRecordAsync();
+
+    samples.current = [];
+    recorder.record();
+  }, [recorder]);
+
+  /**
+   * Stop recording
+   * @returns The recording, ready for sendVoiceNote, or null if nothing was
+   *   recorded
+   */
+  const stop = useCallback(async (): Promise<P2PVoiceNote | null> => {
+    const duration = recorder.getStatus().durationMillis;
+    await recorder.stop();
+    await setAudioModeAsync({ allowsRecording: false });
+
+    if (!recorder.uri || duration <= 0) return null;
+
+    return {
+      path: recorder.uri,
+      duration: Math.round(duration),
+      peaks: toPeaks(samples.current).map((peak) => Math.round(peak * 100) / 100),
+      mime: 'audio/mp4',
+    };
+  }, [recorder]);
+
+  return {
+    isRecording: state.isRecording,
+    duration: state.durationMillis,
+    start,
+    stop,
+  };
+}
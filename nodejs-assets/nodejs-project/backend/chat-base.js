@@ -0,0 +1,1130 @@
+const EventEmitter = require('events');
+const Hypercore = require('hypercore');
+const b4a = require('b4a');
+
+const WRITERS_EXTENSION = 'p2pnexus/writers';
+// Writers peers told us about that we are still checking, at most
+const MAX_CANDIDATES = 32;
+// How long a candidate writer has to deliver its member entry
+const CANDIDATE_TIMEOUT = 30000;
+// Blocks that make up who may read and write the chat and with which key; a
+// sparse download fetches all of them (see `control`)
+const CONTROL_TYPES = ['member', 'membership', 'rotate-key', 'chat-metadata'];
+
+/**
+ * ChatBase - Multi-writer view over the Hypercores of a single chat
+ *
+ * Every participant appends to its own local writer core. The chat is
+ * identified by its bootstrap core (the creator's writer). Peers tell each
+ * other about the other writers they know (`addWriter`), but such a writer is
+ * only a candidate: it is admitted once its first block, a member entry, is
+ * accepted by `admitWriter`. Admitted writers are reported with a 'writer'
+ * event so they can be reopened directly (`options.writers`). Blocks from all
+ * admitted writers are merged into one timeline ordered by Lamport clock, with
+ * the writer key and block sequence as tie-breakers, so every peer converges
+ * on the same order.
+ *
+ * With a keyring, every block is encrypted with the chat key before it is
+ * appended and decrypted while indexing. Blocks sealed under a key epoch we do
+ * not hold yet pause their writer until a `rotate-key` operation provides it.
+ * Rotations are signed, and only applied once `acceptRotation` accepts their
+ * signer; until then they wait with the ones we cannot open yet.
+ *
+ * Every block points at the previous control block of its writer (member
+ * entries, membership operations, key rotations and chat metadata) with a
+ * `control` seq stored next to it, unencrypted. With a sparse `tail`, only the
+ * last `tail` blocks of every remote writer are downloaded, plus the control
+ * blocks before them: the chain is followed back from the first block of the
+ * tail and applied before it, so roles and keys are complete. A missing or
+ * malformed pointer ends the chain. The latest messages show up
+ * without the whole history; `backfill()` fetches older blocks on demand, and
+ * entries merge by clock in any order.
+ *
+ * Only control entries are kept in memory (`timeline`); messages are emitted
+ * for a MessageIndex to store and read back by id (`getEntry`). Reopened with
+ * the checkpoint of that index (`resume`, see getCheckpoint), writers skip the
+ * blocks it already holds the same way: their control blocks are merged by
+ * following the pointers back, and indexing continues after them.
+ *
+ * Events:
+ *  - 'message' (entry): an entry was merged into the timeline
+ *  - 'member' (entry): a writer announced the identity it signs with
+ *  - 'writer' (keyHex): a candidate writer was admitted
+ *  - 'keys' (keyring): a key rotation was applied
+ *  - 'transfer' ({peer, direction, byteLength}): a block of one of the
+ *    chat's cores was downloaded from or uploaded to a peer
+ *  - 'history' (sparse): the history left out of a sparse writer changed;
+ *    sparse is as returned by getSparse()
+ */
+class ChatBase extends EventEmitter {
+  /**
+   * @param {Corestore} store - Corestore holding the writer cores
+   * @param {string} chatId - Local chat identifier
+   * @param {Object} options
+   * @param {Buffer} [options.key] - Public key of the bootstrap core to join
+   * @param {Object} [options.keyPair] - Key pair for the local writer core
+   * @param {ChatKeyring} [options.keyring] - Chat keys; without one blocks are
+   *   stored as plain JSON
+   * @param {Object} [options.sparse] - {tail, starts}: download only the last
+   *   `tail` blocks of remote writers (null for all of them), and resume
+   *   writers that were sparse before from `starts` ({writerHex: start})
+   * @param {Array<string>} [options.writers] - Hex-encoded keys of writers
+   *   admitted before
+   * @param {Object} [options.resume] - Checkpoint to resume indexing from, as
+   *   returned by getCheckpoint()
+   */
+  constructor(store, chatId, options = {}) {
+    super();
+    this.store = store;
+    this.chatId = chatId;
+    this.bootstrapKey = options.key || null;
+    this.keyPair = options.keyPair || null;
+    this.keyring = options.keyring || null;
+    this.tail = options.sparse?.tail ?? null;
+    this.starts = {...options.sparse?.starts}; // Map<writerKeyHex, start>
+    this.admitted = options.writers || [];
+    // Map<writerKeyHex, {indexed, control}>
+    this.resume = {...options.resume?.writers};
+
+    this.local = null;
+    this.bootstrap = null;
+    this.writers = new Map(); // Map<writerKeyHex, WriterInfo>
+    this.candidates = new Map(); // Map<writerKeyHex, Candidate>
+    // Decides whether a candidate writer is admitted, given its first entry;
+    // candidates wait until it is set (see review)
+    this.admitWriter = null;
+    // Decides whether a signed rotate-key entry may be applied
+    this.acceptRotation = null;
+    this.timeline = []; // Merged control entries, in timeline order
+    this.members = new Map(); // Map<writerKeyHex, member entry>
+    this.pendingRotations = []; // rotate-key ops we cannot apply yet
+    this.rotations = new Set(); // `prev` of every applied rotate-key op
+    this.connections = new Set(); // Replication streams for this chat
+    this.sideCores = new Set(); // Cores replicated with the chat but not merged
+    this.extension = null;
+    this.maxClock = options.resume?.clock ?? 0;
+    this.appending = Promise.resolve(); // Last queued local append
+    this.opened = false;
+    this.closed = false;
+  }
+
+  /**
+   * Open the local writer, the bootstrap core and every writer referenced
+   * from locally available blocks
+   */
+  async ready() {
+    if (this.opened) return;
+
+    this.local = this.keyPair
+      ? this.store.get({keyPair: this.keyPair})
+      : this.store.get({name: this.chatId});
+    await this.local.ready();
+
+    if (!this.bootstrapKey || b4a.equals(this.bootstrapKey, this.local.key)) {
+      this.bootstrap = this.local;
+    } else {
+      this.bootstrap = this.store.get({key: this.bootstrapKey});
+      await this.bootstrap.ready();
+    }
+
+    this.extension = this.bootstrap.registerExtension(WRITERS_EXTENSION, {
+      encoding: 'json',
+      onmessage: (message) => this._onWritersMessage(message),
+    });
+    this.bootstrap.on('peer-add', (peer) => {
+      this.extension.send({writers: this.getWriterKeys()}, peer);
+    });
+
+    // Track our writable session first so later sessions opened by key for
+    // the same core are deduplicated against it
+    await this._addWriter(this.local);
+    if (this.local !== this.bootstrap) {
+      await this._addWriter(this.bootstrap);
+    }
+
+    // Checked when they were admitted
+    for (const keyHex of this.admitted) {
+      await this._addWriter(this.store.get({key: b4a.from(keyHex, 'hex')}));
+    }
+
+    this.opened = true;
+  }
+
+  get key() {
+    return this.bootstrap.key;
+  }
+
+  get discoveryKey() {
+    return this.bootstrap.discoveryKey;
+  }
+
+  get writable() {
+    return this.local.writable;
+  }
+
+  /**
+   * Blocks in all writer cores
+   */
+  get length() {
+    let length = 0;
+    for (const writer of this.writers.values()) length += writer.core.length;
+    return length;
+  }
+
+  get encrypted() {
+    return !!this.keyring;
+  }
+
+  /**
+   * Append a value to the local writer core
+   * @param {Object} value - Block payload (stored as JSON)
+   * @returns {Promise<Object>} - The value as indexed in the timeline
+   */
+  async append(value) {
+    let block;
+    await this._appendBlock(() => {
+      block = {
+        ...value,
+        clock: this.maxClock + 1,
+        seq: this.local.length,
+      };
+      return this.keyring ? this.keyring.encrypt(block) : block;
+    });
+
+    return this._toEntry(b4a.toString(this.local.key, 'hex'), block);
+  }
+
+  /**
+   * Rotate the chat key, e.g. after removing a member
+   * @param {Array<Buffer>} recipients - Identity public keys that receive the
+   *   new key
+   * @param {Function} sign - Returns the operation signed by its author
+   * @returns {Promise<number>} - The new key epoch
+   */
+  async rotateKey(recipients, sign) {
+    if (!this.keyring) {
+      throw new Error('Chat is not encrypted');
+    }
+
+    let op;
+    // Stored unencrypted: members open their copy of the key with their identity
+    await this._appendBlock(() => {
+      op = {
+        ...sign(this.keyring.rotate(recipients)),
+        clock: this.maxClock + 1,
+      };
+      return op;
+    });
+
+    return op.epoch;
+  }
+
+  /**
+   * Read an entry back from its block
+   * Only blocks stored locally are read, nothing is downloaded.
+   * @param {string} id - Entry id (`writer:seq`)
+   * @returns {Promise<Object|null>} - Entry as it was merged, or null if its
+   *   writer is unknown or the block is missing or cannot be opened
+   */
+  async getEntry(id) {
+    const [keyHex, seqText] = String(id).split(':');
+    const writer = this.writers.get(keyHex);
+    const seq = Number(seqText);
+    if (!writer || !/^\d+$/.test(seqText) || !Number.isSafeInteger(seq)) {
+      return null;
+    }
+
+    const block = await writer.core.get(seq, {wait: false});
+    if (!block) return null;
+
+    let value;
+    try {
+      value = this._decode(block);
+    } catch (_error) {
+      return null;
+    }
+    if (value === undefined) return null;
+
+    const clock = typeof value.clock === 'number' ? value.clock : 0;
+    return this._toEntry(keyHex, {...value, clock, seq});
+  }
+
+  /**
+   * Where indexing of every writer is, for a store of the emitted entries to
+   * save along with them and reopen the chat with (`options.resume`)
+   * Every block before `indexed` was merged, and `control` is the last
+   * control block among them.
+   * @returns {Object} - {writers: {writerHex: {indexed, control}}, clock}
+   */
+  getCheckpoint() {
+    const writers = {};
+
+    for (const writer of this.writers.values()) {
+      // Not merged again yet
+      writers[writer.key] = writer.resume || {
+        indexed: writer.indexed,
+        control: writer.control,
+      };
+    }
+
+    return {writers, clock: this.maxClock};
+  }
+
+  /**
+   * Replicate all writer cores of this chat over a connection
+   * Writers discovered later are attached to the same connection.
+   * @param {Stream} conn - Connection stream
+   * @returns {Stream} - Replication stream
+   */
+  replicate(conn) {
+    if (!this.connections.has(conn)) {
+      this.connections.add(conn);
+      conn.once('close', () => this.connections.delete(conn));
+
+      for (const writer of this.writers.values()) {
+        writer.core.replicate(conn);
+      }
+      for (const core of this.sideCores) {
+        core.replicate(conn);
+      }
+      for (const {core} of this.candidates.values()) {
+        core.replicate(conn);
+      }
+    }
+
+    return Hypercore.createProtocolStream(conn);
+  }
+
+  /**
+   * Stop replicating the chat over a connection that stays open, e.g. with a
+   * peer that may no longer read it
+   * Cores the peer asks for again are not handed out unless `replicate` is
+   * called again.
+   * @param {Stream} conn - Connection stream
+   */
+  unreplicate(conn) {
+    if (!this.connections.delete(conn)) return;
+
+    const mux = Hypercore.getProtocolMuxer(conn);
+    const cores = [
+      ...Array.from(this.writers.values(), (writer) => writer.core),
+      ...this.sideCores,
+      ...Array.from(this.candidates.values(), (candidate) => candidate.core),
+    ];
+
+    for (const core of cores) {
+      if (!core.replicator) continue;
+
+      core.replicator.detachFrom(mux);
+      for (const peer of core.peers) {
+        if (peer.protomux === mux) peer.channel.close();
+      }
+    }
+  }
+
+  /**
+   * Check whether a core with this discovery key belongs to the chat
+   * @param {Buffer} discoveryKey - Discovery key
+   * @returns {boolean}
+   */
+  hasDiscoveryKey(discoveryKey) {
+    for (const writer of this.writers.values()) {
+      if (b4a.equals(writer.core.discoveryKey, discoveryKey)) {
+        return true;
+      }
+    }
+
+    for (const core of this.sideCores) {
+      if (b4a.equals(core.discoveryKey, discoveryKey)) {
+        return true;
+      }
+    }
+
+    for (const {core} of this.candidates.values()) {
+      if (core.discoveryKey && b4a.equals(core.discoveryKey, discoveryKey)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Replicate another core over the chat's connections, such as a core of
+   * attachment blobs. Its blocks are not part of the timeline and are only
+   * downloaded when read.
+   * @param {Hypercore} core - Core to replicate
+   */
+  addCore(core) {
+    if (this.sideCores.has(core)) return;
+    this.sideCores.add(core);
+    this._trackTransfers(core);
+
+    for (const conn of this.connections) {
+      core.replicate(conn);
+    }
+  }
+
+  /**
+   * Download and merge history left out of sparse writers, newest first
+   * Waits for peers that have the blocks.
+   * @param {number} [count] - Blocks to add per writer; all by default
+   * @returns {Promise<number>} - Number of blocks added
+   */
+  async backfill(count = Infinity) {
+    const added = await Promise.all(
+      Array.from(this.writers.values(), (writer) => {
+        // One backfill per writer at a time, each continuing the last
+        const previous = writer.backfilling || Promise.resolve(0);
+        writer.backfilling = previous
+          .catch(() => 0)
+          .then(() => this._backfillWriter(writer, count));
+        return writer.backfilling;
+      }),
+    );
+
+    return added.reduce((sum, blocks) => sum + blocks, 0);
+  }
+
+  /**
+   * Sparse download state, to reopen the chat with
+   * @returns {Object|null} - {tail, starts}, or null if not sparse
+   */
+  getSparse() {
+    const sparse = Object.values(this.starts).some((start) => start > 0);
+    if (this.tail === null && !sparse) return null;
+
+    return {tail: this.tail, starts: {...this.starts}};
+  }
+
+  /**
+   * How far each writer is downloaded
+   * Blocks count as downloaded once they are merged into the timeline.
+   * @returns {Array<Object>} - [{key, writable, length, downloaded,
+   *   history}]; history is the number of blocks left out
+   */
+  getSyncStatus() {
+    return Array.from(this.writers.values(), (writer) => {
+      const {core} = writer;
+      // Control blocks before the tail are downloaded with it
+      const controls = [...writer.controls].filter((seq) => seq < writer.start);
+      const history = writer.start > 0 ? writer.start - controls.length : 0;
+
+      // Peers may know of blocks our copy has not been told about yet
+      const remoteLength = core.peers.reduce(
+        (max, peer) => Math.max(max, peer.remoteLength),
+        0,
+      );
+
+      return {
+        key: writer.key,
+        writable: core.writable,
+        length: Math.max(core.length, remoteLength),
+        downloaded: Math.max(0, writer.indexed - history),
+        history,
+      };
+    });
+  }
+
+  /**
+   * Get the public keys of all known writers
+   * @returns {Array<string>} - Hex-encoded writer keys
+   */
+  getWriterKeys() {
+    return Array.from(this.writers.keys());
+  }
+
+  /**
+   * Consider a writer a peer told us about
+   * It is downloaded up to its first block and admitted if that is a member
+   * entry `admitWriter` accepts. Nothing is recorded for writers that are
+   * not, and candidates that take longer than CANDIDATE_TIMEOUT are dropped.
+   * @param {string} keyHex - Hex-encoded writer key
+   */
+  async addWriter(keyHex) {
+    if (typeof keyHex !== 'string' || !/^[0-9a-f]{64}$/.test(keyHex)) {
+      throw new Error('Invalid writer key');
+    }
+
+    if (
+      this.writers.has(keyHex) ||
+      this.candidates.has(keyHex) ||
+      this.candidates.size >= MAX_CANDIDATES ||
+      this.closed
+    ) {
+      return;
+    }
+
+    const candidate = {
+      key: keyHex,
+      core: this.store.get({key: b4a.from(keyHex, 'hex')}),
+      block: null,
+      timer: null,
+    };
+
+    this.candidates.set(keyHex, candidate);
+    candidate.timer = setTimeout(
+      () => this._dropCandidate(candidate),
+      CANDIDATE_TIMEOUT,
+    );
+    candidate.timer.unref?.();
+
+    try {
+      await candidate.core.ready();
+      for (const conn of this.connections) {
+        candidate.core.replicate(conn);
+      }
+
+      candidate.block = await candidate.core.get(0);
+    } catch (error) {
+      // Dropped while waiting
+      if (this.candidates.get(keyHex) !== candidate) return;
+      throw error;
+    }
+
+    await this._reviewCandidate(candidate);
+  }
+
+  /**
+   * Check candidate writers and waiting key rotations again, e.g. once
+   * `admitWriter` and `acceptRotation` are set or roles changed
+   */
+  async review() {
+    this._retryRotations();
+    await this._reviewCandidates();
+  }
+
+  /**
+   * Close all writer cores
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.extension) {
+      this.extension.destroy();
+    }
+
+    for (const candidate of [...this.candidates.values()]) {
+      await this._dropCandidate(candidate);
+    }
+
+    for (const writer of this.writers.values()) {
+      if (writer.download) writer.download.destroy();
+      if (writer.head) writer.head.destroy();
+      await writer.core.close();
+    }
+
+    for (const core of this.sideCores) {
+      await core.close();
+    }
+
+    this.writers.clear();
+    this.sideCores.clear();
+    this.connections.clear();
+    this.removeAllListeners();
+  }
+
+  /**
+   * Append a block to the local writer core
+   * Appends are queued and each block is built once the previous one is
+   * indexed, so the seq and clock it carries are the ones it lands with, and
+   * it points at the control block before it.
+   * @param {Function} build - Returns the block to store
+   */
+  _appendBlock(build) {
+    const appended = this.appending.then(async () => {
+      const writer = this.writers.get(b4a.toString(this.local.key, 'hex'));
+      const block = {...build(), control: writer.control};
+
+      await this.local.append(b4a.from(JSON.stringify(block)));
+      await this._update(writer);
+    });
+
+    this.appending = appended.catch(() => {});
+    return appended;
+  }
+
+  async _reviewCandidates() {
+    for (const candidate of [...this.candidates.values()]) {
+      await this._reviewCandidate(candidate);
+    }
+  }
+
+  /**
+   * Admit a candidate writer if its first entry is a member entry that
+   * `admitWriter` accepts
+   * @param {Object} candidate - Candidate info
+   */
+  async _reviewCandidate(candidate) {
+    if (!this.admitWriter || !candidate.block) return;
+    if (this.candidates.get(candidate.key) !== candidate) return;
+
+    let value;
+    try {
+      value = this._decode(candidate.block);
+    } catch (_error) {
+      value = null;
+    }
+
+    // Sealed under a key we do not hold yet; checked again once a rotation
+    // provides it
+    if (value === undefined) return;
+
+    const entry = value && this._toEntry(candidate.key, {...value, seq: 0});
+    if (!entry || entry.type !== 'member' || !this.admitWriter(entry)) {
+      console.warn(`[ChatBase] Refusing writer ${candidate.key}`);
+      await this._dropCandidate(candidate);
+      return;
+    }
+
+    clearTimeout(candidate.timer);
+    this.candidates.delete(candidate.key);
+    await this._addWriter(candidate.core);
+
+    // Pass it on, so peers that only talk to us learn about it too
+    this.extension.broadcast({writers: [candidate.key]});
+    this.emit('writer', candidate.key);
+  }
+
+  /**
+   * Forget a candidate writer
+   * @param {Object} candidate - Candidate info
+   */
+  async _dropCandidate(candidate) {
+    if (this.candidates.get(candidate.key) !== candidate) return;
+
+    clearTimeout(candidate.timer);
+    this.candidates.delete(candidate.key);
+    await candidate.core.close().catch(() => {});
+  }
+
+  /**
+   * Start tracking a writer core and index its available blocks
+   * @param {Hypercore} core - Writer core
+   */
+  async _addWriter(core) {
+    await core.ready();
+
+    const keyHex = b4a.toString(core.key, 'hex');
+    if (this.writers.has(keyHex)) {
+      if (core !== this.writers.get(keyHex).core) await core.close();
+      return;
+    }
+
+    const writer = {
+      key: keyHex,
+      core,
+      indexed: 0,
+      scanned: 0,
+      // First block of the downloaded tail; the history before it is left
+      // out, except for its control blocks. Null until the length of a sparse
+      // writer is known
+      start: 0,
+      control: null, // Seq of the last control block merged
+      // Seqs of control blocks merged before the tail or the resumed position
+      controls: new Set(),
+      resume: null, // {indexed, control} to skip to, from the checkpoint
+      updating: null,
+      download: null,
+      head: null,
+      backfilling: null,
+    };
+
+    this.writers.set(keyHex, writer);
+
+    const update = () => {
+      this._update(writer).catch((error) => {
+        console.error(`[ChatBase] Failed to index writer ${keyHex}:`, error);
+      });
+    };
+
+    // Blocks the checkpoint has but our copy lost are indexed again
+    const resume = this.resume[keyHex];
+    if (
+      Number.isSafeInteger(resume?.indexed) &&
+      resume.indexed > 0 &&
+      resume.indexed <= core.length
+    ) {
+      writer.resume = resume;
+    }
+
+    core.on('append', update);
+    core.on('download', update);
+    this._trackTransfers(core);
+
+    if (!core.writable) {
+      if (keyHex in this.starts) {
+        writer.start = this.starts[keyHex];
+      } else if (this.tail !== null) {
+        writer.start = null;
+      }
+      this._startDownload(writer);
+    }
+
+    for (const conn of this.connections) {
+      core.replicate(conn);
+    }
+
+    console.log(`[ChatBase] Tracking writer ${keyHex} for ${this.chatId}`);
+
+    await this._update(writer);
+  }
+
+  /**
+   * Download and merge the newest `count` blocks of a writer's left out
+   * history
+   * @param {Object} writer - Writer info
+   * @param {number} count - Blocks to add
+   * @returns {Promise<number>} - Number of blocks added
+   */
+  async _backfillWriter(writer, count) {
+    const end = writer.start;
+    if (!(end > 0) || this.closed) return 0;
+
+    const start = Math.max(0, end - count);
+    await writer.core.download({start, end}).done();
+
+    // Between indexing runs of the writer, so blocks are applied one by one
+    while (writer.updating) await writer.updating;
+    writer.updating = this._indexRange(writer, start, end);
+    try {
+      await writer.updating;
+    } finally {
+      writer.updating = null;
+    }
+
+    writer.start = start;
+    this.starts[writer.key] = writer.start;
+    this.emit('history', this.getSparse());
+
+    console.log(`[ChatBase] Backfilled ${end - start} blocks of ${writer.key}`);
+    return end - start;
+  }
+
+  /**
+   * Merge a downloaded range of a writer's history
+   * @param {Object} writer - Writer info
+   * @param {number} start - First block
+   * @param {number} end - Block after the last
+   */
+  async _indexRange(writer, start, end) {
+    for (let seq = start; seq < end && !this.closed; seq++) {
+      // Merged with the tail already
+      if (writer.controls.has(seq)) continue;
+
+      const block = await writer.core.get(seq, {wait: false});
+      if (!block) continue;
+
+      let value;
+      try {
+        value = this._decode(block);
+      } catch (_error) {
+        console.warn(`[ChatBase] Skipping malformed block ${writer.key}:${seq}`);
+        continue;
+      }
+
+      // Sealed under a key from before we joined
+      if (value === undefined) continue;
+
+      await this._apply(writer, seq, value);
+    }
+  }
+
+  /**
+   * Report the blocks a core exchanges with peers
+   * @param {Hypercore} core - Writer or side core
+   */
+  _trackTransfers(core) {
+    for (const direction of ['download', 'upload']) {
+      core.on(direction, (index, byteLength, from) => {
+        if (!from || !from.remotePublicKey) return;
+
+        this.emit('transfer', {
+          peer: b4a.toString(from.remotePublicKey, 'hex'),
+          direction,
+          byteLength,
+        });
+      });
+    }
+  }
+
+  /**
+   * Handle a writer announcement from a peer
+   * @param {Object} message - {writers: Array<string>}
+   */
+  _onWritersMessage(message) {
+    const keys = Array.isArray(message?.writers) ? message.writers : [];
+
+    for (const keyHex of keys) {
+      this.addWriter(keyHex).catch((error) => {
+        console.error(`[ChatBase] Failed to add writer ${keyHex}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Keep a remote writer downloaded, including future appends: all of it,
+   * or when sparse its last `tail` blocks
+   * @param {Object} writer - Writer info
+   */
+  _startDownload(writer) {
+    const {core} = writer;
+
+    if (writer.start !== 0 && !writer.head) {
+      // Fetching the member entry also tells us how long the writer is
+      writer.head = core.download({start: 0, end: 1});
+    }
+
+    if (writer.start === null) {
+      if (core.length === 0) return;
+
+      writer.start = Math.max(0, core.length - this.tail);
+      this.starts[writer.key] = writer.start;
+      this.emit('history', this.getSparse());
+    }
+
+    if (!writer.download) {
+      writer.download = core.download({start: writer.start, end: -1});
+    }
+  }
+
+  /**
+   * Index all locally available blocks of a writer
+   * @param {Object} writer - Writer info
+   */
+  async _update(writer) {
+    // Serialize updates per writer so blocks are applied in order
+    while (writer.updating) await writer.updating;
+
+    if (writer.start === null) {
+      this._startDownload(writer);
+      if (writer.start === null) return;
+    }
+
+    writer.updating = this._indexAvailable(writer);
+    try {
+      await writer.updating;
+    } finally {
+      writer.updating = null;
+    }
+  }
+
+  async _indexAvailable(writer) {
+    const {core} = writer;
+
+    while (writer.indexed < core.length && !this.closed) {
+      // Skip the blocks merged before the chat was reopened, and the history
+      // left out of a sparse writer, but not their control blocks
+      if (writer.indexed === 0 && writer.resume) {
+        await this._resumeWriter(writer);
+        continue;
+      }
+      if (writer.indexed === 0 && writer.start > 0) {
+        await this._indexControls(writer);
+        continue;
+      }
+
+      const seq = writer.indexed;
+      const block = await core.get(seq, {wait: false});
+      if (!block) break;
+
+      let value;
+      try {
+        value = this._decode(block);
+      } catch (_error) {
+        console.warn(`[ChatBase] Skipping malformed block ${writer.key}:${seq}`);
+        writer.indexed++;
+        continue;
+      }
+
+      // Encrypted under a key we do not hold yet. The rotation that provides
+      // it may come later in this same log, so look ahead for one.
+      if (value === undefined) {
+        await this._scanRotations(writer, seq + 1);
+        break;
+      }
+
+      writer.indexed++;
+      await this._apply(writer, seq, value);
+    }
+  }
+
+  /**
+   * Merge the control blocks of a sparse writer's history, following the
+   * `control` pointers back from the first block of its tail
+   * @param {Object} writer - Writer info
+   */
+  async _indexControls(writer) {
+    const {start} = writer;
+    const seqs = await this._controlChain(
+      writer,
+      start,
+      await this._readControl(writer, start),
+    );
+
+    await this._mergeControls(writer, seqs);
+    writer.indexed = start;
+  }
+
+  /**
+   * Merge the control blocks of what a writer had indexed before the chat
+   * was reopened, and continue after it
+   * @param {Object} writer - Writer info
+   */
+  async _resumeWriter(writer) {
+    const {indexed, control} = writer.resume;
+
+    // History left out since; merged from the tail instead
+    if (writer.start > indexed) {
+      writer.resume = null;
+      return;
+    }
+
+    const seqs = await this._controlChain(writer, indexed, control);
+
+    await this._mergeControls(writer, seqs);
+    writer.indexed = indexed;
+    writer.resume = null;
+  }
+
+  /**
+   * Follow `control` pointers back from a block
+   * @param {Object} writer - Writer info
+   * @param {number} from - Block the pointer was read from
+   * @param {number|null} control - Its pointer
+   * @returns {Promise<Array<number>>} - Seqs of the control blocks before
+   *   `from`, oldest first
+   */
+  async _controlChain(writer, from, control) {
+    const seqs = [];
+    let seq = from;
+
+    // Pointers only go back, so a forged one cannot loop
+    while (Number.isSafeInteger(control) && control >= 0 && control < seq) {
+      seq = control;
+      seqs.push(seq);
+      control = await this._readControl(writer, seq);
+    }
+
+    return seqs.reverse();
+  }
+
+  async _mergeControls(writer, seqs) {
+    for (const seq of seqs) {
+      await this._indexRange(writer, seq, seq + 1);
+      writer.controls.add(seq);
+    }
+  }
+
+  /**
+   * Read the `control` pointer of a block, waiting for it to download
+   * @returns {Promise<number|null>} - Null if the block has none
+   */
+  async _readControl(writer, seq) {
+    try {
+      return parseBlock(await writer.core.get(seq)).control ?? null;
+    } catch (_error) {
+      console.warn(`[ChatBase] Skipping malformed block ${writer.key}:${seq}`);
+      return null;
+    }
+  }
+
+  /**
+   * Apply the key rotations among a writer's blocks past a paused position
+   * @param {Object} writer - Writer info
+   * @param {number} from - First block to look at
+   */
+  async _scanRotations(writer, from) {
+    if (!this.keyring) return;
+
+    const {core} = writer;
+    const start = Math.max(from, writer.scanned);
+
+    for (let seq = start; seq < core.length; seq++) {
+      const block = await core.get(seq, {wait: false});
+      if (!block) break;
+
+      writer.scanned = seq + 1;
+
+      let value;
+      try {
+        ({value} = parseBlock(block));
+      } catch (_error) {
+        continue;
+      }
+
+      if (value.type === 'rotate-key') {
+        this._applyRotation(this._toEntry(writer.key, {...value, seq}));
+      }
+    }
+  }
+
+  /**
+   * Decode (and decrypt) a stored block
+   * @param {Buffer} block - Raw block
+   * @returns {Object|undefined} - Undefined if the block's key is unknown
+   */
+  _decode(block) {
+    const {value} = parseBlock(block);
+    const sealed = typeof value.box === 'string';
+
+    if (!this.keyring) {
+      // Joined without a chat key: nothing can be read
+      return sealed ? undefined : value;
+    }
+
+    if (value.type === 'rotate-key') return value;
+    if (!sealed) throw new Error('Unencrypted block in encrypted chat');
+
+    return this.keyring.decrypt(value);
+  }
+
+  /**
+   * Apply a single block to the view
+   * @param {Object} writer - Writer info
+   * @param {number} seq - Block sequence within the writer core
+   * @param {Object} value - Decoded block
+   */
+  async _apply(writer, seq, value) {
+    const clock = typeof value.clock === 'number' ? value.clock : 0;
+    if (clock > this.maxClock) this.maxClock = clock;
+
+    if (
+      CONTROL_TYPES.includes(value.type) &&
+      (writer.control === null || seq > writer.control)
+    ) {
+      writer.control = seq;
+    }
+
+    const entry = this._toEntry(writer.key, {...value, clock, seq});
+
+    if (value.type === 'rotate-key') {
+      this._applyRotation(entry);
+      return;
+    }
+
+    if (value.type === 'member') {
+      // Members announce the identity they sign with; not a chat message.
+      // The first entry naming its writer is the one that counts.
+      if (this.members.get(writer.key)?.writerKey !== writer.key) {
+        this.members.set(writer.key, entry);
+      }
+      this.emit('member', entry);
+      return;
+    }
+
+    if (CONTROL_TYPES.includes(value.type)) {
+      this.timeline.splice(this._insertionIndex(entry), 0, entry);
+    }
+    this.emit('message', entry);
+  }
+
+  /**
+   * Apply a key rotation found in a log
+   * @param {Object} op - `rotate-key` entry
+   */
+  _applyRotation(op) {
+    if (!this.keyring || this.rotations.has(op.prev)) return;
+
+    // The operation that makes its signer an admin may not be merged yet
+    const result =
+      this.acceptRotation && this.acceptRotation(op)
+        ? this.keyring.applyRotation(op)
+        : undefined;
+
+    if (result === false) {
+      console.warn(`[ChatBase] Invalid key rotation in ${this.chatId}`);
+      return;
+    }
+
+    if (result === undefined) {
+      // Not accepted yet, not sealed to us, or an older rotation we can open
+      // once a newer one gives us its key
+      if (!this.pendingRotations.some((pending) => pending.id === op.id)) {
+        this.pendingRotations.push(op);
+      }
+      return;
+    }
+
+    this.rotations.add(op.prev);
+
+    // A newly learned key may unlock older rotations, paused writers and
+    // candidate writers
+    this._retryRotations();
+
+    for (const writer of this.writers.values()) {
+      if (writer.indexed < writer.core.contiguousLength) {
+        this._update(writer).catch((error) => {
+          console.error(
+            `[ChatBase] Failed to index writer ${writer.key}:`,
+            error,
+          );
+        });
+      }
+    }
+
+    this._reviewCandidates().catch((error) => {
+      console.error('[ChatBase] Failed to review writers:', error);
+    });
+
+    this.emit('keys', this.keyring);
+  }
+
+  _retryRotations() {
+    const pending = this.pendingRotations;
+    this.pendingRotations = [];
+    for (const op of pending) this._applyRotation(op);
+  }
+
+  /**
+   * Build a timeline entry from a stored block
+   */
+  _toEntry(writerKey, value) {
+    return {
+      ...value,
+      id: `${writerKey}:${value.seq}`,
+      writer: writerKey,
+    };
+  }
+
+  /**
+   * Find where an entry belongs in the timeline (binary search)
+   */
+  _insertionIndex(entry) {
+    let low = 0;
+    let high = this.timeline.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (compareEntries(this.timeline[mid], entry) < 0) low = mid + 1;
+      else high = mid;
+    }
+
+    return low;
+  }
+}
+
+/**
+ * Total order over timeline entries: Lamport clock, then writer, then seq
+ */
+function compareEntries(a, b) {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  if (a.writer !== b.writer) return a.writer < b.writer ? -1 : 1;
+  return a.seq - b.seq;
+}
+
+/**
+ * Parse a stored block into its value and the `control` pointer kept next to
+ * it
+ * @param {Buffer} block - Raw block
+ * @returns {Object} - {value, control}
+ */
+function parseBlock(block) {
+  const {control, ...value} = JSON.parse(b4a.toString(block));
+  return {value, control};
+}
+
+ChatBase.compareEntries = compareEntries;
+
+module.exports = ChatBase;
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const {Readable} = require('stream');
+const Hyperblobs = require('hyperblobs');
+const sodium = require('sodium-universal');
+const b4a = require('b4a');
+
+const KEY_BYTES = sodium.crypto_secretstream_xchacha20poly1305_KEYBYTES;
+const HEADER_BYTES = sodium.crypto_secretstream_xchacha20poly1305_HEADERBYTES;
+const STATE_BYTES = sodium.crypto_secretstream_xchacha20poly1305_STATEBYTES;
+const A_BYTES = sodium.crypto_secretstream_xchacha20poly1305_ABYTES;
+const TAG_MESSAGE = sodium.crypto_secretstream_xchacha20poly1305_TAG_MESSAGE;
+const TAG_FINAL = sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL;
+const HASH_BYTES = 32;
+
+// Plaintext is sealed in chunks of this size; each sealed chunk is A_BYTES
+// longer
+const CHUNK_SIZE = 64 * 1024;
+// How long a download waits for a block before giving up
+const FETCH_TIMEOUT = 30000;
+
+/**
+ * ChatBlobs - Attachments of a chat, stored with Hyperblobs
+ *
+ * Every participant writes the files they attach to a blob core of their own,
+ * which is replicated over the chat's connections. Blob cores are not
+ * downloaded eagerly: blocks are fetched from peers when an attachment is
+ * opened, and the file is written to a local cache named after its hash.
+ *
+ * Files are sealed with a fresh XChaCha20-Poly1305 secretstream key per
+ * attachment. The key travels in the message that references the blob, so an
+ * encrypted chat's attachments are as private as its messages.
+ */
+class ChatBlobs {
+  /**
+   * @param {Corestore} store - Corestore holding the blob cores
+   * @param {ChatBase} chat - Chat the attachments belong to
+   * @param {string} cachePath - Directory downloaded files are written to
+   */
+  constructor(store, chat, cachePath) {
+    this.store = store;
+    this.chat = chat;
+    this.cachePath = cachePath;
+    this.local = null;
+    this.remotes = new Map(); // Map<blobCoreKeyHex, Hyperblobs>
+    this.downloads = new Map(); // Map<hash, Promise<path>>
+  }
+
+  /**
+   * Open our blob core and replicate it with the chat
+   */
+  async ready() {
+    const core = this.store.get({name: `blobs/${this.chat.chatId}`});
+    await core.ready();
+
+    this.local = new Hyperblobs(core);
+    this.remotes.set(b4a.toString(core.key, 'hex'), this.local);
+    this.chat.addCore(core);
+  }
+
+  /**
+   * Store a local file as an attachment
+   * @param {string} filePath - Path of the file to attach
+   * @param {Object} [metadata] - {name, mime}
+   * @returns {Promise<Object>} - Attachment reference to put in a message:
+   *   {blobs, id, name, mime, size, hash, key, header}
+   */
+  async put(filePath, metadata = {}) {
+    const stat = await fs.promises.stat(filePath);
+    if (!stat.isFile()) {
+      throw new Error(`${filePath} is not a file`);
+    }
+
+    const key = randomBytes(KEY_BYTES);
+    const header = b4a.alloc(HEADER_BYTES);
+    const state = b4a.alloc(STATE_BYTES);
+    sodium.crypto_secretstream_xchacha20poly1305_init_push(state, header, key);
+
+    const hash = b4a.alloc(sodium.crypto_generichash_STATEBYTES);
+    sodium.crypto_generichash_init(hash, null, HASH_BYTES);
+
+    const stream = this.local.createWriteStream();
+    const closed = new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.once('close', resolve);
+    });
+
+    let size = 0;
+    let previous = null;
+
+    // Hold one chunk back so the last one can be tagged as final
+    for await (const chunk of chunks(fs.createReadStream(filePath), CHUNK_SIZE)) {
+      if (previous) await write(stream, seal(state, previous, TAG_MESSAGE));
+      sodium.crypto_generichash_update(hash, chunk);
+      size += chunk.byteLength;
+      previous = chunk;
+    }
+    await write(stream, seal(state, previous || b4a.alloc(0), TAG_FINAL));
+
+    stream.end();
+    await closed;
+
+    const digest = b4a.alloc(HASH_BYTES);
+    sodium.crypto_generichash_final(hash, digest);
+
+    const attachment = {
+      blobs: b4a.toString(this.local.key, 'hex'),
+      id: stream.id,
+      name: metadata.name || path.basename(filePath),
+      mime: metadata.mime || 'application/octet-stream',
+      size,
+      hash: b4a.toString(digest, 'hex'),
+      key: b4a.toString(key, 'hex'),
+      header: b4a.toString(header, 'hex'),
+    };
+
+    console.log(
+      `[Blobs] Stored ${attachment.name} (${size} bytes) in ${this.chat.chatId}`,
+    );
+    return attachment;
+  }
+
+  /**
+   * Download an attachment to the local cache
+   * Concurrent fetches of the same file share one download.
+   * @param {Object} attachment - Attachment reference from a message
+   * @param {Function} [onProgress] - Called with (loaded, total) bytes
+   * @returns {Promise<string>} - Path of the cached file
+   */
+  fetch(attachment, onProgress = () => {}) {
+    validateAttachment(attachment);
+
+    if (!this.downloads.has(attachment.hash)) {
+      const download = this._fetch(attachment, onProgress).finally(() => {
+        this.downloads.delete(attachment.hash);
+      });
+      this.downloads.set(attachment.hash, download);
+    }
+
+    return this.downloads.get(attachment.hash);
+  }
+
+  /**
+   * Path an attachment is cached at once downloaded
+   * @param {Object} attachment - Attachment reference
+   * @returns {string}
+   */
+  cachePathFor(attachment) {
+    // Keep a short extension so viewers can recognize the file type
+    const extension = path.extname(attachment.name || '').toLowerCase();
+    const safeExtension = /^\.[a-z0-9]{1,8}$/.test(extension) ? extension : '';
+    return path.join(this.cachePath, attachment.hash + safeExtension);
+  }
+
+  /**
+   * Read an attachment as it downloads, without waiting for the whole file
+   * Every chunk is authenticated before it is passed on, so the stream can be
+   * played or rendered right away; it errors if the file turns out truncated
+   * or does not match its hash. A cached copy is read from disk instead.
+   * @param {Object} attachment - Attachment reference from a message
+   * @returns {Readable} - Stream of the file's bytes
+   */
+  createReadStream(attachment) {
+    validateAttachment(attachment);
+
+    const target = this.cachePathFor(attachment);
+    if (fs.existsSync(target)) {
+      return fs.createReadStream(target);
+    }
+
+    return Readable.from(this._decrypt(attachment, () => {}));
+  }
+
+  async _fetch(attachment, onProgress) {
+    const target = this.cachePathFor(attachment);
+
+    try {
+      await fs.promises.access(target);
+      return target;
+    } catch (_error) {
+      // Not cached yet
+    }
+
+    await fs.promises.mkdir(this.cachePath, {recursive: true});
+    const tmpPath = `${target}.${process.pid}.tmp`;
+    const file = await fs.promises.open(tmpPath, 'w');
+
+    try {
+      for await (const plaintext of this._decrypt(attachment, onProgress)) {
+        await file.write(plaintext);
+      }
+    } catch (error) {
+      await file.close();
+      await fs.promises.rm(tmpPath, {force: true});
+      throw error;
+    }
+
+    await file.close();
+    await fs.promises.rename(tmpPath, target);
+
+    console.log(`[Blobs] Downloaded ${attachment.name} to ${target}`);
+    return target;
+  }
+
+  /**
+   * Download and open the chunks of an attachment in order
+   */
+  async *_decrypt(attachment, onProgress) {
+    const blobs = await this._open(attachment.blobs);
+    const total = attachment.id.byteLength;
+
+    const state = b4a.alloc(STATE_BYTES);
+    sodium.crypto_secretstream_xchacha20poly1305_init_pull(
+      state,
+      b4a.from(attachment.header, 'hex'),
+      b4a.from(attachment.key, 'hex'),
+    );
+
+    const hash = b4a.alloc(sodium.crypto_generichash_STATEBYTES);
+    sodium.crypto_generichash_init(hash, null, HASH_BYTES);
+
+    let loaded = 0;
+    let size = 0;
+    let final = false;
+
+    const stream = blobs.createReadStream(attachment.id, {
+      wait: true,
+      timeout: FETCH_TIMEOUT,
+    });
+    const progress = async function* (source) {
+      for await (const block of source) {
+        loaded += block.byteLength;
+        onProgress(loaded, total);
+        yield block;
+      }
+    };
+
+    for await (const chunk of chunks(progress(stream), CHUNK_SIZE + A_BYTES)) {
+      if (final) {
+        throw new Error('Attachment has data after its final chunk');
+      }
+
+      const {plaintext, tag} = open(state, chunk);
+      final = tag === TAG_FINAL;
+
+      sodium.crypto_generichash_update(hash, plaintext);
+      size += plaintext.byteLength;
+      yield plaintext;
+    }
+
+    const digest = b4a.alloc(HASH_BYTES);
+    sodium.crypto_generichash_final(hash, digest);
+
+    if (!final || size !== attachment.size) {
+      throw new Error('Attachment is truncated');
+    }
+    if (b4a.toString(digest, 'hex') !== attachment.hash) {
+      throw new Error('Attachment hash does not match');
+    }
+  }
+
+  async _open(keyHex) {
+    if (this.remotes.has(keyHex)) {
+      return this.remotes.get(keyHex);
+    }
+
+    const core = this.store.get({key: b4a.from(keyHex, 'hex')});
+    await core.ready();
+
+    const blobs = new Hyperblobs(core);
+    this.remotes.set(keyHex, blobs);
+    this.chat.addCore(core);
+
+    return blobs;
+  }
+}
+
+/**
+ * Check the shape of an attachment reference taken from a message
+ * @param {Object} attachment - Attachment reference
+ * @throws {Error} If a field is missing or malformed
+ */
+function validateAttachment(attachment) {
+  const {id} = attachment || {};
+
+  const valid =
+    isHex(attachment?.blobs, 32) &&
+    id &&
+    ['byteOffset', 'blockOffset', 'blockLength', 'byteLength'].every(
+      (field) => Number.isSafeInteger(id[field]) && id[field] >= 0,
+    ) &&
+    typeof attachment.name === 'string' &&
+    typeof attachment.mime === 'string' &&
+    Number.isSafeInteger(attachment.size) &&
+    attachment.size >= 0 &&
+    isHex(attachment.hash, HASH_BYTES) &&
+    isHex(attachment.key, KEY_BYTES) &&
+    isHex(attachment.header, HEADER_BYTES);
+
+  if (!valid) {
+    throw new Error('Invalid attachment');
+  }
+}
+
+/**
+ * Re-slice a stream of buffers into chunks of a fixed size (the last one may
+ * be shorter)
+ */
+async function* chunks(source, size) {
+  let pending = b4a.alloc(0);
+
+  for await (const data of source) {
+    pending = pending.byteLength ? b4a.concat([pending, data]) : data;
+
+    while (pending.byteLength >= size) {
+      yield pending.subarray(0, size);
+      pending = pending.subarray(size);
+    }
+  }
+
+  if (pending.byteLength) yield pending;
+}
+
+function seal(state, plaintext, tag) {
+  const ciphertext = b4a.alloc(plaintext.byteLength + A_BYTES);
+  sodium.crypto_secretstream_xchacha20poly1305_push(
+    state,
+    ciphertext,
+    plaintext,
+    null,
+    tag,
+  );
+  return ciphertext;
+}
+
+function open(state, ciphertext) {
+  if (ciphertext.byteLength < A_BYTES) {
+    throw new Error('Attachment chunk is too short');
+  }
+
+  const plaintext = b4a.alloc(ciphertext.byteLength - A_BYTES);
+  const tag = b4a.alloc(1);
+
+  try {
+    sodium.crypto_secretstream_xchacha20poly1305_pull(
+      state,
+      plaintext,
+      tag,
+      ciphertext,
+      null,
+    );
+  } catch (_error) {
+    throw new Error('Failed to decrypt attachment');
+  }
+
+  return {plaintext, tag: tag[0]};
+}
+
+function write(stream, data) {
+  if (stream.write(data)) return Promise.resolve();
+  return new Promise((resolve) => stream.once('drain', resolve));
+}
+
+function randomBytes(size) {
+  const buffer = b4a.alloc(size);
+  sodium.randombytes_buf(buffer);
+  return buffer;
+}
+
+function isHex(value, bytes) {
+  return (
+    typeof value === 'string' &&
+    value.length === bytes * 2 &&
+    /^[0-9a-f]+$/.test(value)
+  );
+}
+
+ChatBlobs.validateAttachment = validateAttachment;
+
+module.exports = ChatBlobs;
@@ -0,0 +1,264 @@
+const sodium = require('sodium-universal');
+const b4a = require('b4a');
+
+const KEY_BYTES = sodium.crypto_secretbox_KEYBYTES;
+const NONCE_BYTES = sodium.crypto_secretbox_NONCEBYTES;
+const MAC_BYTES = sodium.crypto_secretbox_MACBYTES;
+
+/**
+ * ChatKeyring - Symmetric keys of an encrypted chat
+ *
+ * Chat contents are sealed with XSalsa20-Poly1305 under a random 32-byte key
+ * that is only ever shared in invites, so knowing a core's public key is not
+ * enough to read it. Keys are numbered by epoch. Rotating creates the next
+ * epoch and produces a `rotate-key` operation carrying:
+ *  - the new key sealed to the identity key of every remaining member
+ *  - the previous key encrypted under the new one, so anyone invited after the
+ *    rotation can still read the history
+ */
+class ChatKeyring {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.keys] - Known keys as {epoch: hexKey}
+   * @param {Object} [options.identity] - Identity key pair, used to open keys
+   *   sealed to us in rotations
+   */
+  constructor(options = {}) {
+    this.keys = new Map(); // Map<epoch, Buffer>
+    this.identity = options.identity || null;
+
+    for (const [epoch, keyHex] of Object.entries(options.keys || {})) {
+      this.add(Number(epoch), b4a.from(keyHex, 'hex'));
+    }
+  }
+
+  /**
+   * Create a keyring with a fresh key at epoch 0
+   * @param {Object} [identity] - Identity key pair
+   * @returns {ChatKeyring}
+   */
+  static generate(identity = null) {
+    const keyring = new ChatKeyring({identity});
+    keyring.add(0, randomBytes(KEY_BYTES));
+    return keyring;
+  }
+
+  /**
+   * Latest known epoch, or -1 if the keyring is empty
+   */
+  get epoch() {
+    return this.keys.size ? Math.max(...this.keys.keys()) : -1;
+  }
+
+  /**
+   * Key of the latest known epoch
+   * @returns {Object|null} - {epoch, key}
+   */
+  get current() {
+    const epoch = this.epoch;
+    return epoch === -1 ? null : {epoch, key: this.keys.get(epoch)};
+  }
+
+  /**
+   * Add a key for an epoch
+   * @param {number} epoch - Key epoch
+   * @param {Buffer} key - 32-byte key
+   * @returns {boolean} - True if the key was new
+   */
+  add(epoch, key) {
+    if (!Number.isInteger(epoch) || epoch < 0) {
+      throw new Error('Invalid key epoch');
+    }
+
+    if (!b4a.isBuffer(key) || key.byteLength !== KEY_BYTES) {
+      throw new Error('Invalid chat key');
+    }
+
+    if (this.keys.has(epoch)) return false;
+
+    this.keys.set(epoch, key);
+    return true;
+  }
+
+  /**
+   * Check whether the key of an epoch is known
+   * @param {number} epoch - Key epoch
+   * @returns {boolean}
+   */
+  has(epoch) {
+    return this.keys.has(epoch);
+  }
+
+  /**
+   * Encrypt a value with the current key
+   * @param {Object} value - JSON serializable value
+   * @returns {Object} - Envelope {epoch, nonce, box}
+   */
+  encrypt(value) {
+    const {epoch, key} = this.current;
+    const nonce = randomBytes(NONCE_BYTES);
+    const box = seal(b4a.from(JSON.stringify(value)), nonce, key);
+
+    return {
+      epoch,
+      nonce: b4a.toString(nonce, 'base64'),
+      box: b4a.toString(box, 'base64'),
+    };
+  }
+
+  /**
+   * Decrypt an envelope
+   * @param {Object} envelope - {epoch, nonce, box}
+   * @returns {Object|undefined} - The value, or undefined if the epoch's key
+   *   is not known (yet)
+   */
+  decrypt(envelope) {
+    const key = this.keys.get(envelope.epoch);
+    if (!key) return undefined;
+
+    const plaintext = open(
+      b4a.from(envelope.box, 'base64'),
+      b4a.from(envelope.nonce, 'base64'),
+      key,
+    );
+
+    if (!plaintext) {
+      throw new Error(`Failed to decrypt block for epoch ${envelope.epoch}`);
+    }
+
+    return JSON.parse(b4a.toString(plaintext));
+  }
+
+  /**
+   * Create the next epoch key and the operation that shares it
+   * The new key is added to this keyring.
+   * @param {Array<Buffer>} recipients - Identity public keys of the members
+   *   who keep access
+   * @returns {Object} - `rotate-key` operation (stored unencrypted)
+   */
+  rotate(recipients) {
+    const previous = this.current;
+    if (!previous) {
+      throw new Error('Cannot rotate an empty keyring');
+    }
+
+    const epoch = previous.epoch + 1;
+    const key = randomBytes(KEY_BYTES);
+    const nonce = randomBytes(NONCE_BYTES);
+
+    const sealed = recipients.map((publicKey) => {
+      const boxed = b4a.alloc(KEY_BYTES + sodium.crypto_box_SEALBYTES);
+      sodium.crypto_box_seal(boxed, key, toCurvePublicKey(publicKey));
+      return b4a.toString(boxed, 'base64');
+    });
+
+    this.add(epoch, key);
+
+    return {
+      type: 'rotate-key',
+      epoch,
+      nonce: b4a.toString(nonce, 'base64'),
+      prev: b4a.toString(seal(previous.key, nonce, key), 'base64'),
+      sealed,
+    };
+  }
+
+  /**
+   * Learn keys from a `rotate-key` operation
+   * The epoch key is opened with our identity (if it was sealed to us) and the
+   * previous key is recovered from it. A rotation whose previous key does not
+   * match the one we already hold is rejected, so only someone who could read
+   * the chat can rotate its key.
+   * @param {Object} op - `rotate-key` operation
+   * @returns {boolean|undefined} - True if the rotation is valid, false if it
+   *   is forged, undefined if we cannot open it (yet)
+   */
+  applyRotation(op) {
+    if (!Number.isInteger(op.epoch) || op.epoch < 1) return false;
+
+    let key = this.keys.get(op.epoch);
+    if (!key) key = this._openSealed(op.sealed);
+    if (!key) return undefined;
+
+    const previous = open(
+      b4a.from(op.prev || '', 'base64'),
+      b4a.from(op.nonce || '', 'base64'),
+      key,
+    );
+
+    if (!previous || previous.byteLength !== KEY_BYTES) return false;
+
+    const known = this.keys.get(op.epoch - 1);
+    if (known && !b4a.equals(known, previous)) return false;
+
+    this.add(op.epoch, key);
+    this.add(op.epoch - 1, previous);
+    return true;
+  }
+
+  /**
+   * Serialize the known keys
+   * @returns {Object} - {epoch: hexKey}
+   */
+  toJSON() {
+    const keys = {};
+    for (const [epoch, key] of this.keys) {
+      keys[epoch] = b4a.toString(key, 'hex');
+    }
+    return keys;
+  }
+
+  _openSealed(sealed) {
+    if (!this.identity || !Array.isArray(sealed)) return null;
+
+    const publicKey = toCurvePublicKey(this.identity.publicKey);
+    const secretKey = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES);
+    sodium.crypto_sign_ed25519_sk_to_curve25519(
+      secretKey,
+      this.identity.secretKey,
+    );
+
+    for (const entry of sealed) {
+      const boxed = b4a.from(String(entry), 'base64');
+      if (boxed.byteLength !== KEY_BYTES + sodium.crypto_box_SEALBYTES) continue;
+
+      const key = b4a.alloc(KEY_BYTES);
+      if (sodium.crypto_box_seal_open(key, boxed, publicKey, secretKey)) {
+        return key;
+      }
+    }
+
+    return null;
+  }
+}
+
+function randomBytes(size) {
+  const buffer = b4a.alloc(size);
+  sodium.randombytes_buf(buffer);
+  return buffer;
+}
+
+function seal(message, nonce, key) {
+  const ciphertext = b4a.alloc(message.byteLength + MAC_BYTES);
+  sodium.crypto_secretbox_easy(ciphertext, message, nonce, key);
+  return ciphertext;
+}
+
+function open(ciphertext, nonce, key) {
+  if (ciphertext.byteLength < MAC_BYTES || nonce.byteLength !== NONCE_BYTES) {
+    return null;
+  }
+
+  const message = b4a.alloc(ciphertext.byteLength - MAC_BYTES);
+  return sodium.crypto_secretbox_open_easy(message, ciphertext, nonce, key)
+    ? message
+    : null;
+}
+
+function toCurvePublicKey(publicKey) {
+  const curveKey = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+  sodium.crypto_sign_ed25519_pk_to_curve25519(curveKey, publicKey);
+  return curveKey;
+}
+
+module.exports = ChatKeyring;
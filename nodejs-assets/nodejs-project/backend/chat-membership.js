@@ -0,0 +1,397 @@
+const EventEmitter = require('events');
+const b4a = require('b4a');
+const ChatBase = require('./chat-base');
+
+// Highest first; a role can only be granted or acted on by a higher one
+const ROLES = ['owner', 'admin', 'member', 'read-only'];
+const ACTIONS = ['invite', 'kick', 'ban', 'promote'];
+// Members nobody has acted on yet
+const DEFAULT_ROLE = 'member';
+
+/**
+ * ChatMembership - Roles and moderation of a chat
+ *
+ * Every writer starts with a signed `member` entry naming its own key
+ * (`writerKey`), which binds the writer to the identity that signed it; an
+ * entry copied into another writer names the wrong key and is ignored. The
+ * owner is whoever signed the member entry of the bootstrap writer, i.e. the
+ * chat's creator. Everybody else who joins is a member unless a
+ * `membership` operation in the log says otherwise:
+ *  - `invite` {identity, role}: admits an identity with a role, including
+ *    one that was kicked or banned
+ *  - `promote` {identity, role}: changes the role of an active member
+ *  - `kick` {identity}: removes a member; what they wrote before stays
+ *  - `ban` {identity}: removes a member and hides everything they wrote
+ *
+ * Operations are signed by their actor and replayed in timeline order, so
+ * every peer derives the same roles. Only owners and admins act, and only on
+ * identities ranked below them; admins can grant member and read-only, the
+ * owner can also grant admin. Operations that break these rules are ignored.
+ *
+ * Operations also record how long each of the target's writers was
+ * (`writers`). A block past that length counts as written after the
+ * operation even if its clock says otherwise, so a removed member cannot
+ * slip messages in by backdating them.
+ *
+ * Entries of kicked and read-only members written after the operation, and
+ * all entries of banned members, are not allowed (see `allows`), and neither
+ * are unsigned entries or entries of writers not bound to their signer. The
+ * message view skips them when it merges the timeline.
+ *
+ * Events:
+ *  - 'change': roles changed and the view must be rebuilt
+ */
+class ChatMembership extends EventEmitter {
+  /**
+   * @param {ChatBase} core - Chat core
+   * @param {Function} verify - Returns a copy of a timeline entry with its
+   *   `verified` flag set
+   */
+  constructor(core, verify) {
+    super();
+    this.core = core;
+    this.verify = verify;
+    this.ops = []; // Verified membership operations in timeline order
+    this.writerIdentities = new Map(); // Map<writerHex, identityHex>
+    this.joined = new Map(); // Map<identityHex, {writers, joinedAt}>
+    this.history = new Map(); // Map<identityHex, Array<{op, role, status}>>
+    this.owner = null;
+
+    this._onMessage = (entry) => {
+      if (entry.type !== 'membership') return;
+
+      const op = this.verify(entry);
+      if (!op.verified) return;
+
+      this.ops.splice(insertionIndex(this.ops, op), 0, op);
+      this._replay();
+    };
+
+    this._onMember = (entry) => {
+      if (this._addMember(entry)) this._replay();
+    };
+
+    for (const entry of core.members.values()) this._addMember(entry);
+    this.ops = core.timeline
+      .filter((entry) => entry.type === 'membership')
+      .map((entry) => this.verify(entry))
+      .filter((op) => op.verified);
+    this._replay();
+
+    core.on('message', this._onMessage);
+    core.on('member', this._onMember);
+  }
+
+  /**
+   * Role and status of an identity
+   * @param {string} identity - Hex-encoded identity key
+   * @returns {Object} - {role, status}; status is 'active', 'kicked' or
+   *   'banned'
+   */
+  roleOf(identity) {
+    const history = this.history.get(identity);
+    if (history) {
+      const {role, status} = history[history.length - 1];
+      return {role, status};
+    }
+
+    return {
+      role: identity === this.owner ? 'owner' : DEFAULT_ROLE,
+      status: 'active',
+    };
+  }
+
+  /**
+   * Whether an identity may currently write to the chat
+   * @param {string} identity - Hex-encoded identity key
+   * @returns {boolean}
+   */
+  canPost(identity) {
+    const {role, status} = this.roleOf(identity);
+    return status === 'active' && role !== 'read-only';
+  }
+
+  /**
+   * Check whether an actor may perform an operation
+   * @param {string} actor - Identity of the actor
+   * @param {string} action - 'invite', 'kick', 'ban' or 'promote'
+   * @param {string} identity - Identity the operation is about
+   * @param {string} [role] - Role granted by invite or promote
+   * @returns {string|null} - Why it is not allowed, or null
+   */
+  check(actor, action, identity, role) {
+    return authorize(
+      this.roleOf(actor),
+      this.roleOf(identity),
+      {action, identity, role},
+      identity === this.owner,
+    );
+  }
+
+  /**
+   * Whether a timeline entry is shown
+   * It must be signed by the member its writer is bound to, and is checked
+   * against that member's role.
+   * @param {Object} entry - Timeline entry, with its `verified` flag
+   * @returns {boolean}
+   */
+  allows(entry) {
+    if (!this.isBound(entry)) return false;
+
+    const history = this.history.get(entry.authorId);
+    if (history && history[history.length - 1].status === 'banned') {
+      return false;
+    }
+
+    const {role, status} = this._roleAt(entry.authorId, entry);
+    return status === 'active' && role !== 'read-only';
+  }
+
+  /**
+   * Whether an entry was signed by an owner or admin, as of its place in the
+   * timeline; only they may rotate the chat key
+   * @param {Object} entry - Timeline entry
+   * @returns {boolean}
+   */
+  canRotate(entry) {
+    const op = this.verify(entry);
+    if (!this.isBound(op)) return false;
+
+    const {role, status} = this._roleAt(op.authorId, op);
+    return status === 'active' && rank(role) >= rank('admin');
+  }
+
+  /**
+   * Whether an entry is signed by the member its writer is bound to
+   * @param {Object} entry - Timeline entry, with its `verified` flag
+   * @returns {boolean}
+   */
+  isBound(entry) {
+    return (
+      entry.verified === true &&
+      this.writerIdentities.get(entry.writer) === entry.authorId
+    );
+  }
+
+  /**
+   * Whether a writer may join the chat
+   * Its first entry must be a member entry naming it, signed by an identity
+   * that was not kicked or banned.
+   * @param {Object} entry - First entry of the writer
+   * @returns {boolean}
+   */
+  admits(entry) {
+    const member = this.verify(entry);
+
+    return (
+      member.type === 'member' &&
+      member.verified &&
+      member.writerKey === member.writer &&
+      this.roleOf(member.authorId).status === 'active'
+    );
+  }
+
+  /**
+   * Everybody with a role in the chat: members that joined and identities
+   * that were invited, kicked or banned
+   * @returns {Array<Object>} - [{identity, writers, joinedAt, role, status}];
+   *   joinedAt is null for invited identities that have not joined yet
+   */
+  list() {
+    const identities = new Set([...this.joined.keys(), ...this.history.keys()]);
+
+    return Array.from(identities, (identity) => {
+      const joined = this.joined.get(identity);
+
+      return {
+        identity,
+        writers: joined ? joined.writers : [],
+        joinedAt: joined ? joined.joinedAt : null,
+        ...this.roleOf(identity),
+      };
+    });
+  }
+
+  /**
+   * Length of each writer of a member, recorded in operations about them
+   * @param {string} identity - Hex-encoded identity key
+   * @returns {Object} - {writerHex: length}
+   */
+  writerLengths(identity) {
+    const lengths = {};
+    const joined = this.joined.get(identity);
+
+    for (const writer of joined ? joined.writers : []) {
+      const writerInfo = this.core.writers.get(writer);
+      lengths[writer] = writerInfo ? writerInfo.core.length : 0;
+    }
+
+    return lengths;
+  }
+
+  /**
+   * Stop tracking
+   */
+  close() {
+    this.core.off('message', this._onMessage);
+    this.core.off('member', this._onMember);
+  }
+
+  /**
+   * Role and status of an identity when an entry was written
+   * @returns {Object} - {role, status}
+   */
+  _roleAt(identity, entry) {
+    let state = {
+      role: identity === this.owner ? 'owner' : DEFAULT_ROLE,
+      status: 'active',
+    };
+
+    for (const item of this.history.get(identity) || []) {
+      if (isAfter(entry, item.op)) state = item;
+    }
+
+    return {role: state.role, status: state.status};
+  }
+
+  /**
+   * Record a member entry
+   * @returns {boolean} - True if it was new, verified and names its writer
+   */
+  _addMember(entry) {
+    const member = this.verify(entry);
+    if (
+      !member.verified ||
+      member.writerKey !== member.writer ||
+      this.writerIdentities.has(member.writer)
+    ) {
+      return false;
+    }
+
+    this.writerIdentities.set(member.writer, member.authorId);
+
+    const joined = this.joined.get(member.authorId) || {
+      writers: [],
+      joinedAt: member.timestamp,
+    };
+    joined.writers.push(member.writer);
+    joined.joinedAt = Math.min(joined.joinedAt, member.timestamp);
+    this.joined.set(member.authorId, joined);
+
+    return true;
+  }
+
+  /**
+   * Derive every role from the operations, in timeline order
+   */
+  _replay() {
+    const bootstrap = b4a.toString(this.core.key, 'hex');
+    const previous = this._snapshot();
+
+    this.owner = this.writerIdentities.get(bootstrap) || null;
+    this.history = new Map();
+
+    for (const op of this.ops) {
+      if (!this.isBound(op)) continue;
+
+      const allowed = !authorize(
+        this.roleOf(op.authorId),
+        this.roleOf(op.identity),
+        op,
+        op.identity === this.owner,
+      );
+      if (!allowed) continue;
+
+      const {role} = this.roleOf(op.identity);
+      const next = {op, role, status: 'active'};
+
+      if (op.action === 'invite' || op.action === 'promote') {
+        next.role = op.role;
+      } else {
+        next.status = op.action === 'kick' ? 'kicked' : 'banned';
+      }
+
+      if (!this.history.has(op.identity)) this.history.set(op.identity, []);
+      this.history.get(op.identity).push(next);
+    }
+
+    if (this._snapshot() !== previous) this.emit('change');
+  }
+
+  _snapshot() {
+    const states = Array.from(this.history, ([identity, history]) => [
+      identity,
+      history.map(({op, role, status}) => [op.id, role, status]),
+    ]);
+    return JSON.stringify([this.owner, states]);
+  }
+}
+
+/**
+ * Check a membership operation against the roles of its actor and target
+ * @param {Object} actor - {role, status} of the actor
+ * @param {Object} target - {role, status} of the identity acted on
+ * @param {Object} op - {action, identity, role}
+ * @param {boolean} isOwner - Whether the target is the chat owner
+ * @returns {string|null} - Why it is not allowed, or null
+ */
+function authorize(actor, target, op, isOwner) {
+  if (!ACTIONS.includes(op.action)) {
+    return `Unknown membership action: ${op.action}`;
+  }
+  if (typeof op.identity !== 'string' || !/^[0-9a-f]{64}$/.test(op.identity)) {
+    return 'Invalid identity key';
+  }
+  if (actor.status !== 'active' || rank(actor.role) < rank('admin')) {
+    return 'Only owners and admins can manage members';
+  }
+  if (isOwner || rank(target.role) >= rank(actor.role)) {
+    return `Cannot manage a member whose role is ${target.role}`;
+  }
+
+  if (op.action === 'invite' || op.action === 'promote') {
+    if (!ROLES.includes(op.role) || op.role === 'owner') {
+      return `Invalid role: ${op.role}`;
+    }
+    if (rank(op.role) >= rank(actor.role)) {
+      return `Cannot grant the ${op.role} role`;
+    }
+  }
+
+  if (op.action === 'promote' && target.status !== 'active') {
+    return 'Removed members must be invited again';
+  }
+
+  return null;
+}
+
+function rank(role) {
+  return ROLES.length - ROLES.indexOf(role);
+}
+
+/**
+ * Whether an entry comes after an operation: later in the timeline, or past
+ * the length the operation recorded for its writer
+ */
+function isAfter(entry, op) {
+  if (ChatBase.compareEntries(op, entry) < 0) return true;
+
+  const lengths = op.writers;
+  return (
+    !!lengths &&
+    typeof lengths === 'object' &&
+    Number.isSafeInteger(lengths[entry.writer]) &&
+    entry.seq >= lengths[entry.writer]
+  );
+}
+
+function insertionIndex(ops, op) {
+  let index = ops.length;
+  while (index > 0 && ChatBase.compareEntries(ops[index - 1], op) > 0) index--;
+  return index;
+}
+
+ChatMembership.ROLES = ROLES;
+ChatMembership.ACTIONS = ACTIONS;
+
+module.exports = ChatMembership;
@@ -0,0 +1,166 @@
+const EventEmitter = require('events');
+const ChatBase = require('./chat-base');
+
+// Replicated fields and their maximum length; avatars are URLs or emoji
+const METADATA_FIELDS = {
+  name: 100,
+  description: 1000,
+  avatar: 2048,
+  topic: 200,
+};
+const FIELDS = Object.keys(METADATA_FIELDS);
+
+/**
+ * ChatMetadata - Name, description, avatar and topic shared by a chat
+ *
+ * Changes are `chat-metadata` operations in the log: {fields} with a new
+ * value (or null to clear it) for some of the fields. Each field is a
+ * last-writer-wins register: the operation latest in timeline order sets
+ * it, so every peer ends up with the same document no matter in which
+ * order the writers replicate. Operations are only taken from members the
+ * chat's ChatMembership allows to write.
+ *
+ * Events:
+ *  - 'change' (document): a field changed
+ */
+class ChatMetadata extends EventEmitter {
+  /**
+   * @param {ChatBase} core - Chat core
+   * @param {Function} verify - Returns a copy of a timeline entry with its
+   *   `verified` flag set
+   * @param {ChatMembership} membership - Roles of the chat's members
+   */
+  constructor(core, verify, membership) {
+    super();
+    this.core = core;
+    this.verify = verify;
+    this.membership = membership;
+    this.fields = new Map(); // Map<field, {value, entry}>
+
+    this._onMessage = (entry) => {
+      if (entry.type === 'chat-metadata' && this._apply(entry)) {
+        this.emit('change', this.get());
+      }
+    };
+    this._onRebuild = () => this._rebuild();
+
+    this._rebuild();
+
+    core.on('message', this._onMessage);
+    membership.on('change', this._onRebuild);
+  }
+
+  /**
+   * The current document
+   * @returns {Object} - Every field that was ever set, null if cleared
+   */
+  get() {
+    const document = {};
+    for (const [field, {value}] of this.fields) document[field] = value;
+    return document;
+  }
+
+  /**
+   * When and by whom the document was last changed
+   * @returns {Object|null} - {updatedAt, updatedBy}
+   */
+  lastUpdate() {
+    let latest = null;
+    for (const {entry} of this.fields.values()) {
+      if (!latest || ChatBase.compareEntries(latest, entry) < 0) {
+        latest = entry;
+      }
+    }
+
+    return latest
+      ? {updatedAt: latest.timestamp, updatedBy: latest.authorId}
+      : null;
+  }
+
+  /**
+   * Stop tracking
+   */
+  close() {
+    this.core.off('message', this._onMessage);
+    this.membership.off('change', this._onRebuild);
+  }
+
+  /**
+   * Apply an operation to the fields it sets
+   * @returns {boolean} - True if a field changed
+   */
+  _apply(entry) {
+    const op = this.verify(entry);
+    if (!op.verified || !this.membership.allows(op)) return false;
+
+    try {
+      validateFields(op.fields);
+    } catch (_error) {
+      return false;
+    }
+
+    let changed = false;
+    for (const [field, value] of Object.entries(op.fields)) {
+      const current = this.fields.get(field);
+      if (current && ChatBase.compareEntries(current.entry, op) > 0) continue;
+
+      changed = changed || !current || current.value !== value;
+      this.fields.set(field, {value, entry: op});
+    }
+
+    return changed;
+  }
+
+  _rebuild() {
+    const previous = JSON.stringify(this.get());
+
+    this.fields.clear();
+    for (const entry of this.core.timeline) {
+      if (entry.type === 'chat-metadata') this._apply(entry);
+    }
+
+    if (JSON.stringify(this.get()) !== previous) {
+      this.emit('change', this.get());
+    }
+  }
+}
+
+/**
+ * Check a set of metadata changes
+ * @param {Object} fields - {name, description, avatar, topic}; each a string
+ *   or null
+ * @throws {Error} If a field is unknown, too long or not a string
+ */
+function validateFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('Chat metadata must be an object');
+  }
+
+  const names = Object.keys(fields);
+  if (names.length === 0) {
+    throw new Error('No chat metadata to change');
+  }
+
+  for (const name of names) {
+    if (!FIELDS.includes(name)) {
+      throw new Error(`Unknown chat metadata field: ${name}`);
+    }
+
+    const value = fields[name];
+    if (value === null) continue;
+
+    if (typeof value !== 'string') {
+      throw new Error(`Chat ${name} must be a string or null`);
+    }
+    if (value.length > METADATA_FIELDS[name]) {
+      throw new Error(
+        `Chat ${name} can be at most ${METADATA_FIELDS[name]} characters`,
+      );
+    }
+  }
+}
+
+ChatMetadata.FIELDS = FIELDS;
+ChatMetadata.validateFields = validateFields;
+
+module.exports = ChatMetadata;
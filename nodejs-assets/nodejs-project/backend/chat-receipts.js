@@ -0,0 +1,219 @@
+const EventEmitter = require('events');
+const b4a = require('b4a');
+
+const RECEIPT_KINDS = ['delivered', 'read'];
+// Delivered receipts for blocks that arrive in a burst are sent together
+const DELIVERED_DELAY = 500;
+
+/**
+ * ChatReceipts - Delivery and read receipts of a chat
+ *
+ * Receipts are markers per peer and writer: a peer has every block of a
+ * writer up to `seq` (delivered) or has seen the chat up to it (read). They
+ * come from two places:
+ *  - replication: uploading a block of our writer to a peer means it was
+ *    delivered, along with whatever the peer reports having contiguously
+ *  - `receipt` messages on the ephemeral channel, which peers send when they
+ *    get blocks from any writer (delivered) or mark a message as read
+ *
+ * Markers only ever move forward and are kept in memory; peers send theirs
+ * again whenever they connect. Our own read markers are the chat's read
+ * cursor, which the owner of this object saves and restores (`restoreRead`).
+ *
+ * Events:
+ *  - 'update' ({peer, kind, writer, seq}): a peer's marker moved forward
+ *  - 'send' ({kind, writer, seq}): a receipt of ours to send to peers
+ */
+class ChatReceipts extends EventEmitter {
+  /**
+   * @param {ChatBase} core - Chat core
+   */
+  constructor(core) {
+    super();
+    this.core = core;
+    this.delivered = new Map(); // Map<writerHex, Map<peerKey, seq>>
+    this.read = new Map(); // Map<writerHex, Map<peerKey, seq>>
+    this.ownRead = new Map(); // Map<writerHex, seq> we marked as read
+    this.pendingDelivered = new Set(); // Writers with unsent delivered receipts
+    this.timer = null;
+
+    this.localWriter = b4a.toString(core.local.key, 'hex');
+
+    this._onUpload = (index, byteLength, from) => {
+      if (!from || !from.remotePublicKey) return;
+
+      // The peer may also have got earlier blocks from someone else
+      const seq = Math.max(index, from.remoteContiguousLength - 1);
+      this.update(
+        'delivered',
+        b4a.toString(from.remotePublicKey, 'hex'),
+        this.localWriter,
+        seq,
+      );
+    };
+
+    this._onMessage = (entry) => {
+      if (entry.writer === this.localWriter) return;
+
+      this.pendingDelivered.add(entry.writer);
+      if (!this.timer) {
+        this.timer = setTimeout(() => this._flushDelivered(), DELIVERED_DELAY);
+      }
+    };
+
+    core.local.on('upload', this._onUpload);
+    core.on('message', this._onMessage);
+  }
+
+  /**
+   * Record a receipt from a peer
+   * @param {string} kind - 'delivered' or 'read'
+   * @param {string} peer - Hex-encoded public key of the peer
+   * @param {string} writer - Hex-encoded key of the writer core
+   * @param {number} seq - Last block of the writer the receipt covers
+   * @returns {boolean} - True if the peer's marker moved forward
+   */
+  update(kind, peer, writer, seq) {
+    if (!RECEIPT_KINDS.includes(kind)) {
+      throw new Error(`Unknown receipt kind: ${kind}`);
+    }
+
+    // Only track writers of this chat, and never past what they wrote
+    const writerInfo = this.core.writers.get(writer);
+    if (!writerInfo || !Number.isSafeInteger(seq) || seq < 0) return false;
+    if (seq >= writerInfo.core.length) seq = writerInfo.core.length - 1;
+
+    // A peer that read a message has it
+    const read = kind === 'read' && advance(this.read, writer, peer, seq);
+    const delivered = advance(this.delivered, writer, peer, seq);
+
+    if (!read && !delivered) return false;
+
+    this.emit('update', {peer, kind, writer, seq});
+    return true;
+  }
+
+  /**
+   * Receipts of a message
+   * @param {Object} message - Message with writer, seq and authorId
+   * @returns {Object} - {status, deliveredTo, readBy}; status is 'sent',
+   *   'delivered' (to at least one peer) or 'read' (by at least one peer)
+   */
+  of(message) {
+    const peersAt = (markers) => {
+      const peers = [];
+      for (const [peer, seq] of markers.get(message.writer) || []) {
+        if (seq >= message.seq && peer !== message.authorId) peers.push(peer);
+      }
+      return peers;
+    };
+
+    const deliveredTo = peersAt(this.delivered);
+    const readBy = peersAt(this.read);
+
+    let status = 'sent';
+    if (readBy.length > 0) status = 'read';
+    else if (deliveredTo.length > 0) status = 'delivered';
+
+    return {status, deliveredTo, readBy};
+  }
+
+  /**
+   * Mark the chat as read up to a message
+   * Everything before it in the timeline counts as read too, so the markers
+   * move to the last message of every writer up to it.
+   * @param {Map<string, number>} positions - Map<writerHex, seq> of those
+   *   messages (see MessageView.positionsUpTo)
+   * @returns {number} - Number of writers whose read marker moved forward
+   */
+  markRead(positions) {
+    let changed = 0;
+    for (const [writer, seq] of positions) {
+      if (writer === this.localWriter) continue;
+      if ((this.ownRead.get(writer) ?? -1) >= seq) continue;
+
+      this.ownRead.set(writer, seq);
+      this.emit('send', {kind: 'read', writer, seq});
+      changed++;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Restore the read markers we saved before a restart
+   * Peers get them again with our other receipts when they connect.
+   * @param {Object} read - {writerHex: seq}
+   */
+  restoreRead(read) {
+    for (const [writer, seq] of Object.entries(read || {})) {
+      if (!Number.isSafeInteger(seq) || seq < 0) continue;
+      if ((this.ownRead.get(writer) ?? -1) < seq) this.ownRead.set(writer, seq);
+    }
+  }
+
+  /**
+   * Our current receipts, sent to a peer when it connects
+   * @returns {Array<Object>} - [{kind, writer, seq}]
+   */
+  current() {
+    const receipts = [];
+
+    for (const [writer, {core}] of this.core.writers) {
+      const length = core.contiguousLength;
+      if (writer === this.localWriter || length === 0) continue;
+
+      receipts.push({kind: 'delivered', writer, seq: length - 1});
+    }
+    for (const [writer, seq] of this.ownRead) {
+      receipts.push({kind: 'read', writer, seq});
+    }
+
+    return receipts;
+  }
+
+  /**
+   * Stop tracking
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.core.local.off('upload', this._onUpload);
+    this.core.off('message', this._onMessage);
+  }
+
+  _flushDelivered() {
+    this.timer = null;
+
+    for (const writer of this.pendingDelivered) {
+      const writerInfo = this.core.writers.get(writer);
+      if (!writerInfo || writerInfo.core.contiguousLength === 0) continue;
+
+      this.emit('send', {
+        kind: 'delivered',
+        writer,
+        seq: writerInfo.core.contiguousLength - 1,
+      });
+    }
+
+    this.pendingDelivered.clear();
+  }
+}
+
+/**
+ * Move a peer's marker forward
+ * @returns {boolean} - True if it moved
+ */
+function advance(markers, writer, peer, seq) {
+  if (!markers.has(writer)) markers.set(writer, new Map());
+
+  const peers = markers.get(writer);
+  if ((peers.get(peer) ?? -1) >= seq) return false;
+
+  peers.set(peer, seq);
+  return true;
+}
+
+ChatReceipts.RECEIPT_KINDS = RECEIPT_KINDS;
+
+module.exports = ChatReceipts;
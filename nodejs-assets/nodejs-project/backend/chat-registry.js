@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_VERSION = 1;
+
+/**
+ * ChatRegistry - Persistent index of the chats this device takes part in
+ * Stored as a JSON file next to the corestore so chats can be restored after
+ * the Node.js runtime restarts. Entries of encrypted chats include the chat
+ * keys, which exist nowhere else on this device.
+ *
+ * It also remembers the direct chats we declined or left, so peers offering
+ * them again are ignored.
+ */
+class ChatRegistry {
+  constructor(storagePath = './storage') {
+    this.filePath = path.join(path.resolve(storagePath), 'chats.json');
+    this.entries = new Map(); // Map<chatId, RegistryEntry>
+    this.declined = new Map(); // Map<publicKeyHex, DeclinedChat>
+    this.writing = Promise.resolve();
+    this.loaded = false;
+  }
+
+  /**
+   * Load the registry from disk (a missing file means no chats yet)
+   */
+  async load() {
+    this.entries.clear();
+    this.declined.clear();
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+
+      for (const entry of data.chats || []) {
+        if (entry && typeof entry.chatId === 'string') {
+          this.entries.set(entry.chatId, entry);
+        }
+      }
+
+      for (const item of data.declined || []) {
+        if (item && typeof item.publicKey === 'string') {
+          this.declined.set(item.publicKey, item);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Registry] Failed to load chat registry:', error);
+      }
+    }
+
+    this.loaded = true;
+    console.log(`[Registry] Loaded ${this.entries.size} chats`);
+    return this.list();
+  }
+
+  /**
+   * Get a registry entry
+   * @param {string} chatId - Chat identifier
+   * @returns {Object|null}
+   */
+  get(chatId) {
+    return this.entries.get(chatId) || null;
+  }
+
+  /**
+   * List all registry entries
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Add or update a chat entry and persist the registry
+   * @param {Object} entry - {chatId, publicKey, discoveryKey, metadata, role,
+   *   joinedAt, keys}
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async put(entry) {
+    const stored = {...this.entries.get(entry.chatId), ...entry};
+    this.entries.set(entry.chatId, stored);
+    await this.save();
+    return stored;
+  }
+
+  /**
+   * Remove a chat entry and persist the registry
+   * @param {string} chatId - Chat identifier
+   * @returns {Promise<boolean>} - True if the chat was registered
+   */
+  async delete(chatId) {
+    const existed = this.entries.delete(chatId);
+    if (existed) {
+      await this.save();
+    }
+    return existed;
+  }
+
+  /**
+   * Remember a direct chat we declined or left
+   * @param {string} peer - Hex-encoded identity key of the other party
+   * @param {string} publicKey - Hex-encoded key of the chat's core
+   * @returns {Promise<Object>} - Stored record
+   */
+  async decline(peer, publicKey) {
+    const record = {peer, publicKey, declinedAt: Date.now()};
+    this.declined.set(publicKey, record);
+    await this.save();
+    return record;
+  }
+
+  /**
+   * Check whether we declined or left a direct chat
+   * @param {string} publicKey - Hex-encoded key of the chat's core
+   * @returns {boolean}
+   */
+  isDeclined(publicKey) {
+    return this.declined.has(publicKey);
+  }
+
+  /**
+   * Write the registry to disk
+   * Writes are serialized and go through a temp file so a crash mid-write
+   * never leaves a truncated registry behind.
+   */
+  async save() {
+    const data = JSON.stringify(
+      {
+        version: REGISTRY_VERSION,
+        chats: this.list(),
+        declined: Array.from(this.declined.values()),
+      },
+      null,
+      2,
+    );
+
+    // Keep the chain alive after a failed write so later saves still run
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), {recursive: true});
+      // Holds chat keys, so keep it private to this process
+      await fs.promises.writeFile(tmpPath, data, {mode: 0o600});
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+
+    return this.writing;
+  }
+}
+
+module.exports = ChatRegistry;
@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+
+/**
+ * ChatUnread - Unread and mention counts of a chat
+ *
+ * What we have read is the chat's read cursor: the `ownRead` markers of its
+ * ChatReceipts, the last block read of every writer. Markers are per writer
+ * rather than a position in the timeline, so a message that replicates late
+ * and lands before the position is still counted. A message is unread if it
+ * is past its writer's marker and neither deleted nor ours; it mentions us if
+ * its `mentions` include our identity.
+ *
+ * Counts follow the message view as messages arrive and are recounted when
+ * it resets. Counting only reads the messages past the markers, and none of
+ * the writers bound to our identity, since what we wrote is never unread.
+ *
+ * Events:
+ *  - 'change' ({unread, mentions}): a count changed
+ */
+class ChatUnread extends EventEmitter {
+  /**
+   * @param {MessageView} view - Message view of the chat
+   * @param {ChatReceipts} receipts - Receipts holding our read markers
+   * @param {string} identity - Our hex-encoded identity key
+   */
+  constructor(view, receipts, identity) {
+    super();
+    this.view = view;
+    this.receipts = receipts;
+    this.identity = identity;
+    this.unread = new Map(); // Map<messageId, {writer, seq}> of unread ones
+    this.mentions = new Set(); // Ids of unread messages mentioning us
+    this.counting = Promise.resolve();
+
+    this._onMessage = (message) => {
+      if (this._track(message)) this._changed();
+    };
+
+    this._onUpdate = (message) => {
+      if (message.deleted && this.unread.delete(message.id)) {
+        this.mentions.delete(message.id);
+        this._changed();
+      }
+    };
+
+    this._onReset = () => {
+      this.recount().catch((error) => {
+        console.error('[ChatUnread] Failed to count messages:', error);
+      });
+    };
+
+    view.on('message', this._onMessage);
+    view.on('update', this._onUpdate);
+    view.on('reset', this._onReset);
+  }
+
+  /**
+   * Current counts
+   * @returns {Object} - {unread, mentions}
+   */
+  counts() {
+    return {unread: this.unread.size, mentions: this.mentions.size};
+  }
+
+  /**
+   * Count the unread messages again
+   * @returns {Promise<void>}
+   */
+  recount() {
+    this.counting = this.counting.catch(() => {}).then(() => this._recount());
+    return this.counting;
+  }
+
+  async _recount() {
+    const previous = this.counts();
+
+    this.unread.clear();
+    this.mentions.clear();
+
+    for (const writer of this.view.writers()) {
+      if (
+        writer === this.receipts.localWriter ||
+        this.view.identityOf(writer) === this.identity
+      ) {
+        continue;
+      }
+
+      const read = this.receipts.ownRead.get(writer) ?? -1;
+      for await (const message of this.view.messagesOf(writer, read)) {
+        this._track(message);
+      }
+    }
+
+    const current = this.counts();
+    if (
+      current.unread !== previous.unread ||
+      current.mentions !== previous.mentions
+    ) {
+      this.emit('change', current);
+    }
+  }
+
+  /**
+   * Drop the messages the read markers now cover
+   */
+  prune() {
+    let changed = false;
+
+    for (const [id, {writer, seq}] of this.unread) {
+      if (seq > (this.receipts.ownRead.get(writer) ?? -1)) continue;
+
+      this.unread.delete(id);
+      this.mentions.delete(id);
+      changed = true;
+    }
+
+    if (changed) this._changed();
+  }
+
+  /**
+   * Stop following the view
+   */
+  close() {
+    this.view.off('message', this._onMessage);
+    this.view.off('update', this._onUpdate);
+    this.view.off('reset', this._onReset);
+  }
+
+  /**
+   * Count a message if it is unread
+   * @returns {boolean} - True if it was counted
+   */
+  _track(message) {
+    if (!this._isUnread(message)) return false;
+
+    this.unread.set(message.id, {writer: message.writer, seq: message.seq});
+    if (
+      Array.isArray(message.mentions) &&
+      message.mentions.includes(this.identity)
+    ) {
+      this.mentions.add(message.id);
+    }
+    return true;
+  }
+
+  _isUnread(message) {
+    if (message.deleted || message.writer === this.receipts.localWriter) {
+      return false;
+    }
+    if (message.verified && message.authorId === this.identity) return false;
+
+    return message.seq > (this.receipts.ownRead.get(message.writer) ?? -1);
+  }
+
+  _changed() {
+    this.emit('change', this.counts());
+  }
+}
+
+module.exports = ChatUnread;
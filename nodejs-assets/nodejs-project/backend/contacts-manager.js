@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTACTS_VERSION = 1;
+const TRUST_LEVELS = ['unknown', 'trusted', 'verified'];
+
+/**
+ * ContactsManager - Address book of the people we talk to
+ * Contacts are keyed by identity public key, which is also the Noise key
+ * peers connect with, so raw peer keys can be resolved to names. Stored as a
+ * JSON file under the storage path.
+ */
+class ContactsManager {
+  constructor(storagePath = './storage') {
+    this.filePath = path.join(path.resolve(storagePath), 'contacts.json');
+    this.contacts = new Map(); // Map<publicKeyHex, Contact>
+    this.writing = Promise.resolve();
+    this.loaded = false;
+  }
+
+  /**
+   * Load contacts from disk (a missing file means no contacts yet)
+   */
+  async load() {
+    this.contacts.clear();
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      for (const contact of data.contacts || []) {
+        if (contact && isKeyHex(contact.publicKey)) {
+          this.contacts.set(contact.publicKey, contact);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Contacts] Failed to load contacts:', error);
+      }
+    }
+
+    this.loaded = true;
+    console.log(`[Contacts] Loaded ${this.contacts.size} contacts`);
+    return this.list();
+  }
+
+  /**
+   * Get a contact
+   * @param {string} publicKey - Hex-encoded identity public key
+   * @returns {Object|null}
+   */
+  get(publicKey) {
+    return this.contacts.get(normalizeKey(publicKey)) || null;
+  }
+
+  /**
+   * List all contacts, sorted by name
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.contacts.values()).sort((a, b) =>
+      a.name.localeCompare(b.name),
+    );
+  }
+
+  /**
+   * Add a contact
+   * @param {Object} contact - {publicKey, name, avatar, trust, notes}
+   * @returns {Promise<Object>} - Stored contact
+   */
+  async add(contact = {}) {
+    this._assertLoaded();
+
+    const publicKey = normalizeKey(contact.publicKey);
+    if (!isKeyHex(publicKey)) {
+      throw new Error('Contact public key must be a 64 character hex string');
+    }
+
+    if (this.contacts.has(publicKey)) {
+      throw new Error(`Contact ${publicKey} already exists`);
+    }
+
+    const now = Date.now();
+    const stored = {
+      publicKey,
+      name: '',
+      avatar: null,
+      trust: 'unknown',
+      notes: '',
+      lastSeen: null,
+      addedAt: now,
+      updatedAt: now,
+      ...validateFields(contact),
+    };
+
+    if (!stored.name) {
+      throw new Error('Contact name is required');
+    }
+
+    this.contacts.set(publicKey, stored);
+    await this.save();
+
+    console.log(`[Contacts] Added ${stored.name} (${publicKey})`);
+    return stored;
+  }
+
+  /**
+   * Update the editable fields of a contact
+   * @param {string} publicKey - Hex-encoded identity public key
+   * @param {Object} changes - {name, avatar, trust, notes}
+   * @returns {Promise<Object>} - Updated contact
+   */
+  async update(publicKey, changes = {}) {
+    this._assertLoaded();
+
+    const existing = this.get(publicKey);
+    if (!existing) {
+      throw new Error(`Contact ${publicKey} not found`);
+    }
+
+    const updated = {
+      ...existing,
+      ...validateFields(changes),
+      updatedAt: Date.now(),
+    };
+
+    if (!updated.name) {
+      throw new Error('Contact name is required');
+    }
+
+    this.contacts.set(updated.publicKey, updated);
+    await this.save();
+    return updated;
+  }
+
+  /**
+   * Remove a contact
+   * @param {string} publicKey - Hex-encoded identity public key
+   * @returns {Promise<boolean>} - True if the contact existed
+   */
+  async remove(publicKey) {
+    this._assertLoaded();
+
+    const existed = this.contacts.delete(normalizeKey(publicKey));
+    if (existed) {
+      await this.save();
+    }
+    return existed;
+  }
+
+  /**
+   * Record that a contact was just online
+   * @param {string} publicKey - Hex-encoded identity public key
+   * @returns {Promise<Object|null>} - Updated contact, or null if unknown
+   */
+  async touch(publicKey) {
+    const contact = this.get(publicKey);
+    if (!contact) return null;
+
+    contact.lastSeen = Date.now();
+    await this.save();
+    return contact;
+  }
+
+  /**
+   * Resolve a peer key to a display name
+   * @param {string} publicKey - Hex-encoded identity public key
+   * @returns {string|null} - Contact name, or null for unknown peers
+   */
+  resolveName(publicKey) {
+    const contact = this.get(publicKey);
+    return contact ? contact.name : null;
+  }
+
+  /**
+   * Write contacts to disk
+   * Writes are serialized and go through a temp file, like the chat registry.
+   */
+  async save() {
+    const data = JSON.stringify(
+      {version: CONTACTS_VERSION, contacts: Array.from(this.contacts.values())},
+      null,
+      2,
+    );
+
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), {recursive: true});
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+
+    return this.writing;
+  }
+
+  _assertLoaded() {
+    if (!this.loaded) {
+      throw new Error('Contacts not loaded');
+    }
+  }
+}
+
+/**
+ * Pick and check the user editable fields of a contact
+ * @param {Object} fields - Raw fields from the caller
+ * @returns {Object} - Only the fields that were present
+ */
+function validateFields(fields) {
+  const valid = {};
+
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string') {
+      throw new Error('Contact name must be a string');
+    }
+    valid.name = fields.name.trim();
+  }
+
+  if (fields.avatar !== undefined) {
+    if (fields.avatar !== null && !/^[0-9a-f]+$/i.test(fields.avatar)) {
+      throw new Error('Contact avatar must be a hex-encoded hash');
+    }
+    valid.avatar = fields.avatar && fields.avatar.toLowerCase();
+  }
+
+  if (fields.trust !== undefined) {
+    if (!TRUST_LEVELS.includes(fields.trust)) {
+      throw new Error(`Trust level must be one of: ${TRUST_LEVELS.join(', ')}`);
+    }
+    valid.trust = fields.trust;
+  }
+
+  if (fields.notes !== undefined) {
+    if (typeof fields.notes !== 'string') {
+      throw new Error('Contact notes must be a string');
+    }
+    valid.notes = fields.notes;
+  }
+
+  return valid;
+}
+
+function normalizeKey(publicKey) {
+  return typeof publicKey === 'string' ? publicKey.toLowerCase() : publicKey;
+}
+
+function isKeyHex(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+ContactsManager.TRUST_LEVELS = TRUST_LEVELS;
+
+module.exports = ContactsManager;
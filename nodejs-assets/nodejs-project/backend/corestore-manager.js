@@ -3,16 +3,49 @@ const Hypercore = require('hypercore');
 const crypto = require('hypercore-crypto');
 const b4a = require('b4a');
 const path = require('path');
+const ChatBase = require('./chat-base');
+const MessageView = require('./message-view');
+const MessageIndex = require('./message-index');
+const SearchIndex = require('./search-index');
+const ChatBlobs = require('./chat-blobs');
+const ChatReceipts = require('./chat-receipts');
+const ChatMembership = require('./chat-membership');
+const ChatMetadata = require('./chat-metadata');
+
+// Fields added while indexing or reading; they are not part of what was signed
+const UNSIGNED_FIELDS = new Set([
+  'signature',
+  'seq',
+  'clock',
+  'id',
+  'writer',
+  'verified',
+  'chatId',
+]);
 
 /**
  * CorestoreManager - Manages append-only logs for each chat
- * Each chat gets its own Hypercore for storing messages
+ * Each chat is a ChatBase: one writer Hypercore per participant, merged into
+ * a single ordered timeline. A MessageIndex records where its messages are,
+ * so reopening a chat does not decode its whole log, and they are read
+ * through a MessageView, which applies edits, deletions and reactions, and
+ * searched through a SearchIndex of the view. Attachments
+ * are kept in per-participant blob cores (ChatBlobs). Roles of the members
+ * (ChatMembership) decide whose entries the view shows. The chat's name,
+ * description, avatar and topic are replicated too (ChatMetadata).
  */
 class CorestoreManager {
   constructor(storagePath = './storage') {
     this.storagePath = path.resolve(storagePath); // Use path.resolve for absolute paths
     this.store = null;
-    this.cores = new Map(); // Map<chatId, Hypercore>
+    this.cores = new Map(); // Map<chatId, ChatBase>
+    this.views = new Map(); // Map<chatId, MessageView>
+    this.indexes = new Map(); // Map<chatId, MessageIndex>
+    this.searchIndexes = new Map(); // Map<chatId, SearchIndex>
+    this.blobs = new Map(); // Map<chatId, ChatBlobs>
+    this.receipts = new Map(); // Map<chatId, ChatReceipts>
+    this.memberships = new Map(); // Map<chatId, ChatMembership>
+    this.chatMetadata = new Map(); // Map<chatId, ChatMetadata>
     this.keyPairs = new Map(); // Map<chatId, {publicKey, secretKey}>
     this.ready = false;
   }
@@ -34,12 +67,22 @@ class CorestoreManager {
   }
 
   /**
-   * Get or create a Hypercore for a specific chat
+   * Get or create the multi-writer core for a specific chat
    * @param {string} chatId - Unique identifier for the chat
-   * @param {Buffer} [key] - Optional discovery key to join existing chat
-   * @returns {Promise<Hypercore>}
+   * @param {Buffer} [key] - Optional bootstrap public key to join existing chat
+   * @param {ChatKeyring} [keyring] - Chat keys when opening an encrypted chat
+   * @param {Object} [sparse] - Sparse download state {tail, starts} (see
+   *   ChatBase)
+   * @param {Array<string>} [writers] - Writers admitted before (see ChatBase)
+   * @returns {Promise<ChatBase>}
    */
-  async getChatCore(chatId, key = null) {
+  async getChatCore(
+    chatId,
+    key = null,
+    keyring = null,
+    sparse = null,
+    writers = [],
+  ) {
     if (!this.ready) {
       throw new Error('Corestore not initialized');
     }
@@ -49,73 +92,265 @@ class CorestoreManager {
       return this.cores.get(chatId);
     }
 
-    let core;
-
-    if (key) {
-      // Join existing chat using the provided key
-      core = this.store.get({key});
-    } else {
-      // Create a new chat core
-      core = this.store.get({name: chatId});
-    }
-
-    await core.ready();
-
-    // Store the core
-    this.cores.set(chatId, core);
+    // Our own writer is always opened by name; with a key we join the chat
+    // bootstrapped by that core, otherwise our writer is the bootstrap
+    const index = await this.createIndex(chatId);
+    const core = new ChatBase(this.store, chatId, {
+      key,
+      keyring,
+      sparse,
+      writers,
+      resume: index.checkpoint,
+    });
+    await this.openCore(chatId, core, index);
 
     console.log(`[Corestore] Chat core ready for ${chatId}`);
     console.log(
       `[Corestore] Discovery Key: ${b4a.toString(core.discoveryKey, 'hex')}`,
     );
     console.log(`[Corestore] Public Key: ${b4a.toString(core.key, 'hex')}`);
-    console.log(`[Corestore] Writable: ${core.writable}`);
+    console.log(`[Corestore] Writers: ${core.writers.size}`);
     console.log(`[Corestore] Length: ${core.length}`);
 
     return core;
   }
 
+  /**
+   * Open a chat core with its index, view and attachments
+   * @param {string} chatId - Chat identifier
+   * @param {ChatBase} core - Chat core, not ready yet
+   * @param {MessageIndex} index - Its message index
+   */
+  async openCore(chatId, core, index) {
+    index.follow(core);
+
+    try {
+      await core.ready();
+    } catch (error) {
+      this.indexes.delete(chatId);
+      await index.close();
+      throw error;
+    }
+
+    this.cores.set(chatId, core);
+    this.createView(chatId, core, index);
+    await this.createBlobs(chatId, core);
+  }
+
+  /**
+   * Build the message view of a chat
+   * @param {string} chatId - Chat identifier
+   * @param {ChatBase} core - Chat core
+   * @param {MessageIndex} index - Message index of the chat
+   * @returns {MessageView}
+   */
+  createView(chatId, core, index) {
+    const verify = (entry) => this.verifyMessage(core, entry);
+    const view = new MessageView(core, index, verify);
+    const receipts = new ChatReceipts(core);
+    const membership = new ChatMembership(core, verify);
+
+    // Messages are rendered with their delivery and read state
+    view.receipts = receipts;
+    view.membership = membership;
+
+    // Writers peers tell us about join once a member signed them up, and
+    // only owners and admins rotate the key
+    core.admitWriter = (entry) => membership.admits(entry);
+    core.acceptRotation = (entry) => membership.canRotate(entry);
+
+    const review = () =>
+      core.review().catch((error) => {
+        console.error(`[Corestore] Failed to review ${chatId}:`, error);
+      });
+    review();
+
+    membership.on('change', () => {
+      view.reset();
+      review();
+    });
+
+    this.views.set(chatId, view);
+    this.receipts.set(chatId, receipts);
+    this.memberships.set(chatId, membership);
+    this.chatMetadata.set(chatId, new ChatMetadata(core, verify, membership));
+    this.searchIndexes.set(chatId, new SearchIndex(chatId, view));
+    return view;
+  }
+
+  /**
+   * Open the message index of a chat, to follow its core from the start
+   * The index lives in a local core of its own that is never replicated.
+   * @param {string} chatId - Chat identifier
+   * @returns {Promise<MessageIndex>}
+   */
+  async createIndex(chatId) {
+    const index = new MessageIndex(
+      this.store.get({name: `message-index/${chatId}`}),
+    );
+
+    this.indexes.set(chatId, index);
+    await index.ready();
+    return index;
+  }
+
+  /**
+   * Open the attachment store of a chat
+   * @param {string} chatId - Chat identifier
+   * @param {ChatBase} core - Chat core
+   * @returns {Promise<ChatBlobs>}
+   */
+  async createBlobs(chatId, core) {
+    const blobs = new ChatBlobs(
+      this.store,
+      core,
+      path.join(this.storagePath, 'attachments'),
+    );
+
+    this.blobs.set(chatId, blobs);
+    await blobs.ready();
+    return blobs;
+  }
+
+  /**
+   * Find the loaded chat that owns a core with the given discovery key
+   * @param {Buffer} discoveryKey - Discovery key of the bootstrap or a writer core
+   * @returns {string|null} - Chat identifier
+   */
+  findChatByDiscoveryKey(discoveryKey) {
+    for (const [chatId, core] of this.cores.entries()) {
+      if (core.hasDiscoveryKey(discoveryKey)) {
+        return chatId;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Append a message to a chat's Hypercore
    * @param {string} chatId - Chat identifier
    * @param {Object} message - Message object
-   * @returns {Promise<number>} - Sequence number of the appended message
+   * @param {Object} [identity] - Identity key pair used to sign the message;
+   *   its public key becomes the message authorId
+   * @returns {Promise<Object>} - The appended message with id, writer and seq
    */
-  async appendMessage(chatId, message) {
+  async appendMessage(chatId, message, identity = null) {
     const core = await this.getChatCore(chatId);
 
     if (!core.writable) {
       throw new Error('This core is read-only');
     }
 
-    const messageData = {
+    const payload = {
       ...message,
       timestamp: Date.now(),
-      seq: core.length,
     };
 
-    const encoded = b4a.from(JSON.stringify(messageData));
-    await core.append(encoded);
+    if (identity) {
+      payload.authorId = this.bufferToHex(identity.publicKey);
+      payload.signature = this.bufferToHex(
+        this.signMessage(this.encodeSignable(core, payload), identity.secretKey),
+      );
+    }
 
-    console.log(`[Corestore] Message appended to ${chatId}:`, messageData.seq);
-    return messageData.seq;
+    const messageData = await core.append(payload);
+
+    console.log(`[Corestore] Message appended to ${chatId}:`, messageData.id);
+    return this.verifyMessage(core, messageData);
   }
 
   /**
-   * Get a message by sequence number
+   * Rotate the key of an encrypted chat
+   * The `rotate-key` operation is signed, since peers only apply rotations
+   * of owners and admins.
    * @param {string} chatId - Chat identifier
-   * @param {number} seq - Sequence number
-   * @returns {Promise<Object>} - Message object
+   * @param {Array<Buffer>} recipients - Identity public keys that receive the
+   *   new key
+   * @param {Object} identity - Identity key pair signing the operation
+   * @returns {Promise<number>} - The new key epoch
    */
-  async getMessage(chatId, seq) {
+  async rotateKey(chatId, recipients, identity) {
     const core = await this.getChatCore(chatId);
 
-    if (seq >= core.length) {
-      return null;
-    }
+    return core.rotateKey(recipients, (op) => {
+      const payload = {
+        ...op,
+        timestamp: Date.now(),
+        authorId: this.bufferToHex(identity.publicKey),
+      };
+      payload.signature = this.bufferToHex(
+        this.signMessage(this.encodeSignable(core, payload), identity.secretKey),
+      );
+      return payload;
+    });
+  }
+
+  /**
+   * Get a message by its position among the chat's messages
+   * @param {string} chatId - Chat identifier
+   * @param {number} index - Message position
+   * @returns {Promise<Object>} - Message object
+   */
+  async getMessage(chatId, index) {
+    await this.getChatCore(chatId);
+    return this.views.get(chatId).at(index);
+  }
+
+  /**
+   * Get a message by id, with edits, deletion and reactions applied
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Message id (`writer:seq`)
+   * @returns {Promise<Object|null>} - Message object
+   */
+  async getMessageById(chatId, messageId) {
+    await this.getChatCore(chatId);
+    return this.views.get(chatId).get(messageId);
+  }
+
+  /**
+   * Get a thread of a chat
+   * @param {string} chatId - Chat identifier
+   * @param {string} rootId - Id of the thread's root message
+   * @returns {Promise<Object>} - {root, replies}
+   */
+  async getThread(chatId, rootId) {
+    await this.getChatCore(chatId);
+    return this.views.get(chatId).getThread(rootId);
+  }
+
+  /**
+   * Number of messages in a loaded chat (operations not included)
+   * @param {string} chatId - Chat identifier
+   * @returns {number}
+   */
+  getMessageCount(chatId) {
+    const view = this.views.get(chatId);
+    return view ? view.length : 0;
+  }
+
+  /**
+   * Latest message of a loaded chat, in timeline order
+   * @param {string} chatId - Chat identifier
+   * @returns {Promise<Object|null>}
+   */
+  async getLastMessage(chatId) {
+    const view = this.views.get(chatId);
+    if (!view) return null;
 
-    const block = await core.get(seq);
-    return JSON.parse(b4a.toString(block));
+    const {messages} = await view.page({limit: 1, reverse: true});
+    return messages[0] || null;
+  }
+
+  /**
+   * Find a message we sent with a client id
+   * @param {string} chatId - Chat identifier
+   * @param {string} clientId - Client id it was sent with
+   * @returns {Promise<Object|null>}
+   */
+  async findSentMessage(chatId, clientId) {
+    await this.getChatCore(chatId);
+    return this.views.get(chatId).findSent(clientId);
   }
 
   /**
@@ -125,42 +360,177 @@ class CorestoreManager {
    * @returns {Promise<Array>} - Array of messages
    */
   async getAllMessages(chatId, options = {}) {
-    const core = await this.getChatCore(chatId);
-    const {start = 0, end = core.length} = options;
+    await this.getChatCore(chatId);
+    const {start = 0, end = Infinity} = options;
+
+    return this.views.get(chatId).list(start, end);
+  }
+
+  /**
+   * Get a page of messages in timeline order, using the message index
+   * @param {string} chatId - Chat identifier
+   * @param {Object} [options] - {before, after, limit, reverse}; cursors are
+   *   message ids
+   * @returns {Promise<Object>} - {messages, hasMore}
+   */
+  async getMessagePage(chatId, options = {}) {
+    await this.getChatCore(chatId);
+    return this.views.get(chatId).page(options);
+  }
 
-    const messages = [];
+  /**
+   * Store a local file in our blob core of a chat
+   * @param {string} chatId - Chat identifier
+   * @param {string} filePath - Path of the file
+   * @param {Object} [metadata] - {name, mime}
+   * @returns {Promise<Object>} - Attachment reference for a message
+   */
+  async putAttachment(chatId, filePath, metadata = {}) {
+    await this.getChatCore(chatId);
+    return this.blobs.get(chatId).put(filePath, metadata);
+  }
+
+  /**
+   * Download an attachment of a chat to the local cache
+   * @param {string} chatId - Chat identifier
+   * @param {Object} attachment - Attachment reference from a message
+   * @param {Function} [onProgress] - Called with (loaded, total) bytes
+   * @returns {Promise<string>} - Path of the cached file
+   */
+  async fetchAttachment(chatId, attachment, onProgress) {
+    await this.getChatCore(chatId);
+    return this.blobs.get(chatId).fetch(attachment, onProgress);
+  }
+
+  /**
+   * Read an attachment of a chat as it downloads
+   * @param {string} chatId - Chat identifier
+   * @param {Object} attachment - Attachment reference from a message
+   * @returns {Promise<Readable>} - Stream of the file's bytes
+   */
+  async readAttachment(chatId, attachment) {
+    await this.getChatCore(chatId);
+    return this.blobs.get(chatId).createReadStream(attachment);
+  }
+
+  /**
+   * Search the messages of loaded chats
+   * @param {string} query - Words to look for; each one matches as a prefix
+   * @param {Object} [options]
+   * @param {Array<string>} [options.chatIds] - Chats to search (default all)
+   * @param {string} [options.author] - Author identity key or display name
+   * @param {number} [options.from] - Earliest timestamp (inclusive)
+   * @param {number} [options.to] - Latest timestamp (inclusive)
+   * @param {number} [options.limit] - Maximum number of hits
+   * @returns {Promise<Array<Object>>} - Hits, newest first
+   */
+  async search(query, options = {}) {
+    const {chatIds = null, limit = 50, ...filters} = options;
+    const words = Array.from(
+      new Set(SearchIndex.tokenize(query).map((token) => token.term)),
+    );
 
-    for (let i = start; i < Math.min(end, core.length); i++) {
-      const block = await core.get(i);
-      messages.push(JSON.parse(b4a.toString(block)));
+    const hits = [];
+    for (const [chatId, index] of this.searchIndexes) {
+      if (chatIds && !chatIds.includes(chatId)) continue;
+      hits.push(...(await index.search(words, filters)));
     }
 
-    return messages;
+    return hits
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
   }
 
   /**
    * Stream messages from a chat in real-time
+   * Fires for local appends and for blocks replicated from any writer.
    * @param {string} chatId - Chat identifier
-   * @param {Function} onMessage - Callback for each message
-   * @returns {Promise<ReadableStream>}
+   * @param {Function} onMessage - Called with (message, change) where change
+   *   is 'added' for new messages and 'updated' after an edit, deletion or
+   *   reaction. After a ban, kick or other role change the view is rebuilt:
+   *   messages may have been hidden or shown, so it is called with
+   *   (null, 'reset') and what was read before must be read again.
+   * @returns {Promise<{destroy: Function}>} - Handle to stop streaming
    */
   async streamMessages(chatId, onMessage) {
-    const core = await this.getChatCore(chatId);
+    await this.getChatCore(chatId);
+    const view = this.views.get(chatId);
 
-    // Start from current length and watch for new appends
-    let currentSeq = core.length;
+    const onAdded = (message) => onMessage(message, 'added');
+    const onUpdated = (message) => onMessage(message, 'updated');
+    const onReset = () => onMessage(null, 'reset');
+    view.on('message', onAdded);
+    view.on('update', onUpdated);
+    view.on('reset', onReset);
 
-    const stream = core.createReadStream({
-      live: true,
-      start: currentSeq,
-    });
+    return {
+      destroy: () => {
+        view.off('message', onAdded);
+        view.off('update', onUpdated);
+        view.off('reset', onReset);
+      },
+    };
+  }
 
-    stream.on('data', (data) => {
-      const message = JSON.parse(b4a.toString(data));
-      onMessage(message);
-    });
+  /**
+   * Canonical bytes covered by a message signature
+   * Keys are sorted so the encoding does not depend on property order, and
+   * the chat key is included so a signed message cannot be replayed into
+   * another chat.
+   * @param {ChatBase} core - Chat the message belongs to
+   * @param {Object} message - Message object
+   * @returns {Buffer}
+   */
+  encodeSignable(core, message) {
+    const signed = {};
 
-    return stream;
+    for (const key of Object.keys(message)) {
+      if (!UNSIGNED_FIELDS.has(key)) {
+        signed[key] = message[key];
+      }
+    }
+
+    return b4a.from(
+      JSON.stringify([this.bufferToHex(core.key), canonicalize(signed)]),
+    );
+  }
+
+  /**
+   * Get the members of a chat from their signed `member` entries, with the
+   * roles given to them by membership operations
+   * @param {string} chatId - Chat identifier
+   * @returns {Promise<Array>} - [{identity, writers, joinedAt, role, status}]
+   */
+  async getMembers(chatId) {
+    await this.getChatCore(chatId);
+    return this.memberships.get(chatId).list();
+  }
+
+  /**
+   * Check a message signature against its authorId
+   * @param {ChatBase} core - Chat the message belongs to
+   * @param {Object} message - Message object
+   * @returns {Object} - Copy of the message with a `verified` flag
+   */
+  verifyMessage(core, message) {
+    let verified = false;
+
+    if (
+      typeof message.signature === 'string' &&
+      this.validatePublicKey(message.authorId)
+    ) {
+      try {
+        verified = this.verifySignature(
+          this.encodeSignable(core, message),
+          this.hexToBuffer(message.signature),
+          this.hexToBuffer(message.authorId),
+        );
+      } catch (_error) {
+        verified = false;
+      }
+    }
+
+    return {...message, verified};
   }
 
   /**
@@ -177,6 +547,10 @@ class CorestoreManager {
       publicKey: b4a.toString(core.key, 'hex'),
       writable: core.writable,
       length: core.length,
+      messageCount: this.getMessageCount(chatId),
+      writers: core.getWriterKeys(),
+      encrypted: core.encrypted,
+      keyEpoch: core.encrypted ? core.keyring.epoch : null,
     };
   }
 
@@ -193,12 +567,30 @@ class CorestoreManager {
   /**
    * Close a specific chat core
    * @param {string} chatId - Chat identifier
+   * @param {Object} [options]
+   * @param {boolean} [options.purge] - Also delete the chat's message index,
+   *   e.g. when leaving it
    */
-  async closeCore(chatId) {
+  async closeCore(chatId, {purge = false} = {}) {
     const core = this.cores.get(chatId);
     if (core) {
+      const index = this.indexes.get(chatId);
+      if (purge) await index?.purge();
+      else await index?.close();
+      this.views.get(chatId)?.close();
+      this.searchIndexes.get(chatId)?.close();
+      this.receipts.get(chatId)?.close();
+      this.memberships.get(chatId)?.close();
+      this.chatMetadata.get(chatId)?.close();
       await core.close();
       this.cores.delete(chatId);
+      this.views.delete(chatId);
+      this.indexes.delete(chatId);
+      this.searchIndexes.delete(chatId);
+      this.blobs.delete(chatId);
+      this.receipts.delete(chatId);
+      this.memberships.delete(chatId);
+      this.chatMetadata.delete(chatId);
       console.log(`[Corestore] Closed core for ${chatId}`);
     }
   }
@@ -208,6 +600,11 @@ class CorestoreManager {
    */
   async close() {
     for (const [chatId, core] of this.cores.entries()) {
+      await this.indexes.get(chatId)?.close();
+      this.views.get(chatId)?.close();
+      this.receipts.get(chatId)?.close();
+      this.memberships.get(chatId)?.close();
+      this.chatMetadata.get(chatId)?.close();
       await core.close();
     }
 
@@ -216,6 +613,13 @@ class CorestoreManager {
     }
 
     this.cores.clear();
+    this.views.clear();
+    this.indexes.clear();
+    this.searchIndexes.clear();
+    this.blobs.clear();
+    this.receipts.clear();
+    this.memberships.clear();
+    this.chatMetadata.clear();
     this.ready = false;
     console.log('[Corestore] Closed all cores');
   }
@@ -318,14 +722,13 @@ class CorestoreManager {
     // Store the key pair for later reference
     this.keyPairs.set(chatId, keyPair);
 
-    // Create core with the specific key pair
-    const core = this.store.get({
-      key: keyPair.publicKey,
-      secretKey: keyPair.secretKey,
+    // Our writer core uses the specific key pair and bootstraps the chat
+    const index = await this.createIndex(chatId);
+    const core = new ChatBase(this.store, chatId, {
+      keyPair,
+      resume: index.checkpoint,
     });
-
-    await core.ready();
-    this.cores.set(chatId, core);
+    await this.openCore(chatId, core, index);
 
     console.log(`[Corestore] Created chat ${chatId} with custom key pair`);
     console.log(
@@ -378,6 +781,25 @@ class CorestoreManager {
   }
 }
 
+/**
+ * Recursively sort object keys so JSON.stringify output is deterministic
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = canonicalize(value[key]);
+    }
+    return sorted;
+  }
+
+  return value;
+}
+
 module.exports = CorestoreManager;
 
 module.exports = CorestoreManager;
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const b4a = require('b4a');
+
+const IDENTITY_VERSION = 1;
+
+/**
+ * IdentityManager - Ed25519 identity of this device
+ * The key pair is generated on first initialization and persisted under the
+ * storage path; every message we send is signed with it.
+ */
+class IdentityManager {
+  constructor(storagePath, corestoreManager) {
+    this.filePath = path.join(path.resolve(storagePath), 'identity.json');
+    this.corestoreManager = corestoreManager;
+    this.keyPair = null;
+    this.createdAt = null;
+  }
+
+  /**
+   * Load the identity from disk, creating and saving one if none exists
+   * @param {Object} [keyPair] - Fixed key pair to use instead of a new one;
+   *   storage that already holds a different identity is refused
+   */
+  async initialize(keyPair = null) {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      const fixed = keyPair && b4a.toString(keyPair.publicKey, 'hex');
+      if (fixed && fixed !== data.publicKey) {
+        throw new Error('Storage already holds a different identity');
+      }
+
+      this.keyPair = {
+        publicKey: b4a.from(data.publicKey, 'hex'),
+        secretKey: b4a.from(data.secretKey, 'hex'),
+      };
+      this.createdAt = data.createdAt;
+      console.log('[Identity] Loaded identity:', data.publicKey);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      this.keyPair = keyPair || this.corestoreManager.generateKeyPair();
+      this.createdAt = Date.now();
+      await this.save();
+      console.log('[Identity] Created identity:', this.publicKey);
+    }
+
+    return this.getIdentity();
+  }
+
+  /**
+   * Hex-encoded identity public key
+   */
+  get publicKey() {
+    return this.keyPair ? b4a.toString(this.keyPair.publicKey, 'hex') : null;
+  }
+
+  /**
+   * Public part of the identity, safe to hand to the UI
+   * @returns {Object} - {publicKey, createdAt}
+   */
+  getIdentity() {
+    if (!this.keyPair) {
+      throw new Error('Identity not initialized');
+    }
+
+    return {
+      publicKey: this.publicKey,
+      createdAt: this.createdAt,
+    };
+  }
+
+  /**
+   * Write the key pair to disk, readable by this process only
+   */
+  async save() {
+    const data = JSON.stringify({
+      version: IDENTITY_VERSION,
+      publicKey: b4a.toString(this.keyPair.publicKey, 'hex'),
+      secretKey: b4a.toString(this.keyPair.secretKey, 'hex'),
+      createdAt: this.createdAt,
+    });
+
+    await fs.promises.mkdir(path.dirname(this.filePath), {recursive: true});
+    await fs.promises.writeFile(this.filePath, data, {mode: 0o600});
+  }
+}
+
+module.exports = IdentityManager;
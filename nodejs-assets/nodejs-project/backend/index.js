@@ -7,9 +7,45 @@
 const P2PManager = require('./p2p-manager');
 const CorestoreManager = require('./corestore-manager');
 const SwarmManager = require('./swarm-manager');
+const ChatBase = require('./chat-base');
+const MessageView = require('./message-view');
+const MessageIndex = require('./message-index');
+const SearchIndex = require('./search-index');
+const ChatRegistry = require('./chat-registry');
+const WireProtocol = require('./wire-protocol');
+const IdentityManager = require('./identity-manager');
+const ChatKeyring = require('./chat-keyring');
+const ContactsManager = require('./contacts-manager');
+const ChatBlobs = require('./chat-blobs');
+const ChatReceipts = require('./chat-receipts');
+const ChatMembership = require('./chat-membership');
+const ChatMetadata = require('./chat-metadata');
+const ChatUnread = require('./chat-unread');
+const MediaServer = require('./media-server');
+const PeerFirewall = require('./peer-firewall');
+const invite = require('./invite');
+const networkConfig = require('./network-config');
 
 module.exports = {
   P2PManager,
   CorestoreManager,
   SwarmManager,
+  ChatBase,
+  MessageView,
+  MessageIndex,
+  SearchIndex,
+  ChatRegistry,
+  WireProtocol,
+  IdentityManager,
+  ChatKeyring,
+  ContactsManager,
+  ChatBlobs,
+  ChatReceipts,
+  ChatMembership,
+  ChatMetadata,
+  ChatUnread,
+  MediaServer,
+  PeerFirewall,
+  ...invite,
+  ...networkConfig,
 };
@@ -0,0 +1,105 @@
+const b4a = require('b4a');
+
+const INVITE_PROTOCOL = 'p2pnexus:';
+const INVITE_ACTION = 'join';
+const INVITE_VERSION = 2;
+
+/**
+ * Invite links for sharing chats
+ *
+ * Format: p2pnexus://join/<publicKey>?v=2#key=<chat key>&epoch=<n>&name=<name>
+ * The public key is the hex-encoded key of the chat's bootstrap core. Its
+ * discovery key is the swarm topic, so both sides announce on the same topic.
+ * The chat key and name travel in the fragment, which URL handlers do not
+ * send anywhere; the chat key cannot be derived from the public key.
+ */
+
+/**
+ * Create an invite link for a chat
+ * @param {Buffer|string} publicKey - Bootstrap core public key
+ * @param {Object} [options]
+ * @param {string} [options.name] - Human readable chat name
+ * @param {Object} options.key - Current chat key {epoch, key}
+ * @returns {string} - Invite link
+ */
+function createInvite(publicKey, options) {
+  const keyHex = toHex(publicKey);
+  const base = `${INVITE_PROTOCOL}//${INVITE_ACTION}/${keyHex}`;
+
+  const secrets = new URLSearchParams();
+  secrets.set('key', toHex(options.key.key));
+  secrets.set('epoch', String(options.key.epoch));
+  if (options.name) secrets.set('name', options.name);
+
+  return `${base}?v=${INVITE_VERSION}#${secrets.toString()}`;
+}
+
+/**
+ * Parse an invite link
+ * @param {string} invite - Invite link
+ * @returns {Object} - {publicKey: Buffer, publicKeyHex, name, version, key}
+ *   where key is {epoch, key: Buffer}
+ */
+function parseInvite(invite) {
+  if (typeof invite !== 'string' || invite.length === 0) {
+    throw new Error('Invite is required');
+  }
+
+  let url;
+  try {
+    url = new URL(invite.trim());
+  } catch (_error) {
+    throw new Error('Invalid invite link');
+  }
+
+  if (url.protocol !== INVITE_PROTOCOL || url.hostname !== INVITE_ACTION) {
+    throw new Error('Invalid invite link');
+  }
+
+  const version = Number(url.searchParams.get('v') || 1);
+  if (version !== INVITE_VERSION) {
+    throw new Error(`Unsupported invite version: ${version}`);
+  }
+
+  const keyHex = url.pathname.replace(/^\/+/, '').toLowerCase();
+  if (!isKeyHex(keyHex)) {
+    throw new Error('Invalid public key in invite link');
+  }
+
+  const secrets = new URLSearchParams(url.hash.replace(/^#/, ''));
+  const chatKey = secrets.get('key') || '';
+  const epoch = Number(secrets.get('epoch') || 0);
+
+  if (!isKeyHex(chatKey) || !Number.isInteger(epoch) || epoch < 0) {
+    throw new Error('Invalid chat key in invite link');
+  }
+
+  return toInvite(keyHex, secrets.get('name'), version, {
+    epoch,
+    key: b4a.from(chatKey, 'hex'),
+  });
+}
+
+function toInvite(keyHex, name, version, key) {
+  return {
+    publicKey: b4a.from(keyHex, 'hex'),
+    publicKeyHex: keyHex,
+    name: name || null,
+    version,
+    key,
+  };
+}
+
+function toHex(key) {
+  return typeof key === 'string' ? key : b4a.toString(key, 'hex');
+}
+
+function isKeyHex(value) {
+  return /^[0-9a-fA-F]{64}$/.test(value);
+}
+
+module.exports = {
+  INVITE_VERSION,
+  createInvite,
+  parseInvite,
+};
@@ -0,0 +1,224 @@
+const http = require('http');
+const sodium = require('sodium-universal');
+const b4a = require('b4a');
+
+/**
+ * MediaServer - Serves attachments to native players over loopback HTTP
+ *
+ * Audio and video players take a URL, not a stream from the RPC bridge. Each
+ * URL points at one attachment of a message and is served straight from its
+ * blob core while it replicates, so playback starts before the whole file has
+ * arrived. The server only listens on 127.0.0.1 and every URL carries a random
+ * token generated at startup, so other apps on the device cannot read chats.
+ *
+ * Byte ranges are supported because some players require them. Attachments
+ * are decrypted from the start, so a range is served by skipping up to it.
+ */
+class MediaServer {
+  /**
+   * @param {Function} open - Called with (chatId, messageId, index); resolves
+   *   to {attachment, stream} where stream() resolves to a Readable of the
+   *   file
+   */
+  constructor(open) {
+    this.open = open;
+    this.server = null;
+    this.port = null;
+    this.token = randomToken();
+    this.responses = new Set();
+  }
+
+  /**
+   * Start listening on a free loopback port
+   */
+  async start() {
+    if (this.server) return;
+
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        console.error('[Media] Request failed:', error);
+        if (!res.headersSent) {
+          res.writeHead(500);
+        }
+        res.destroy();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+
+    this.port = this.server.address().port;
+    console.log(`[Media] Serving attachments on port ${this.port}`);
+  }
+
+  /**
+   * URL of an attachment
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Id of the message
+   * @param {number} index - Position of the attachment in the message
+   * @returns {string}
+   */
+  url(chatId, messageId, index) {
+    if (!this.server) {
+      throw new Error('Media server not started');
+    }
+
+    const parts = [this.token, chatId, messageId, String(index)];
+    const pathname = parts.map(encodeURIComponent).join('/');
+    return `http://127.0.0.1:${this.port}/${pathname}`;
+  }
+
+  /**
+   * Stop the server and end any stream in progress
+   */
+  async close() {
+    if (!this.server) return;
+
+    for (const res of this.responses) res.destroy();
+    await new Promise((resolve) => this.server.close(resolve));
+
+    this.server = null;
+    this.port = null;
+  }
+
+  async _handle(req, res) {
+    let parts;
+    try {
+      parts = req.url.split('?')[0].split('/').slice(1).map(decodeURIComponent);
+    } catch (_error) {
+      parts = [];
+    }
+    const [token, chatId, messageId, index] = parts;
+
+    if (parts.length !== 4 || !equalTokens(token, this.token)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, {Allow: 'GET, HEAD'});
+      res.end();
+      return;
+    }
+
+    let media;
+    try {
+      media = await this.open(chatId, messageId, Number(index));
+    } catch (error) {
+      res.writeHead(404);
+      res.end(error.message);
+      return;
+    }
+
+    const {size, mime} = media.attachment;
+    const range = parseRange(req.headers.range, size);
+
+    if (range === null) {
+      res.writeHead(416, {'Content-Range': `bytes */${size}`});
+      res.end();
+      return;
+    }
+
+    const headers = {
+      'Content-Type': mime,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'no-store',
+    };
+
+    if (range) {
+      headers['Content-Range'] = `bytes ${range.start}-${range.end}/${size}`;
+      headers['Content-Length'] = range.end - range.start + 1;
+    } else {
+      headers['Content-Length'] = size;
+    }
+
+    res.writeHead(range ? 206 : 200, headers);
+
+    if (req.method === 'HEAD' || size === 0) {
+      res.end();
+      return;
+    }
+
+    this.responses.add(res);
+    res.once('close', () => this.responses.delete(res));
+
+    const source = await media.stream();
+    res.once('close', () => source.destroy());
+
+    const bytes = range || {start: 0, end: size - 1};
+
+    for await (const chunk of slice(source, bytes)) {
+      if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+      if (res.destroyed) return;
+    }
+
+    res.end();
+  }
+}
+
+/**
+ * Parse a `Range: bytes=start-end` header
+ * @returns {Object|null|undefined} - {start, end} (inclusive), null if the
+ *   range cannot be satisfied, undefined for no (or an unsupported) range
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return undefined;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) return null;
+  return {start, end};
+}
+
+/**
+ * Pass on only the bytes of a stream within an inclusive range
+ */
+async function* slice(source, {start, end}) {
+  let offset = 0;
+
+  for await (const chunk of source) {
+    const chunkEnd = offset + chunk.byteLength;
+
+    if (chunkEnd > start) {
+      yield chunk.subarray(
+        Math.max(0, start - offset),
+        Math.min(chunk.byteLength, end + 1 - offset),
+      );
+    }
+
+    offset = chunkEnd;
+    if (offset > end) break;
+  }
+}
+
+function randomToken() {
+  const token = b4a.alloc(32);
+  sodium.randombytes_buf(token);
+  return b4a.toString(token, 'hex');
+}
+
+function equalTokens(a, b) {
+  if (typeof a !== 'string' || a.length !== b.length) return false;
+  return sodium.sodium_memcmp(b4a.from(a), b4a.from(b));
+}
+
+module.exports = MediaServer;
@@ -0,0 +1,312 @@
+const EventEmitter = require('events');
+const Hyperbee = require('hyperbee');
+const b4a = require('b4a');
+const MessageView = require('./message-view');
+
+// Messages in timeline order
+const MESSAGE_PREFIX = 'msg!';
+// First key after every `msg!` key ('"' follows '!')
+const MESSAGE_END = 'msg"';
+// Position of a message by id, for cursors
+const ID_PREFIX = 'id!';
+// Messages by writer and seq
+const SEQ_PREFIX = 'seq!';
+// Edits, deletions and reactions by the message they change
+const OPERATION_PREFIX = 'op!';
+// Replies by thread root
+const REPLY_PREFIX = 'reply!';
+// Our messages by client id
+const CLIENT_PREFIX = 'client!';
+// Where indexing of every writer is (see ChatBase.getCheckpoint), and how
+// many messages each writer has
+const CHECKPOINT_KEY = 'meta!checkpoint';
+const ID_PATTERN = /^[0-9a-f]{64}:\d+$/;
+
+/**
+ * MessageIndex - Persistent index of a chat's entries in timeline order
+ *
+ * A local Hyperbee (never replicated) that follows a ChatBase and records
+ * where every message, operation and reply is. Keys sort like the timeline:
+ * Lamport clock, then writer, then seq. Only ids are stored, never what the
+ * entries say, so nothing of an encrypted chat is kept in plaintext; the
+ * MessageView reads the blocks back when a message is rendered.
+ *
+ * With every entry the index saves the chat's checkpoint, so a reopened
+ * chat only merges what is new (see ChatBase `resume`) instead of decoding
+ * its whole log.
+ *
+ * Events:
+ *  - 'entry' (entry): an entry was stored
+ */
+class MessageIndex extends EventEmitter {
+  /**
+   * @param {Hypercore} core - Local core holding the index
+   */
+  constructor(core) {
+    super();
+    this.core = core;
+    this.bee = new Hyperbee(core, {keyEncoding: 'utf-8', valueEncoding: 'json'});
+    this.chat = null;
+    // {writers, clock, counts}; counts is {writerHex: number of messages}
+    this.checkpoint = null;
+    this.writing = Promise.resolve();
+    this.opening = null;
+
+    this._onMessage = (entry) => {
+      // Taken now: entries merged later are not stored yet
+      const checkpoint = this.chat.getCheckpoint();
+      this._enqueue(() => this._put(entry, checkpoint));
+    };
+  }
+
+  /**
+   * Messages each writer has, including those of members removed since
+   * @returns {Object} - {writerHex: count}
+   */
+  get counts() {
+    return this.checkpoint ? this.checkpoint.counts : {};
+  }
+
+  /**
+   * Open the index and read its checkpoint
+   */
+  ready() {
+    if (!this.opening) this.opening = this._open();
+    return this.opening;
+  }
+
+  async _open() {
+    await this.bee.ready();
+
+    const checkpoint = await this.bee.get(CHECKPOINT_KEY);
+    this.checkpoint = checkpoint ? checkpoint.value : null;
+  }
+
+  /**
+   * Store the entries a chat merges from now on
+   * Call before the chat is ready, so nothing it merges while opening is
+   * missed.
+   * @param {ChatBase} chat - Chat core
+   */
+  follow(chat) {
+    this.chat = chat;
+    chat.on('message', this._onMessage);
+  }
+
+  /**
+   * Wait until every entry merged so far is stored
+   */
+  flushed() {
+    return this.writing.catch(() => {});
+  }
+
+  /**
+   * Position of a message
+   * @param {string} messageId - Message id
+   * @returns {Promise<string|null>} - Its key, or null if not indexed
+   */
+  async keyOf(messageId) {
+    await this.flushed();
+
+    const node = await this.bee.get(ID_PREFIX + messageId);
+    return node ? node.value.key : null;
+  }
+
+  /**
+   * Ids of messages in timeline order
+   * @param {Object} [range]
+   * @param {string} [range.after] - Only messages after this key
+   * @param {string} [range.before] - Only messages before this key
+   * @param {boolean} [range.reverse] - Newest first
+   */
+  async *messages(range = {}) {
+    const {after = null, before = null, reverse = false} = range;
+    await this.flushed();
+
+    const stream = this.bee.createReadStream(
+      {
+        gt: MESSAGE_PREFIX + (after ?? ''),
+        lt: before !== null ? MESSAGE_PREFIX + before : MESSAGE_END,
+      },
+      {reverse},
+    );
+    for await (const {value} of stream) yield value.id;
+  }
+
+  /**
+   * Ids of the edits, deletions and reactions of a message, in timeline
+   * order
+   * @param {string} messageId - Message id
+   */
+  async *operations(messageId) {
+    yield* this._ids(`${OPERATION_PREFIX}${messageId}!`);
+  }
+
+  /**
+   * Ids of the replies in a thread, in timeline order
+   * @param {string} rootId - Id of the thread's root message
+   */
+  async *replies(rootId) {
+    yield* this._ids(`${REPLY_PREFIX}${rootId}!`);
+  }
+
+  /**
+   * Ids of a writer's messages past a seq, in seq order
+   * @param {string} writer - Hex-encoded writer key
+   * @param {number} [after] - Only messages with a higher seq
+   */
+  async *writerMessages(writer, after = -1) {
+    await this.flushed();
+
+    const prefix = `${SEQ_PREFIX}${writer}!`;
+    const stream = this.bee.createReadStream({
+      gt: after >= 0 ? prefix + pad(after) : prefix,
+      lt: prefixEnd(prefix),
+    });
+    for await (const {value} of stream) yield value.id;
+  }
+
+  /**
+   * Last message of a writer at or before a position
+   * @param {string} writer - Hex-encoded writer key
+   * @param {string} key - Position, from keyOf
+   * @returns {Promise<number|null>} - Its seq
+   */
+  async lastSeqUpTo(writer, key) {
+    await this.flushed();
+
+    const prefix = `${SEQ_PREFIX}${writer}!`;
+    const stream = this.bee.createReadStream(
+      {gt: prefix, lt: prefixEnd(prefix)},
+      {reverse: true},
+    );
+
+    // Clocks grow with seq, so this usually stops right past the position
+    for await (const node of stream) {
+      if (node.value.key <= key) return Number(node.key.slice(prefix.length));
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a message we sent by its client id
+   * @param {string} clientId - Client id given when sending
+   * @returns {Promise<string|null>} - Message id
+   */
+  async sentMessage(clientId) {
+    await this.flushed();
+
+    const node = await this.bee.get(CLIENT_PREFIX + clientId);
+    return node ? node.value.id : null;
+  }
+
+  /**
+   * Stop following the chat and close the index core
+   */
+  async close() {
+    if (this.chat) this.chat.off('message', this._onMessage);
+
+    await this.flushed();
+    await this.bee.close();
+  }
+
+  /**
+   * Stop following the chat and delete the index, e.g. when leaving it
+   */
+  async purge() {
+    if (this.chat) this.chat.off('message', this._onMessage);
+
+    await this.flushed();
+    await this.core.purge();
+  }
+
+  async *_ids(prefix) {
+    await this.flushed();
+
+    const stream = this.bee.createReadStream({
+      gt: prefix,
+      lt: prefixEnd(prefix),
+    });
+    for await (const {value} of stream) yield value.id;
+  }
+
+  _enqueue(task) {
+    this.writing = this.writing.catch(() => {}).then(task);
+    this.writing.catch((error) => {
+      console.error('[MessageIndex] Failed to update index:', error);
+    });
+    return this.writing;
+  }
+
+  async _put(entry, checkpoint) {
+    const type = entry.type || 'message';
+    const key = toKey(entry);
+    const batch = this.bee.batch();
+    const counts = {...this.counts};
+
+    if (type === 'message') {
+      if (!(await batch.get(ID_PREFIX + entry.id))) {
+        counts[entry.writer] = (counts[entry.writer] || 0) + 1;
+      }
+
+      await batch.put(MESSAGE_PREFIX + key, {id: entry.id});
+      await batch.put(ID_PREFIX + entry.id, {key});
+      await batch.put(`${SEQ_PREFIX}${entry.writer}!${pad(entry.seq)}`, {
+        id: entry.id,
+        key,
+      });
+
+      if (MessageView.isReply(entry) && ID_PATTERN.test(entry.threadId)) {
+        await batch.put(`${REPLY_PREFIX}${entry.threadId}!${key}`, {
+          id: entry.id,
+        });
+      }
+
+      const local = b4a.toString(this.chat.local.key, 'hex');
+      if (entry.writer === local && typeof entry.clientId === 'string') {
+        await batch.put(CLIENT_PREFIX + entry.clientId, {id: entry.id});
+      }
+    } else if (
+      MessageView.OPERATIONS.has(type) &&
+      ID_PATTERN.test(entry.target)
+    ) {
+      await batch.put(`${OPERATION_PREFIX}${entry.target}!${key}`, {
+        id: entry.id,
+      });
+    } else {
+      // Nothing to store; the checkpoint moves with the next entry that is
+      return batch.close();
+    }
+
+    this.checkpoint = {...checkpoint, counts};
+    await batch.put(CHECKPOINT_KEY, this.checkpoint);
+    await batch.flush();
+
+    this.emit('entry', entry);
+  }
+}
+
+/**
+ * Index key of an entry: its place in the timeline, zero-padded so keys sort
+ * like ChatBase.compareEntries
+ */
+function toKey(entry) {
+  const clock = Number.isSafeInteger(entry.clock)
+    ? Math.max(entry.clock, 0)
+    : 0;
+  return `${pad(clock)}!${entry.writer}!${pad(entry.seq)}`;
+}
+
+function pad(number) {
+  return String(number).padStart(16, '0');
+}
+
+/**
+ * First key after every key with a prefix ending in '!'
+ */
+function prefixEnd(prefix) {
+  return `${prefix.slice(0, -1)}"`;
+}
+
+module.exports = MessageIndex;
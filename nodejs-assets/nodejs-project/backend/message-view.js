@@ -0,0 +1,540 @@
+const EventEmitter = require('events');
+const ChatBase = require('./chat-base');
+
+// Operations that change an earlier message instead of adding one
+const OPERATIONS = new Set(['edit', 'delete', 'react']);
+// Verified entries kept in memory, for messages read again soon
+const ENTRY_CACHE = 1000;
+
+/**
+ * MessageView - Messages of a chat, rendered on demand
+ *
+ * The timeline holds typed operations:
+ *  - `message` (or no type, for older entries): a new message
+ *  - `edit`: {target, text} replaces the text of our own message
+ *  - `delete`: {target} turns our own message into a tombstone
+ *  - `react`: {target, emoji, remove} adds or removes a reaction
+ *
+ * Messages can reply to another message (`replyTo`, its id) and carry the id
+ * of their thread root (`threadId`), set by the sender from the message it
+ * replied to. Replies are indexed per thread root. Their `attachments` are
+ * references to blobs (see ChatBlobs) and are dropped when a message is
+ * deleted. A message's `kind` is 'text' or 'voice'; voice notes carry their
+ * audio as an attachment and `voice` metadata ({duration, peaks}). Messages
+ * can mention members by identity key (`mentions`).
+ *
+ * `target` is the id (`writer:seq`) of the message. Nothing is kept in
+ * memory: the chat's MessageIndex knows where every message, operation and
+ * reply is, and a message is rendered when it is read, from its block and
+ * those of its operations. Blocks from different writers arrive in any order,
+ * so an operation can be stored before its target; it applies once the
+ * target is there. Each message's state only depends on which operations
+ * exist, not on arrival order, so every peer ends up with the same view.
+ *
+ * Rendered messages carry their delivery and read state when `receipts` is
+ * set to the chat's ChatReceipts. When `membership` is set to the chat's
+ * ChatMembership, entries it does not allow (from banned members, or written
+ * after their author was kicked or made read-only) are left out. They are
+ * checked as they are read, so a role change only has to `reset` readers.
+ *
+ * Events:
+ *  - 'message' (message): a message was added
+ *  - 'update' (message): a message was edited, deleted or reacted to, or its
+ *    thread got a new reply
+ *  - 'reset': roles changed and messages may have been hidden or shown
+ */
+class MessageView extends EventEmitter {
+  /**
+   * @param {ChatBase} core - Chat core the entries are read from
+   * @param {MessageIndex} index - Index of the chat's entries
+   * @param {Function} verify - Returns a copy of a timeline entry with its
+   *   `verified` flag set
+   */
+  constructor(core, index, verify) {
+    super();
+    this.core = core;
+    this.index = index;
+    this.verify = verify;
+    // Map<entryId, verified entry>, least recently read first
+    this.entries = new Map();
+    this.receipts = null; // ChatReceipts
+    this.membership = null; // ChatMembership
+    this.announcing = Promise.resolve();
+
+    this._onEntry = (entry) => {
+      this.announcing = this.announcing
+        .then(() => this._announce(entry))
+        .catch((error) => {
+          console.error('[MessageView] Failed to announce entry:', error);
+        });
+    };
+
+    index.on('entry', this._onEntry);
+  }
+
+  /**
+   * Number of messages, not counting those of banned members
+   */
+  get length() {
+    let length = 0;
+
+    for (const [writer, count] of Object.entries(this.index.counts)) {
+      const identity = this.identityOf(writer);
+      if (
+        this.membership &&
+        identity &&
+        this.membership.roleOf(identity).status === 'banned'
+      ) {
+        continue;
+      }
+      length += count;
+    }
+
+    return length;
+  }
+
+  /**
+   * Writers that have messages
+   * @returns {Array<string>} - Hex-encoded writer keys
+   */
+  writers() {
+    return Object.keys(this.index.counts);
+  }
+
+  /**
+   * Identity a writer is bound to
+   * @param {string} writer - Hex-encoded writer key
+   * @returns {string|null}
+   */
+  identityOf(writer) {
+    return this.membership?.writerIdentities.get(writer) ?? null;
+  }
+
+  /**
+   * Tell readers that roles changed and what they read may be stale
+   */
+  reset() {
+    this.emit('reset');
+  }
+
+  /**
+   * Get a message by id
+   * @param {string} id - Message id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const entry = await this._message(id);
+    return entry ? this._render(await this._state(entry)) : null;
+  }
+
+  /**
+   * Get a message by its position among messages
+   * @param {number} index - Position
+   * @returns {Promise<Object|null>}
+   */
+  async at(index) {
+    const [message] = await this.list(index, index + 1);
+    return message || null;
+  }
+
+  /**
+   * List messages in timeline order
+   * @param {number} [start]
+   * @param {number} [end]
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(start = 0, end = Infinity) {
+    const messages = [];
+    let position = 0;
+
+    for await (const id of this.index.messages()) {
+      if (position >= end) break;
+
+      const entry = await this._message(id);
+      if (!entry) continue;
+
+      if (position >= start) {
+        messages.push(await this._render(await this._state(entry)));
+      }
+      position++;
+    }
+
+    return messages;
+  }
+
+  /**
+   * Read a page of messages in timeline order
+   * @param {Object} [options]
+   * @param {string} [options.before] - Only messages older than this one
+   * @param {string} [options.after] - Only messages newer than this one
+   * @param {number} [options.limit] - Maximum number of messages (default all)
+   * @param {boolean} [options.reverse] - Newest first
+   * @returns {Promise<Object>} - {messages, hasMore}
+   */
+  async page(options = {}) {
+    const {before = null, after = null, limit = null, reverse = false} = options;
+
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error('Limit must be a positive integer');
+    }
+
+    const range = {
+      after: after ? await this._cursorKey(after) : null,
+      before: before ? await this._cursorKey(before) : null,
+      reverse,
+    };
+
+    const messages = [];
+    let hasMore = false;
+
+    for await (const id of this.index.messages(range)) {
+      const entry = await this._message(id);
+      if (!entry) continue;
+
+      if (messages.length === limit) {
+        hasMore = true;
+        break;
+      }
+      messages.push(await this._render(await this._state(entry)));
+    }
+
+    return {messages, hasMore};
+  }
+
+  /**
+   * Messages of a writer past a seq, in seq order
+   * @param {string} writer - Hex-encoded writer key
+   * @param {number} [after] - Only messages with a higher seq
+   */
+  async *messagesOf(writer, after = -1) {
+    for await (const id of this.index.writerMessages(writer, after)) {
+      const message = await this.get(id);
+      if (message) yield message;
+    }
+  }
+
+  /**
+   * Get a thread: its root message and all replies in timeline order
+   * @param {string} rootId - Id of the thread's root message
+   * @returns {Promise<Object>} - {root, replies}; root is null if not
+   *   replicated yet
+   */
+  async getThread(rootId) {
+    const replies = [];
+    for (const entry of await this._replies(rootId)) {
+      replies.push(await this._render(await this._state(entry)));
+    }
+
+    return {root: await this.get(rootId), replies};
+  }
+
+  /**
+   * Thread root id for a reply to a message
+   * @param {string} messageId - Id of the message being replied to
+   * @returns {Promise<string|null>} - Root id, or null if the message is
+   *   unknown
+   */
+  async threadIdFor(messageId) {
+    const entry = await this._message(messageId);
+    if (!entry) return null;
+
+    return isReply(entry) ? entry.threadId : entry.id;
+  }
+
+  /**
+   * Find a message we sent by its client id
+   * @param {string} clientId - Client id given when sending
+   * @returns {Promise<Object|null>}
+   */
+  async findSent(clientId) {
+    const id = await this.index.sentMessage(clientId);
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * Last message of every writer up to a message, in timeline order
+   * @param {string} messageId - Message id
+   * @returns {Promise<Map<string, number>>} - Map<writerHex, seq>
+   */
+  async positionsUpTo(messageId) {
+    const key = await this._cursorKey(messageId);
+    const positions = new Map();
+
+    for (const writer of this.writers()) {
+      const seq = await this.index.lastSeqUpTo(writer, key);
+      if (seq !== null) positions.set(writer, seq);
+    }
+
+    return positions;
+  }
+
+  /**
+   * Stop following the index
+   */
+  close() {
+    this.index.off('entry', this._onEntry);
+  }
+
+  async _cursorKey(messageId) {
+    const key = await this.index.keyOf(messageId);
+    if (!key) {
+      throw new Error(`Message ${messageId} not found`);
+    }
+    return key;
+  }
+
+  /**
+   * Tell readers about a stored entry
+   */
+  async _announce(entry) {
+    const type = entry.type || 'message';
+
+    if (type === 'message') {
+      const message = await this.get(entry.id);
+      if (!message) return;
+
+      this.emit('message', message);
+
+      // The root's reply count changed
+      const root = isReply(message) && (await this.get(message.threadId));
+      if (root) this.emit('update', root);
+      return;
+    }
+
+    const op = OPERATIONS.has(type) && (await this._load(entry.id));
+    if (!op || !this._allows(op)) return;
+
+    const target = await this._message(op.target);
+    if (target && accepts(target, op)) {
+      this.emit('update', await this._render(await this._state(target)));
+    }
+  }
+
+  /**
+   * Read an entry, verified, from the cache or its block
+   */
+  async _load(id) {
+    let entry = this.entries.get(id);
+
+    if (entry) {
+      this.entries.delete(id);
+    } else {
+      const stored = await this.core.getEntry(id);
+      if (!stored) return null;
+      entry = this.verify(stored);
+    }
+
+    this.entries.set(id, entry);
+    if (this.entries.size > ENTRY_CACHE) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  /**
+   * A message entry that is shown, or null
+   */
+  async _message(id) {
+    if (typeof id !== 'string') return null;
+
+    const entry = await this._load(id);
+    if (!entry || (entry.type || 'message') !== 'message') return null;
+
+    return this._allows(entry) ? entry : null;
+  }
+
+  _allows(entry) {
+    return !this.membership || this.membership.allows(entry);
+  }
+
+  /**
+   * Apply the operations stored for a message
+   */
+  async _state(entry) {
+    const state = {
+      entry,
+      edits: [],
+      deletion: null,
+      reactions: new Map(), // Map<'authorId emoji', operation>
+    };
+
+    for await (const id of this.index.operations(entry.id)) {
+      const op = await this._load(id);
+      if (op && op.target === entry.id && this._allows(op)) {
+        applyOperation(state, op);
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Replies of a thread that are shown, in timeline order
+   */
+  async _replies(rootId) {
+    const replies = [];
+
+    for await (const id of this.index.replies(rootId)) {
+      const entry = await this._message(id);
+      if (entry && isReply(entry) && entry.threadId === rootId) {
+        replies.push(entry);
+      }
+    }
+
+    return replies;
+  }
+
+  /**
+   * Render a message with its thread information
+   */
+  async _render(state) {
+    const message = render(state);
+    const replies = await this._replies(state.entry.id);
+    const lastReply = replies[replies.length - 1];
+
+    message.replyCount = replies.length;
+    message.lastReplyAt = lastReply ? lastReply.timestamp : null;
+
+    // Quote of the message this one replies to, as it currently reads
+    const quoted =
+      isReply(state.entry) && (await this._message(state.entry.replyTo));
+    message.quoted = quoted ? toQuote(render(await this._state(quoted))) : null;
+
+    const receipts = this.receipts
+      ? this.receipts.of(message)
+      : {status: 'sent', deliveredTo: [], readBy: []};
+    message.status = receipts.status;
+    message.deliveredTo = receipts.deliveredTo;
+    message.readBy = receipts.readBy;
+
+    return message;
+  }
+}
+
+/**
+ * Whether an operation changes a message; reactions may still lose to a
+ * later one
+ */
+function accepts(entry, op) {
+  // Every operation must be signed by the identity it claims
+  if (!op.verified) return false;
+
+  const ownMessage = entry.verified && entry.authorId === op.authorId;
+
+  switch (op.type) {
+    case 'edit':
+      return ownMessage && typeof op.text === 'string';
+    case 'delete':
+      return ownMessage;
+    case 'react':
+      return typeof op.emoji === 'string' && op.emoji.length > 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply an operation to a message
+ */
+function applyOperation(state, op) {
+  if (!accepts(state.entry, op)) return;
+
+  switch (op.type) {
+    case 'edit':
+      state.edits.splice(insertionIndex(state.edits, op), 0, op);
+      break;
+
+    case 'delete':
+      if (!state.deletion || ChatBase.compareEntries(op, state.deletion) < 0) {
+        state.deletion = op;
+      }
+      break;
+
+    case 'react': {
+      // Last write wins per author and emoji
+      const key = `${op.authorId} ${op.emoji}`;
+      const current = state.reactions.get(key);
+      if (!current || ChatBase.compareEntries(current, op) < 0) {
+        state.reactions.set(key, op);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Render the current state of a message
+ */
+function render(state) {
+  const {entry, edits, deletion} = state;
+  const deleted = !!deletion;
+  const lastEdit = edits[edits.length - 1];
+
+  const reactions = {};
+  for (const op of state.reactions.values()) {
+    if (op.remove || deleted) continue;
+    if (!reactions[op.emoji]) reactions[op.emoji] = [];
+    reactions[op.emoji].push(op.authorId);
+  }
+
+  return {
+    ...entry,
+    type: 'message',
+    kind: entry.kind || 'text',
+    text: deleted ? null : lastEdit ? lastEdit.text : entry.text,
+    edited: !deleted && edits.length > 0,
+    editedAt: !deleted && lastEdit ? lastEdit.timestamp : null,
+    // Every version of the text, oldest first
+    history: deleted
+      ? []
+      : [entry, ...edits].map((version) => ({
+          text: version.text,
+          timestamp: version.timestamp,
+        })),
+    deleted,
+    deletedAt: deleted ? deletion.timestamp : null,
+    reactions,
+    attachments:
+      deleted || !Array.isArray(entry.attachments) ? [] : entry.attachments,
+    voice: deleted ? null : entry.voice || null,
+    mentions:
+      deleted || !Array.isArray(entry.mentions) ? [] : entry.mentions,
+  };
+}
+
+function toQuote(message) {
+  return {
+    id: message.id,
+    author: message.author,
+    authorId: message.authorId,
+    text: message.text,
+    deleted: message.deleted,
+  };
+}
+
+function isReply(entry) {
+  return (
+    typeof entry.replyTo === 'string' &&
+    typeof entry.threadId === 'string' &&
+    entry.threadId !== entry.id
+  );
+}
+
+function insertionIndex(list, item) {
+  let low = 0;
+  let high = list.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (ChatBase.compareEntries(list[mid], item) < 0) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+MessageView.OPERATIONS = OPERATIONS;
+MessageView.isReply = isReply;
+
+module.exports = MessageView;
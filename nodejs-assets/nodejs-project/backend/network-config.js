@@ -0,0 +1,194 @@
+const b4a = require('b4a');
+const crypto = require('hypercore-crypto');
+
+const CONNECTION_LIMITS = [
+  'maxPeers',
+  'maxClientConnections',
+  'maxServerConnections',
+];
+
+/**
+ * Network configuration
+ *
+ * Which DHT the swarm joins and how it connects. Every field is optional;
+ * without any the swarm joins the public DHT like before.
+ *  - bootstrap: DHT nodes to bootstrap from, as 'host:port' or {host, port}.
+ *    A private network lists only its own bootstrap node (see
+ *    bootstrap-node.js), which keeps discovery on that network
+ *  - host, port: address our DHT socket binds to
+ *  - keyPair {publicKey, secretKey} or seed, hex-encoded: a fixed identity.
+ *    It is also the swarm's key pair, so peers see the same key our messages
+ *    are signed with
+ *  - firewall (remotePublicKey, payload): returns true to reject a
+ *    connection. Functions cannot cross the RPC bridge, so this is only for
+ *    code running in the Node.js process
+ *  - maxPeers, maxClientConnections, maxServerConnections: connection limits
+ *  - relayThrough: hex-encoded key, or list of keys, of blind relays used
+ *    when holepunching fails; forceRelay relays every connection instead
+ *  - deferRandomPunch, randomPunchInterval: when the DHT may holepunch
+ *    through randomizing NATs
+ */
+
+/**
+ * Check a network configuration and split it into our identity and the
+ * swarm's options
+ * @param {Object} [config] - Network configuration
+ * @returns {Object} - {keyPair, swarm}; keyPair is null unless fixed
+ * @throws {Error} If a field is invalid
+ */
+function parseNetworkConfig(config = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Network configuration must be an object');
+  }
+
+  const swarm = {};
+
+  if (config.bootstrap !== undefined) {
+    if (!Array.isArray(config.bootstrap) || config.bootstrap.length === 0) {
+      throw new Error('Bootstrap must be a non-empty list of nodes');
+    }
+    swarm.bootstrap = config.bootstrap.map(parseNode);
+  }
+
+  if (config.host !== undefined) {
+    if (typeof config.host !== 'string' || config.host.length === 0) {
+      throw new Error('Host must be a string');
+    }
+    swarm.host = config.host;
+  }
+
+  if (config.port !== undefined) {
+    swarm.port = parsePort(config.port);
+  }
+
+  if (config.firewall !== undefined) {
+    if (typeof config.firewall !== 'function') {
+      throw new Error('Firewall must be a function');
+    }
+    swarm.firewall = config.firewall;
+  }
+
+  for (const name of CONNECTION_LIMITS) {
+    if (config[name] === undefined) continue;
+
+    if (!Number.isSafeInteger(config[name]) || config[name] < 1) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+    swarm[name] = config[name];
+  }
+
+  if (config.relayThrough !== undefined) {
+    const relays = [].concat(config.relayThrough).map((key) => {
+      if (!isKeyHex(key)) {
+        throw new Error('Relays must be hex-encoded public keys');
+      }
+      return b4a.from(key, 'hex');
+    });
+    swarm.relayThrough = relayThrough(relays, config.forceRelay === true);
+  } else if (config.forceRelay) {
+    throw new Error('forceRelay needs relayThrough');
+  }
+
+  if (config.deferRandomPunch !== undefined) {
+    swarm.deferRandomPunch = config.deferRandomPunch === true;
+  }
+
+  if (config.randomPunchInterval !== undefined) {
+    const interval = config.randomPunchInterval;
+    if (!Number.isSafeInteger(interval) || interval < 0) {
+      throw new Error('randomPunchInterval must be a number of milliseconds');
+    }
+    swarm.randomPunchInterval = interval;
+  }
+
+  return {keyPair: parseKeyPair(config), swarm};
+}
+
+/**
+ * Parse a DHT node address
+ * @param {string|Object} node - 'host:port' or {host, port}
+ * @returns {Object} - {host, port}
+ */
+function parseNode(node) {
+  if (typeof node === 'string') {
+    const separator = node.lastIndexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid bootstrap node: ${node}`);
+    }
+
+    return {
+      host: node.slice(0, separator),
+      port: parsePort(Number(node.slice(separator + 1))),
+    };
+  }
+
+  if (!node || typeof node.host !== 'string' || node.host.length === 0) {
+    throw new Error('Bootstrap nodes need a host and a port');
+  }
+
+  return {host: node.host, port: parsePort(node.port)};
+}
+
+function parsePort(port) {
+  if (!Number.isSafeInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${port}`);
+  }
+  return port;
+}
+
+/**
+ * Fixed identity of a configuration, from a key pair or a seed
+ * @returns {Object|null} - {publicKey, secretKey}
+ */
+function parseKeyPair(config) {
+  if (config.keyPair !== undefined && config.seed !== undefined) {
+    throw new Error('Give either a key pair or a seed, not both');
+  }
+
+  if (config.seed !== undefined) {
+    if (!isKeyHex(config.seed)) {
+      throw new Error('Seed must be 32 hex-encoded bytes');
+    }
+    return crypto.keyPair(b4a.from(config.seed, 'hex'));
+  }
+
+  if (config.keyPair === undefined) return null;
+
+  const {publicKey, secretKey} = config.keyPair || {};
+  if (
+    !isKeyHex(publicKey) ||
+    typeof secretKey !== 'string' ||
+    !/^[0-9a-f]{128}$/i.test(secretKey)
+  ) {
+    throw new Error('Key pair must be a hex-encoded publicKey and secretKey');
+  }
+
+  const keyPair = {
+    publicKey: b4a.from(publicKey, 'hex'),
+    secretKey: b4a.from(secretKey, 'hex'),
+  };
+  if (!crypto.validateKeyPair(keyPair)) {
+    throw new Error('Public key does not match the secret key');
+  }
+
+  return keyPair;
+}
+
+/**
+ * Hyperswarm relay callback: pick a relay when the connection has to be
+ * relayed, or always if forced
+ */
+function relayThrough(relays, force) {
+  return (mustRelay, swarm) => {
+    if (!force && !mustRelay && !swarm.dht.randomized) return null;
+    return relays[Math.floor(Math.random() * relays.length)];
+  };
+}
+
+function isKeyHex(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+}
+
+module.exports = {
+  parseNetworkConfig,
+};
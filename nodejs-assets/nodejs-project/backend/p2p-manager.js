@@ -1,38 +1,182 @@
+const EventEmitter = require('events');
+const path = require('path');
+const {fileURLToPath} = require('url');
 const CorestoreManager = require('./corestore-manager');
 const SwarmManager = require('./swarm-manager');
+const ChatRegistry = require('./chat-registry');
+const WireProtocol = require('./wire-protocol');
+const IdentityManager = require('./identity-manager');
+const ChatKeyring = require('./chat-keyring');
+const ContactsManager = require('./contacts-manager');
+const ChatBlobs = require('./chat-blobs');
+const ChatReceipts = require('./chat-receipts');
+const ChatMetadata = require('./chat-metadata');
+const ChatUnread = require('./chat-unread');
+const MediaServer = require('./media-server');
+const PeerFirewall = require('./peer-firewall');
+const {createInvite, parseInvite} = require('./invite');
+const {parseNetworkConfig} = require('./network-config');
+
+const DIRECT_CHAT_PREFIX = 'direct:';
+// Waveform peaks travel in the message, so keep them short
+const MAX_VOICE_PEAKS = 128;
+const MAX_MENTIONS = 50;
+// Sync progress is reported at most this often per chat
+const SYNC_PROGRESS_INTERVAL = 1000;
 
 /**
  * P2PManager - Main orchestrator for P2P chat functionality
  * Combines Corestore and Swarm for complete P2P chat system
+ *
+ * Events:
+ *  - 'direct-chat' (chatInfo): a peer started a direct chat with us
+ *  - 'direct-request' ({peer, name, receivedAt}): a peer that is not a
+ *    contact wants to start a direct chat; see acceptDirectChat
+ *  - 'chat-loaded' ({chatId}): a chat was created, joined or restored and
+ *    messages can be sent to it
+ *  - 'attachment-progress' ({chatId, messageId, index, loaded, total}): bytes
+ *    of an attachment downloaded so far
+ *  - 'presence-changed' ({chatId, peer, status, lastSeen}): a peer came
+ *    online, went away or went offline
+ *  - 'typing-changed' ({chatId, peer, typing}): a peer started or stopped
+ *    typing
+ *  - 'receipt-updated' ({chatId, peer, kind, writer, seq}): a peer has (kind
+ *    'delivered') or has read (kind 'read') the messages of a writer up to seq
+ *  - 'members-changed' ({chatId}): a member was invited, removed, banned or
+ *    given another role
+ *  - 'chat-updated' ({chatId, metadata, updatedAt, updatedBy}): the chat's
+ *    replicated metadata changed
+ *  - 'unread-changed' ({chatId, unread, mentions}): unread or mention count
+ *    of a chat changed
+ *  - 'peer-rejected' ({peer, reason, chatId}): the firewall refused a
+ *    connection (chatId null) or to replicate a chat with a peer
+ *  - 'peer-connected' ({chatId, peer}): a peer started replicating a chat;
+ *    peer is as listed by getConnectedPeers
+ *  - 'peer-disconnected' ({chatId, peer}): a peer (its public key) stopped
+ *    replicating a chat
+ *  - 'replication-progress' ({chatId, peer, length, replication}): blocks
+ *    were exchanged with a peer; replication counts them since it connected
+ *  - 'sync-progress' (status): a chat downloaded blocks or history; status
+ *    is as returned by getSyncStatus. Reported at most every
+ *    SYNC_PROGRESS_INTERVAL
  */
-class P2PManager {
-  constructor(storagePath = './storage') {
+class P2PManager extends EventEmitter {
+  /**
+   * @param {string} [storagePath] - Directory for cores, keys and registries
+   * @param {Object} [options]
+   * @param {Object} [options.swarm] - Hyperswarm options, e.g. a DHT node of
+   *   a local testnet; the key pair is always our identity
+   */
+  constructor(storagePath = './storage', options = {}) {
+    super();
+    this.options = options;
     this.corestoreManager = new CorestoreManager(storagePath);
+    this.identityManager = new IdentityManager(
+      storagePath,
+      this.corestoreManager,
+    );
     this.swarmManager = null;
+    this.protocol = new WireProtocol(); // Handlers can be registered before init
+    this.registry = new ChatRegistry(storagePath);
+    this.contacts = new ContactsManager(storagePath);
+    this.firewall = new PeerFirewall(storagePath);
+    this.firewall.checkMember = (chatId, peer) =>
+      this.checkChatPeer(chatId, peer);
+    this.firewall.on('rejected', (event) => {
+      this.emit('peer-rejected', event);
+    });
+    this.mediaServer = new MediaServer((chatId, messageId, index) =>
+      this.openAttachment(chatId, messageId, index),
+    );
     this.initialized = false;
     this.chats = new Map(); // Map<chatId, ChatInfo>
+    this.directRequests = new Map(); // Map<peerHex, {offer, receivedAt}>
+
+    // Every connection starts with a hello, which is when we last saw a peer
+    this.protocol.handle('control', 'hello', (event) => {
+      this.contacts.touch(event.peer).catch((error) => {
+        console.error('[P2P] Failed to update contact:', error);
+      });
+    });
+
+    this.protocol.handle('ephemeral', 'receipt', (event) => {
+      const receipts = this.corestoreManager.receipts.get(event.chatId);
+      if (!receipts || !ChatReceipts.RECEIPT_KINDS.includes(event.kind)) return;
+
+      receipts.update(event.kind, event.peer, event.writer, event.seq);
+    });
+
+    this.protocol.handle('control', 'direct', (event) => {
+      this.handleDirectOffer(event).catch((error) => {
+        console.error(`[P2P] Failed to handle direct offer:`, error);
+      });
+    });
   }
 
   /**
    * Initialize the P2P system
+   * @param {Object} [network] - Network configuration: bootstrap nodes, a
+   *   fixed key pair, firewall, connection limits, relays (see
+   *   network-config.js); the public DHT if omitted
    */
-  async initialize() {
+  async initialize(network = {}) {
     try {
       console.log('[P2P] Initializing P2P Manager...');
 
+      const {keyPair, swarm} = parseNetworkConfig(network);
+
       // Initialize corestore first
       await this.corestoreManager.initialize();
 
-      // Initialize swarm
-      this.swarmManager = new SwarmManager(this.corestoreManager);
+      // Load (or create on first run) the key pair we sign messages with
+      await this.identityManager.initialize(keyPair);
+      await this.contacts.load();
+      await this.firewall.load();
+
+      // Initialize swarm; connecting with our identity key makes the Noise
+      // public key peers see the same key our messages are signed with
+      this.swarmManager = new SwarmManager(
+        this.corestoreManager,
+        this.protocol,
+        {
+          ...this.options.swarm,
+          ...swarm,
+          keyPair: this.identityManager.keyPair,
+        },
+        this.firewall,
+      );
+      this.swarmManager.on('presence', (event) => {
+        this.emit('presence-changed', event);
+      });
+      this.swarmManager.on('typing', (event) => {
+        this.emit('typing-changed', event);
+      });
+      this.swarmManager.on('peer-connected', ({chatId, peer}) => {
+        this.emit('peer-connected', {
+          chatId,
+          peer: {...peer, name: this.contacts.resolveName(peer.publicKey)},
+        });
+      });
+      this.swarmManager.on('peer-disconnected', (event) => {
+        this.emit('peer-disconnected', event);
+      });
+      this.swarmManager.on('replication-progress', (event) => {
+        this.emit('replication-progress', event);
+      });
       await this.swarmManager.initialize();
+      await this.mediaServer.start();
 
       this.initialized = true;
+
+      // Reopen every chat we took part in before the runtime restarted
+      await this.restoreChats();
+
       console.log('[P2P] P2P Manager initialized successfully');
 
       return {
         success: true,
         message: 'P2P system initialized',
+        identity: this.identityManager.getIdentity(),
         stats: this.getStats(),
       };
     } catch (error) {
@@ -44,7 +188,8 @@ class P2PManager {
   /**
    * Create a new chat
    * @param {string} chatId - Unique chat identifier
-   * @param {Object} metadata - Chat metadata (name, description, etc.)
+   * @param {Object} metadata - Chat metadata; name, description, avatar and
+   *   topic are replicated to everyone who joins, other fields stay local
    * @returns {Promise<Object>} - Chat info
    */
   async createChat(chatId, metadata = {}) {
@@ -54,17 +199,29 @@ class P2PManager {
 
     // Check if chat already exists
     if (this.chats.has(chatId)) {
-      return this.chats.get(chatId);
+      return this.getChatInfo(chatId);
+    }
+
+    const shared = pickSharedMetadata(metadata);
+    if (Object.keys(shared).length > 0) {
+      ChatMetadata.validateFields(shared);
     }
 
     try {
       console.log(`[P2P] Creating chat: ${chatId}`);
 
-      // Create hypercore for this chat
-      const core = await this.corestoreManager.getChatCore(chatId);
+      // Create hypercore for this chat, encrypted with a fresh chat key
+      const core = await this.corestoreManager.getChatCore(
+        chatId,
+        null,
+        ChatKeyring.generate(this.identityManager.keyPair),
+      );
 
       // Join swarm topic for peer discovery
-      const topicInfo = await this.swarmManager.joinTopic(chatId);
+      const topicInfo = await this.swarmManager.joinTopic(
+        chatId,
+        core.discoveryKey,
+      );
 
       // Store chat info
       const chatInfo = {
@@ -72,20 +229,49 @@ class P2PManager {
         metadata,
         core,
         topic: topicInfo,
+        kind: 'group',
+        role: 'creator',
         createdAt: Date.now(),
-        messageCount: core.length,
+        messageCount: this.corestoreManager.getMessageCount(chatId),
       };
 
       this.chats.set(chatId, chatInfo);
 
+      const coreInfo = await this.corestoreManager.getCoreInfo(chatId);
+
+      await this.registry.put({
+        chatId,
+        publicKey: coreInfo.publicKey,
+        discoveryKey: coreInfo.discoveryKey,
+        metadata,
+        kind: chatInfo.kind,
+        role: chatInfo.role,
+        joinedAt: chatInfo.createdAt,
+        keys: core.keyring.toJSON(),
+      });
+
+      await this.setupChat(chatId, core);
+
+      if (Object.keys(shared).length > 0) {
+        await this.appendOperation(chatId, {
+          type: 'chat-metadata',
+          fields: shared,
+        });
+      }
+
       console.log(`[P2P] Chat created: ${chatId}`);
 
       return {
         chatId,
         discoveryKey: topicInfo.topicHex,
-        publicKey: await this.corestoreManager.getCoreInfo(chatId),
+        publicKey: coreInfo.publicKey,
+        invite: this.createChatInvite(core, metadata),
+        writers: coreInfo.writers,
+        kind: chatInfo.kind,
+        encrypted: true,
+        keyEpoch: core.keyring.epoch,
         metadata,
-        messageCount: core.length,
+        messageCount: this.corestoreManager.getMessageCount(chatId),
       };
     } catch (error) {
       console.error(`[P2P] Failed to create chat ${chatId}:`, error);
@@ -94,25 +280,58 @@ class P2PManager {
   }
 
   /**
-   * Join an existing chat using discovery key
+   * Join an existing chat from an invite link
    * @param {string} chatId - Local chat identifier
-   * @param {string} discoveryKey - Hex-encoded discovery key
+   * @param {string} invite - Invite link (p2pnexus://join/<publicKey>?...)
+   *   carrying the chat key
    * @param {Object} metadata - Chat metadata
+   * @param {Object} [options]
+   * @param {number} [options.recent] - Download only the last `recent`
+   *   blocks of every writer first, which holds at least the last `recent`
+   *   messages; older history is downloaded by backfill()
    * @returns {Promise<Object>} - Chat info
    */
-  async joinChat(chatId, discoveryKey, metadata = {}) {
+  async joinChat(chatId, invite, metadata = {}, options = {}) {
     if (!this.initialized) {
       throw new Error('P2P Manager not initialized');
     }
 
+    const {recent = null} = options;
+    if (recent !== null && (!Number.isSafeInteger(recent) || recent < 1)) {
+      throw new Error('recent must be a positive integer');
+    }
+
+    // Joining under a loaded chat's id would replace it and leak its topic
+    if (this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} already exists`);
+    }
+
+    const {publicKey, publicKeyHex, name, key} = parseInvite(invite);
+
+    if (name && !metadata.name) {
+      metadata = {...metadata, name};
+    }
+
     try {
-      console.log(`[P2P] Joining chat: ${chatId} with key: ${discoveryKey}`);
+      console.log(`[P2P] Joining chat: ${chatId} with key: ${publicKeyHex}`);
+
+      const keyring = new ChatKeyring({identity: this.identityManager.keyPair});
+      keyring.add(key.epoch, key.key);
 
-      // Join swarm topic
-      const topicInfo = await this.swarmManager.joinTopic(chatId, discoveryKey);
+      // Open the chat from its bootstrap core; our own writer core is created
+      // alongside it and announced to peers once we connect
+      const core = await this.corestoreManager.getChatCore(
+        chatId,
+        publicKey,
+        keyring,
+        recent === null ? null : {tail: recent, starts: {}},
+      );
 
-      // Get or create core (will sync with peers)
-      const core = await this.corestoreManager.getChatCore(chatId);
+      // Join the swarm on the bootstrap core's discovery key
+      const topicInfo = await this.swarmManager.joinTopic(
+        chatId,
+        core.discoveryKey,
+      );
 
       // Store chat info
       const chatInfo = {
@@ -120,20 +339,42 @@ class P2PManager {
         metadata,
         core,
         topic: topicInfo,
+        kind: 'group',
+        role: 'member',
         joinedAt: Date.now(),
-        messageCount: core.length,
+        messageCount: this.corestoreManager.getMessageCount(chatId),
       };
 
       this.chats.set(chatId, chatInfo);
 
+      await this.registry.put({
+        chatId,
+        publicKey: publicKeyHex,
+        discoveryKey: topicInfo.topicHex,
+        metadata,
+        kind: chatInfo.kind,
+        role: chatInfo.role,
+        joinedAt: chatInfo.joinedAt,
+        keys: keyring.toJSON(),
+        sparse: core.getSparse() || undefined,
+      });
+
+      await this.setupChat(chatId, core);
+
       console.log(`[P2P] Joined chat: ${chatId}`);
 
       return {
         chatId,
         discoveryKey: topicInfo.topicHex,
+        publicKey: publicKeyHex,
+        invite: this.createChatInvite(core, metadata),
+        writers: core.getWriterKeys(),
+        kind: chatInfo.kind,
+        encrypted: core.encrypted,
+        keyEpoch: keyring.epoch,
         metadata,
-        messageCount: core.length,
-        peers: this.swarmManager.getConnectedPeers(chatId),
+        messageCount: this.corestoreManager.getMessageCount(chatId),
+        peers: this.swarmManager.getConnectedPeers(chatId).length,
       };
     } catch (error) {
       console.error(`[P2P] Failed to join chat ${chatId}:`, error);
@@ -142,194 +383,1775 @@ class P2PManager {
   }
 
   /**
-   * Send a message to a chat
-   * @param {string} chatId - Chat identifier
-   * @param {Object} message - Message object
-   * @returns {Promise<Object>} - Sent message with sequence number
+   * Restore all chats from the registry
+   * Reopens each chat's cores, rejoins its swarm topic and so resumes
+   * replication with peers that are still around.
+   * @returns {Promise<Array>} - Chat IDs that were restored
    */
-  async sendMessage(chatId, message) {
-    if (!this.initialized) {
-      throw new Error('P2P Manager not initialized');
+  async restoreChats() {
+    const entries = await this.registry.load();
+    const restored = [];
+
+    for (const entry of entries) {
+      try {
+        await this.restoreChat(entry);
+        restored.push(entry.chatId);
+      } catch (error) {
+        console.error(`[P2P] Failed to restore chat ${entry.chatId}:`, error);
+      }
     }
 
-    if (!this.chats.has(chatId)) {
-      throw new Error(`Chat ${chatId} not found`);
+    console.log(`[P2P] Restored ${restored.length}/${entries.length} chats`);
+    return restored;
+  }
+
+  /**
+   * Reopen a single registered chat
+   * @param {Object} entry - Registry entry
+   */
+  async restoreChat(entry) {
+    const {chatId} = entry;
+
+    // Chats we created are opened from our named writer core, which is the
+    // bootstrap; joined chats are reopened from the creator's key
+    const key =
+      entry.role === 'creator'
+        ? null
+        : this.corestoreManager.hexToBuffer(entry.publicKey);
+
+    if (!entry.keys) {
+      throw new Error(`Chat ${chatId} has no chat key`);
     }
 
-    try {
-      // Append to hypercore
-      const seq = await this.corestoreManager.appendMessage(chatId, message);
+    const keyring = new ChatKeyring({
+      keys: entry.keys,
+      identity: this.identityManager.keyPair,
+    });
 
-      const sentMessage = {
-        ...message,
-        seq,
-        timestamp: Date.now(),
-        chatId,
-      };
+    const core = await this.corestoreManager.getChatCore(
+      chatId,
+      key,
+      keyring,
+      entry.sparse || null,
+      entry.writers || [],
+    );
+    const kind = entry.kind || 'group';
 
-      // Broadcast to connected peers (they'll also get it via replication)
-      await this.swarmManager.broadcastMessage(chatId, sentMessage);
+    // Direct chats are never announced on a topic, only the peer is looked up
+    const topicInfo =
+      kind === 'direct'
+        ? this.swarmManager.joinPeer(chatId, entry.peer)
+        : await this.swarmManager.joinTopic(chatId, core.discoveryKey);
 
-      console.log(`[P2P] Message sent to ${chatId}, seq: ${seq}`);
+    this.chats.set(chatId, {
+      chatId,
+      metadata: entry.metadata || {},
+      core,
+      topic: topicInfo,
+      kind,
+      peer: entry.peer,
+      role: entry.role,
+      createdAt: entry.role === 'creator' ? entry.joinedAt : undefined,
+      joinedAt: entry.joinedAt,
+      messageCount: this.corestoreManager.getMessageCount(chatId),
+    });
 
-      return sentMessage;
-    } catch (error) {
-      console.error(`[P2P] Failed to send message to ${chatId}:`, error);
-      throw error;
-    }
+    await this.setupChat(chatId, core);
+
+    console.log(`[P2P] Restored chat: ${chatId}`);
   }
 
   /**
-   * Get messages from a chat
+   * Wire up a freshly opened chat
+   * Persists keys learned from rotations and records our membership so we
+   * receive future chat keys.
    * @param {string} chatId - Chat identifier
-   * @param {Object} options - Options (start, end, limit)
-   * @returns {Promise<Array>} - Array of messages
+   * @param {ChatBase} core - Chat core
    */
-  async getMessages(chatId, options = {}) {
-    if (!this.initialized) {
-      throw new Error('P2P Manager not initialized');
+  async setupChat(chatId, core) {
+    if (core.encrypted) {
+      const saveKeys = () =>
+        this.registry
+          .put({chatId, keys: core.keyring.toJSON()})
+          .catch((error) => {
+            console.error(`[P2P] Failed to save keys for ${chatId}:`, error);
+          });
+
+      core.on('keys', saveKeys);
+
+      // Rotations applied while the chat was opening
+      await saveKeys();
     }
 
-    try {
-      const messages = await this.corestoreManager.getAllMessages(
+    // Report sync progress once the blocks that came in are merged
+    const chatInfo = this.chats.get(chatId);
+    const reportSync = () => {
+      if (chatInfo.syncTimer) return;
+
+      chatInfo.syncTimer = setTimeout(() => {
+        chatInfo.syncTimer = null;
+        if (this.chats.get(chatId) !== chatInfo) return;
+        this.emit('sync-progress', this.getSyncStatus(chatId));
+      }, SYNC_PROGRESS_INTERVAL);
+      chatInfo.syncTimer.unref?.();
+    };
+
+    core.on('transfer', ({peer, direction, byteLength}) => {
+      this.swarmManager.recordTransfer(chatId, peer, direction, byteLength);
+      if (direction === 'download') reportSync();
+    });
+
+    // Remember the writers we admitted, so a restart reopens them without
+    // waiting for peers to tell us about them again
+    core.on('writer', () => {
+      this.registry
+        .put({chatId, writers: core.getWriterKeys()})
+        .catch((error) => {
+          console.error(`[P2P] Failed to save writers of ${chatId}:`, error);
+        });
+    });
+
+    // Remember where sparse writers start, so a restart does not download
+    // the history left out
+    core.on('history', (sparse) => {
+      this.registry.put({chatId, sparse}).catch((error) => {
+        console.error(`[P2P] Failed to save history of ${chatId}:`, error);
+      });
+      reportSync();
+    });
+
+    const receipts = this.corestoreManager.receipts.get(chatId);
+    receipts.on('update', (receipt) => {
+      this.emit('receipt-updated', {chatId, ...receipt});
+    });
+    receipts.on('send', (receipt) => {
+      this.swarmManager
+        .sendEphemeral(chatId, 'receipt', receipt)
+        .catch((error) => {
+          console.error(`[P2P] Failed to send receipt for ${chatId}:`, error);
+        });
+    });
+
+    // Pick up reading where we left off
+    const cursor = this.registry.get(chatId)?.readCursor;
+    if (cursor) receipts.restoreRead(cursor.writers);
+
+    const unread = new ChatUnread(
+      this.corestoreManager.views.get(chatId),
+      receipts,
+      this.identityManager.publicKey,
+    );
+    unread.on('change', (counts) => {
+      this.emit('unread-changed', {chatId, ...counts});
+    });
+    this.chats.get(chatId).unread = unread;
+    await unread.recount();
+
+    this.corestoreManager.memberships.get(chatId).on('change', () => {
+      // Stop replicating with members that were just removed
+      this.swarmManager.enforceChat(chatId);
+      this.emit('members-changed', {chatId});
+    });
+
+    // Replicated metadata wins over what was passed in locally
+    const chatMetadata = this.corestoreManager.chatMetadata.get(chatId);
+    chatMetadata.on('change', () => {
+      this.applyChatMetadata(chatId)
+        .then((metadata) => {
+          this.emit('chat-updated', {
+            chatId,
+            metadata,
+            ...chatMetadata.lastUpdate(),
+          });
+        })
+        .catch((error) => {
+          console.error(`[P2P] Failed to update metadata of ${chatId}:`, error);
+        });
+    });
+    await this.applyChatMetadata(chatId);
+
+    // Bind our writer to our identity the first time the chat is opened
+    const localWriter = this.corestoreManager.bufferToHex(core.local.key);
+    if (!core.members.has(localWriter)) {
+      await this.corestoreManager.appendMessage(
         chatId,
-        options,
+        {type: 'member', writerKey: localWriter},
+        this.identityManager.keyPair,
       );
-      console.log(`[P2P] Retrieved ${messages.length} messages from ${chatId}`);
-      return messages;
-    } catch (error) {
-      console.error(`[P2P] Failed to get messages from ${chatId}:`, error);
-      throw error;
     }
+
+    this.emit('chat-loaded', {chatId});
   }
 
   /**
-   * Watch for new messages in a chat
+   * Build the invite link of a chat, including its current key
+   * @param {ChatBase} core - Chat core
+   * @param {Object} metadata - Chat metadata
+   * @returns {string}
+   */
+  createChatInvite(core, metadata = {}) {
+    return createInvite(core.key, {
+      name: metadata.name,
+      key: core.keyring.current,
+    });
+  }
+
+  /**
+   * Merge a chat's replicated metadata into its local metadata and save it
    * @param {string} chatId - Chat identifier
-   * @param {Function} callback - Callback for new messages
-   * @returns {Promise<Stream>} - Message stream
+   * @returns {Promise<Object>} - The merged metadata
    */
-  async watchMessages(chatId, callback) {
+  async applyChatMetadata(chatId) {
+    const chatInfo = this.chats.get(chatId);
+    const shared = this.corestoreManager.chatMetadata.get(chatId).get();
+    const metadata = {...chatInfo.metadata, ...shared};
+
+    if (JSON.stringify(metadata) !== JSON.stringify(chatInfo.metadata)) {
+      chatInfo.metadata = metadata;
+      await this.registry.put({chatId, metadata});
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Change a chat's name, description, avatar or topic for every member
+   * Concurrent changes to the same field are settled by timeline order.
+   * @param {string} chatId - Chat identifier
+   * @param {Object} changes - {name, description, avatar, topic}; null
+   *   clears a field, fields left out are kept
+   * @returns {Promise<Object>} - Chat info
+   */
+  async updateChatMetadata(chatId, changes) {
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    ChatMetadata.validateFields(changes);
+
+    await this.appendOperation(chatId, {
+      type: 'chat-metadata',
+      fields: pickSharedMetadata(changes),
+    });
+    await this.applyChatMetadata(chatId);
+
+    return this.getChatInfo(chatId);
+  }
+
+  /**
+   * List all chats this device takes part in
+   * @returns {Promise<Array>} - Registered chats with live message/peer counts
+   */
+  async listChats() {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    const chats = this.registry.list().map(async (entry) => {
+      const chatInfo = this.chats.get(entry.chatId);
+
+      const keyring = new ChatKeyring({keys: entry.keys});
+
+      return {
+        chatId: entry.chatId,
+        publicKey: entry.publicKey,
+        discoveryKey: entry.discoveryKey,
+        invite: createInvite(entry.publicKey, {
+          name: entry.metadata?.name,
+          key: keyring.current,
+        }),
+        encrypted: true,
+        kind: entry.kind || 'group',
+        peer: entry.peer,
+        metadata: entry.metadata || {},
+        role: entry.role,
+        joinedAt: entry.joinedAt,
+        loaded: !!chatInfo,
+        messageCount: chatInfo
+          ? this.corestoreManager.getMessageCount(entry.chatId)
+          : 0,
+        membersOnly: !!entry.membersOnly,
+        peers: chatInfo ? this.getConnectedPeers(entry.chatId).length : 0,
+        unread: chatInfo ? chatInfo.unread.counts().unread : 0,
+        mentions: chatInfo ? chatInfo.unread.counts().mentions : 0,
+        lastMessage: chatInfo
+          ? previewMessage(
+              await this.corestoreManager.getLastMessage(entry.chatId),
+            )
+          : null,
+      };
+    });
+
+    return Promise.all(chats);
+  }
+
+  /**
+   * Start a direct chat with a peer
+   * We connect to the peer by its identity key and, once the Noise handshake
+   * proves it holds that key, offer it the chat (including the chat key)
+   * over the encrypted connection.
+   * @param {string} peer - Hex-encoded identity public key of the peer
+   * @param {Object} metadata - Chat metadata
+   * @returns {Promise<Object>} - Chat info
+   */
+  async startDirectChat(peer, metadata = {}) {
     if (!this.initialized) {
       throw new Error('P2P Manager not initialized');
     }
 
+    if (!/^[0-9a-fA-F]{64}$/.test(peer || '')) {
+      throw new Error('Invalid peer public key');
+    }
+
+    peer = peer.toLowerCase();
+
+    if (peer === this.identityManager.publicKey) {
+      throw new Error('Cannot start a direct chat with yourself');
+    }
+
+    const existing = this.findDirectChat(peer);
+    if (existing) {
+      return this.getChatInfo(existing);
+    }
+
+    // The peer already asked; join its chat instead of starting another
+    if (this.directRequests.has(peer)) {
+      return this.acceptDirectChat(peer);
+    }
+
+    const chatId = DIRECT_CHAT_PREFIX + peer;
+
     try {
-      const stream = await this.corestoreManager.streamMessages(
+      console.log(`[P2P] Starting direct chat with ${peer}`);
+
+      const core = await this.corestoreManager.getChatCore(
         chatId,
-        callback,
+        null,
+        ChatKeyring.generate(this.identityManager.keyPair),
       );
-      console.log(`[P2P] Started watching messages for ${chatId}`);
-      return stream;
+
+      await this.openDirectChat(chatId, core, {
+        peer,
+        metadata,
+        role: 'creator',
+      });
+
+      return this.getChatInfo(chatId);
     } catch (error) {
-      console.error(`[P2P] Failed to watch messages for ${chatId}:`, error);
+      console.error(`[P2P] Failed to start direct chat with ${peer}:`, error);
       throw error;
     }
   }
 
   /**
-   * Get connected peers for a chat
-   * @param {string} chatId - Chat identifier
-   * @returns {Array} - Array of peer info
+   * Handle a direct chat offer from a connected peer
+   * The offer arrives on the control channel, so event.peer is the peer's
+   * Noise-authenticated public key. Offers of contacts are accepted; those
+   * of other peers wait for acceptDirectChat. Chats we declined or left are
+   * not offered again.
+   * @param {Object} event - {peer, publicKey, key, epoch, writer}
    */
-  getConnectedPeers(chatId) {
-    return this.swarmManager.getConnectedPeers(chatId);
-  }
+  async handleDirectOffer(event) {
+    const {peer} = event;
+    if (!this.initialized || this.firewall.isBlocked(peer)) return;
+    if (this.registry.isDeclined(event.publicKey)) return;
 
-  /**
-   * Get chat information
-   * @param {string} chatId - Chat identifier
-   * @returns {Promise<Object>} - Chat information
-   */
-  async getChatInfo(chatId) {
-    const chatInfo = this.chats.get(chatId);
+    const chatId = DIRECT_CHAT_PREFIX + peer;
+    let metadata = {};
 
-    if (!chatInfo) {
-      throw new Error(`Chat ${chatId} not found`);
+    if (this.findDirectChat(peer)) {
+      const chatInfo = this.chats.get(chatId);
+      if (!chatInfo) return;
+
+      const publicKey = this.corestoreManager.bufferToHex(chatInfo.core.key);
+
+      if (event.publicKey === publicKey) {
+        // Only a hint; the chat admits the writer once it checked its entry
+        await chatInfo.core.addWriter(event.writer);
+        return;
+      }
+
+      // Both sides started the chat at the same time. Keep the chat with the
+      // lower key, unless ours already has messages.
+      if (
+        chatInfo.role !== 'creator' ||
+        this.corestoreManager.getMessageCount(chatId) > 0 ||
+        event.publicKey > publicKey
+      ) {
+        console.warn(`[P2P] Ignoring offer for another chat from ${peer}`);
+        return;
+      }
+
+      metadata = chatInfo.metadata;
+      await this.leaveChat(chatId, {remember: false});
+    } else if (!this.contacts.get(peer)) {
+      // Offers are repeated on every connection
+      const request = this.directRequests.get(peer);
+      if (request?.offer.publicKey === event.publicKey) return;
+
+      const receivedAt = Date.now();
+      this.directRequests.set(peer, {offer: event, receivedAt});
+      console.log(`[P2P] Peer ${peer} asked to start a direct chat`);
+
+      this.emit('direct-request', {
+        peer,
+        name: this.contacts.resolveName(peer),
+        receivedAt,
+      });
+      return;
     }
 
-    const coreInfo = await this.corestoreManager.getCoreInfo(chatId);
-    const peers = this.getConnectedPeers(chatId);
+    console.log(`[P2P] Peer ${peer} started a direct chat with us`);
 
-    return {
-      chatId,
-      metadata: chatInfo.metadata,
-      messageCount: coreInfo.length,
-      discoveryKey: coreInfo.discoveryKey,
-      publicKey: coreInfo.publicKey,
-      peers: peers.length,
-      connectedPeers: peers,
-      createdAt: chatInfo.createdAt || chatInfo.joinedAt,
-    };
+    await this.openDirectOffer(event, metadata);
+    this.emit('direct-chat', await this.getChatInfo(chatId));
   }
 
   /**
-   * Get system stats
-   * @returns {Object} - System statistics
+   * Get the direct chats peers asked us to start
+   * @returns {Array<Object>} - [{peer, name, receivedAt}], newest first
    */
-  getStats() {
-    return {
-      initialized: this.initialized,
-      chats: this.chats.size,
-      swarm: this.swarmManager ? this.swarmManager.getStats() : null,
-      corestore: {
-        ready: this.corestoreManager.ready,
-        cores: this.corestoreManager.cores.size,
-      },
-    };
+  getDirectRequests() {
+    return Array.from(this.directRequests, ([peer, {receivedAt}]) => ({
+      peer,
+      name: this.contacts.resolveName(peer),
+      receivedAt,
+    })).sort((a, b) => b.receivedAt - a.receivedAt);
   }
 
   /**
-   * Leave a chat
-   * @param {string} chatId - Chat identifier
+   * Accept a direct chat a peer asked us to start
+   * @param {string} peer - Hex-encoded identity public key
+   * @returns {Promise<Object>} - Chat info
    */
-  async leaveChat(chatId) {
-    if (!this.chats.has(chatId)) {
-      return false;
+  async acceptDirectChat(peer) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
     }
 
-    try {
-      // Leave swarm topic
-      await this.swarmManager.leaveTopic(chatId);
+    peer = String(peer || '').toLowerCase();
+    const request = this.directRequests.get(peer);
+    if (!request) {
+      throw new Error(`No direct chat request from ${peer}`);
+    }
 
-      // Close core
-      await this.corestoreManager.closeCore(chatId);
+    this.directRequests.delete(peer);
 
-      // Remove from chats
-      this.chats.delete(chatId);
+    const existing = this.findDirectChat(peer);
+    if (existing) return this.getChatInfo(existing);
 
-      console.log(`[P2P] Left chat: ${chatId}`);
-      return true;
-    } catch (error) {
-      console.error(`[P2P] Failed to leave chat ${chatId}:`, error);
-      throw error;
+    await this.openDirectOffer(request.offer, {});
+    return this.getChatInfo(DIRECT_CHAT_PREFIX + peer);
+  }
+
+  /**
+   * Decline a direct chat a peer asked us to start; the peer's offers of
+   * that chat are ignored from now on
+   * @param {string} peer - Hex-encoded identity public key
+   * @returns {Promise<boolean>} - True if the peer had asked
+   */
+  async declineDirectChat(peer) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
     }
+
+    peer = String(peer || '').toLowerCase();
+    const request = this.directRequests.get(peer);
+    if (!request) return false;
+
+    this.directRequests.delete(peer);
+    await this.registry.decline(peer, request.offer.publicKey);
+
+    console.log(`[P2P] Declined direct chat with ${peer}`);
+    return true;
   }
 
   /**
-   * Shutdown the P2P system
+   * Open the direct chat a peer offered us
+   * @param {Object} offer - {peer, publicKey, key, epoch, writer}
+   * @param {Object} metadata - Chat metadata
    */
-  async shutdown() {
-    console.log('[P2P] Shutting down...');
+  async openDirectOffer(offer, metadata) {
+    const {peer} = offer;
+    const chatId = DIRECT_CHAT_PREFIX + peer;
 
-    try {
-      // Close swarm first
-      if (this.swarmManager) {
-        await this.swarmManager.close();
-      }
+    const keyring = new ChatKeyring({identity: this.identityManager.keyPair});
+    keyring.add(offer.epoch, this.corestoreManager.hexToBuffer(offer.key));
 
-      // Close all cores
-      await this.corestoreManager.close();
+    const core = await this.corestoreManager.getChatCore(
+      chatId,
+      this.corestoreManager.hexToBuffer(offer.publicKey),
+      keyring,
+    );
 
-      this.chats.clear();
-      this.initialized = false;
+    await this.openDirectChat(chatId, core, {peer, metadata, role: 'member'});
+    await core.addWriter(offer.writer);
+  }
 
-      console.log('[P2P] Shutdown complete');
-    } catch (error) {
-      console.error('[P2P] Shutdown error:', error);
-      throw error;
-    }
+  /**
+   * Register a freshly opened direct chat and connect to its peer
+   * @param {string} chatId - Chat identifier
+   * @param {ChatBase} core - Chat core
+   * @param {Object} options - {peer, metadata, role}
+   */
+  async openDirectChat(chatId, core, {peer, metadata, role}) {
+    const joinedAt = Date.now();
+
+    this.chats.set(chatId, {
+      chatId,
+      metadata,
+      core,
+      topic: null,
+      kind: 'direct',
+      peer,
+      role,
+      createdAt: role === 'creator' ? joinedAt : undefined,
+      joinedAt,
+      messageCount: this.corestoreManager.getMessageCount(chatId),
+    });
+
+    await this.registry.put({
+      chatId,
+      publicKey: this.corestoreManager.bufferToHex(core.key),
+      discoveryKey: this.corestoreManager.bufferToHex(core.discoveryKey),
+      metadata,
+      kind: 'direct',
+      peer,
+      role,
+      joinedAt,
+      keys: core.keyring.toJSON(),
+    });
+
+    await this.setupChat(chatId, core);
+
+    this.chats.get(chatId).topic = this.swarmManager.joinPeer(chatId, peer);
   }
+
+  /**
+   * Find our direct chat with a peer
+   * @param {string} peer - Hex-encoded identity public key
+   * @returns {string|null} - Chat identifier
+   */
+  findDirectChat(peer) {
+    const entry = this.registry
+      .list()
+      .find((chat) => chat.kind === 'direct' && chat.peer === peer);
+
+    return entry ? entry.chatId : null;
+  }
+
+  /**
+   * Send a message to a chat
+   * @param {string} chatId - Chat identifier
+   * @param {Object} message - Message object; set replyTo to a message id
+   *   to reply to it, mentions to the identity keys of members it mentions,
+   *   and clientId to an id of the sender's choosing so a
+   *   resend of a message that was already appended (e.g. after its response
+   *   got lost) returns it instead of appending a copy
+   * @returns {Promise<Object>} - Sent message with sequence number
+   */
+  async sendMessage(chatId, message) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      // Senders can wait for 'chat-loaded', e.g. while the chat is rejoined
+      const error = new Error(`Chat ${chatId} not found`);
+      error.code = 'CHAT_NOT_LOADED';
+      throw error;
+    }
+
+    const operation = {...message, type: 'message'};
+    delete operation.threadId;
+
+    if (message.clientId !== undefined) {
+      if (
+        typeof message.clientId !== 'string' ||
+        !/^[\w-]{1,64}$/.test(message.clientId)
+      ) {
+        throw new Error('Client id must be up to 64 letters, digits, _ or -');
+      }
+
+      const sent = await this.corestoreManager.findSentMessage(
+        chatId,
+        message.clientId,
+      );
+      if (sent) return {...sent, chatId};
+    } else {
+      delete operation.clientId;
+    }
+
+    if (message.attachments !== undefined) {
+      if (!Array.isArray(message.attachments)) {
+        throw new Error('Attachments must be an array');
+      }
+      message.attachments.forEach(ChatBlobs.validateAttachment);
+    }
+
+    if (message.mentions !== undefined) {
+      validateMentions(message.mentions);
+    } else {
+      delete operation.mentions;
+    }
+
+    if (message.kind === 'voice') {
+      validateVoiceNote(message);
+    } else if (message.kind !== undefined && message.kind !== 'text') {
+      throw new Error(`Unknown message kind: ${message.kind}`);
+    }
+
+    if (message.replyTo) {
+      // Replies carry their thread root, so it is known even on peers that
+      // get the reply before the message it answers
+      const target = await this.getMessageById(chatId, message.replyTo);
+      operation.threadId = await this.corestoreManager.views
+        .get(chatId)
+        .threadIdFor(target.id);
+    } else {
+      delete operation.replyTo;
+    }
+
+    try {
+      const appended = await this.appendOperation(chatId, operation);
+
+      // Sending ends typing, peers need not wait for it to expire
+      await this.swarmManager.setTyping(chatId, false);
+
+      const sentMessage = {
+        ...(await this.corestoreManager.getMessageById(chatId, appended.id)),
+        chatId,
+      };
+
+      console.log(`[P2P] Message sent to ${chatId}, seq: ${sentMessage.seq}`);
+
+      return sentMessage;
+    } catch (error) {
+      console.error(`[P2P] Failed to send message to ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a local file so it can be sent as an attachment
+   * Pass the returned reference in the `attachments` of `sendMessage`.
+   * @param {string} chatId - Chat identifier
+   * @param {string} filePath - Path of the file on this device
+   * @param {Object} [metadata] - {name, mime}; the name defaults to the file
+   *   name
+   * @returns {Promise<Object>} - Attachment reference
+   */
+  async attachFile(chatId, filePath, metadata = {}) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new Error('File path must be a non-empty string');
+    }
+
+    // React Native hands out file:// URIs for recordings and picked files
+    const localPath = filePath.startsWith('file://')
+      ? fileURLToPath(filePath)
+      : filePath;
+
+    return this.corestoreManager.putAttachment(chatId, localPath, metadata);
+  }
+
+  /**
+   * Send a recorded voice note
+   * The audio is stored like any attachment; duration and waveform travel in
+   * the message so peers can draw it before downloading the audio.
+   * @param {string} chatId - Chat identifier
+   * @param {Object} note - Voice note
+   * @param {string} note.path - Path (or file:// URI) of the recording
+   * @param {number} note.duration - Duration in milliseconds
+   * @param {Array<number>} note.peaks - Waveform peaks between 0 and 1
+   * @param {string} [note.mime] - Audio type (default audio/mp4)
+   * @returns {Promise<Object>} - Sent message; other fields of `note`
+   *   (author, authorId, replyTo) are passed on to sendMessage
+   */
+  async sendVoiceNote(chatId, note = {}) {
+    const {path: filePath, duration, peaks, mime, ...message} = note;
+    const voice = {duration, peaks: Array.isArray(peaks) ? peaks : []};
+
+    // Check the metadata before storing any audio
+    validateVoice(voice);
+
+    const attachment = await this.attachFile(chatId, filePath, {
+      name: `voice-note${path.extname(filePath || '') || '.m4a'}`,
+      mime: mime || 'audio/mp4',
+    });
+
+    return this.sendMessage(chatId, {
+      ...message,
+      text: '',
+      kind: 'voice',
+      voice: {
+        duration,
+        // Two decimals are plenty for drawing a waveform
+        peaks: voice.peaks.map((peak) => Math.round(peak * 100) / 100),
+      },
+      attachments: [attachment],
+    });
+  }
+
+  /**
+   * Open an attachment of a message for streaming
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Id of the message
+   * @param {number} [index] - Position of the attachment in the message
+   * @returns {Promise<Object>} - {attachment, stream}; stream() resolves to a
+   *   Readable of the file that follows replication
+   */
+  async openAttachment(chatId, messageId, index = 0) {
+    const message = await this.getMessageById(chatId, messageId);
+    const attachment = message.attachments[index];
+
+    if (!attachment) {
+      throw new Error(`Attachment ${index} not found in ${messageId}`);
+    }
+
+    return {
+      attachment,
+      stream: () => this.corestoreManager.readAttachment(chatId, attachment),
+    };
+  }
+
+  /**
+   * Get a loopback URL players can stream an attachment from
+   * Playback can start before the file has fully replicated.
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Id of the message
+   * @param {number} [index] - Position of the attachment in the message
+   * @returns {Promise<string>}
+   */
+  async getAttachmentUrl(chatId, messageId, index = 0) {
+    await this.openAttachment(chatId, messageId, index);
+    return this.mediaServer.url(chatId, messageId, index);
+  }
+
+  /**
+   * Download an attachment of a message to the local cache
+   * Blocks are fetched from whichever peers have them; progress is reported
+   * with 'attachment-progress' events.
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Id of the message
+   * @param {number} [index] - Position of the attachment in the message
+   * @returns {Promise<Object>} - {path, attachment}
+   */
+  async fetchAttachment(chatId, messageId, index = 0) {
+    const {attachment} = await this.openAttachment(chatId, messageId, index);
+
+    // Report at most every percent, so large files do not flood the bridge
+    let reported = 0;
+
+    const filePath = await this.corestoreManager.fetchAttachment(
+      chatId,
+      attachment,
+      (loaded, total) => {
+        if (loaded < total && loaded - reported < total / 100) return;
+        reported = loaded;
+
+        this.emit('attachment-progress', {
+          chatId,
+          messageId,
+          index,
+          loaded,
+          total,
+        });
+      },
+    );
+
+    return {path: filePath, attachment};
+  }
+
+  /**
+   * Get a thread: a root message and every reply to it or to its replies
+   * @param {string} chatId - Chat identifier
+   * @param {string} rootId - Id of the root message
+   * @returns {Promise<Object>} - {root, replies}
+   */
+  async getThread(chatId, rootId) {
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    const thread = await this.corestoreManager.getThread(chatId, rootId);
+
+    if (!thread.root && thread.replies.length === 0) {
+      throw new Error(`Thread ${rootId} not found in ${chatId}`);
+    }
+
+    return thread;
+  }
+
+  /**
+   * Edit the text of one of our messages
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Id of the message to edit
+   * @param {string} text - New text
+   * @returns {Promise<Object>} - Updated message
+   */
+  async editMessage(chatId, messageId, text) {
+    if (typeof text !== 'string') {
+      throw new Error('Message text must be a string');
+    }
+
+    await this.getOwnMessage(chatId, messageId);
+    await this.appendOperation(chatId, {type: 'edit', target: messageId, text});
+
+    return this.corestoreManager.getMessageById(chatId, messageId);
+  }
+
+  /**
+   * Delete one of our messages
+   * The original stays in the log; everyone's view shows a tombstone.
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Id of the message to delete
+   * @returns {Promise<Object>} - Updated message
+   */
+  async deleteMessage(chatId, messageId) {
+    await this.getOwnMessage(chatId, messageId);
+    await this.appendOperation(chatId, {type: 'delete', target: messageId});
+
+    return this.corestoreManager.getMessageById(chatId, messageId);
+  }
+
+  /**
+   * Add or remove a reaction to a message
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Id of the message
+   * @param {string} emoji - Reaction
+   * @param {boolean} [remove] - Remove our reaction instead of adding it
+   * @returns {Promise<Object>} - Updated message
+   */
+  async react(chatId, messageId, emoji, remove = false) {
+    if (typeof emoji !== 'string' || emoji.length === 0) {
+      throw new Error('Reaction must be a non-empty string');
+    }
+
+    const message = await this.getMessageById(chatId, messageId);
+    if (message.deleted) {
+      throw new Error('Cannot react to a deleted message');
+    }
+
+    await this.appendOperation(chatId, {
+      type: 'react',
+      target: messageId,
+      emoji,
+      remove: !!remove,
+    });
+
+    return this.corestoreManager.getMessageById(chatId, messageId);
+  }
+
+  /**
+   * Get a message by id
+   * @param {string} chatId - Chat identifier
+   * @param {string} messageId - Message id (`writer:seq`)
+   * @returns {Promise<Object>} - Message
+   */
+  async getMessageById(chatId, messageId) {
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    const message = await this.corestoreManager.getMessageById(
+      chatId,
+      messageId,
+    );
+
+    if (!message) {
+      throw new Error(`Message ${messageId} not found in ${chatId}`);
+    }
+
+    return message;
+  }
+
+  /**
+   * Get a message we wrote ourselves and can still change
+   */
+  async getOwnMessage(chatId, messageId) {
+    const message = await this.getMessageById(chatId, messageId);
+
+    const ownMessage =
+      message.verified && message.authorId === this.identityManager.publicKey;
+
+    if (!ownMessage) {
+      throw new Error('Only the author can change a message');
+    }
+
+    if (message.deleted) {
+      throw new Error('Message has been deleted');
+    }
+
+    return message;
+  }
+
+  /**
+   * Sign an operation, append it to our writer core and announce it
+   * @param {string} chatId - Chat identifier
+   * @param {Object} operation - Message or operation on a message
+   * @returns {Promise<Object>} - The appended entry
+   */
+  async appendOperation(chatId, operation) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    // Peers would hide what we write, so refuse it here
+    const membership = this.corestoreManager.memberships.get(chatId);
+    const self = this.identityManager.publicKey;
+    if (operation.type !== 'membership' && !membership.canPost(self)) {
+      const {role, status} = membership.roleOf(self);
+      throw new Error(
+        `Cannot write to ${chatId}: ${status === 'active' ? role : status}`,
+      );
+    }
+
+    // Sign with our identity and append to our writer core
+    const appended = await this.corestoreManager.appendMessage(
+      chatId,
+      operation,
+      this.identityManager.keyPair,
+    );
+
+    // Announce to connected peers (the entry arrives via replication)
+    await this.swarmManager.broadcastMessage(chatId, appended);
+
+    return appended;
+  }
+
+  /**
+   * Mark a chat as read up to a message and send read receipts to its peers
+   * The read position is saved, so unread counts survive restarts.
+   * @param {string} chatId - Chat identifier
+   * @param {string} [messageId] - Id of the last message read (default the
+   *   latest message)
+   * @returns {Promise<Object>} - {messageId, writers, unread, mentions};
+   *   writers is the number of writers whose read marker moved
+   */
+  async markRead(chatId, messageId) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    const chatInfo = this.chats.get(chatId);
+    if (!chatInfo) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    if (messageId === undefined) {
+      const last = await this.corestoreManager.getLastMessage(chatId);
+      messageId = last ? last.id : null;
+    }
+
+    const receipts = this.corestoreManager.receipts.get(chatId);
+    const writers =
+      messageId === null
+        ? 0
+        : receipts.markRead(
+            await this.corestoreManager.views
+              .get(chatId)
+              .positionsUpTo(messageId),
+          );
+
+    if (writers > 0) {
+      chatInfo.unread.prune();
+      await this.registry.put({
+        chatId,
+        readCursor: {
+          writers: Object.fromEntries(receipts.ownRead),
+          messageId,
+          readAt: Date.now(),
+        },
+      });
+    }
+
+    return {messageId, writers, ...chatInfo.unread.counts()};
+  }
+
+  /**
+   * Get the unread and mention counts of chats
+   * @param {Array<string>} [chatIds] - Chats to count (default all loaded)
+   * @returns {Array<Object>} - [{chatId, unread, mentions, lastReadAt}]
+   */
+  getUnreadCounts(chatIds = null) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    const counts = [];
+    for (const [chatId, chatInfo] of this.chats) {
+      if (chatIds && !chatIds.includes(chatId)) continue;
+
+      counts.push({
+        chatId,
+        ...chatInfo.unread.counts(),
+        lastReadAt: this.registry.get(chatId)?.readCursor?.readAt ?? null,
+      });
+    }
+
+    return counts;
+  }
+
+  /**
+   * Tell the peers of a chat whether we are typing
+   * Call with true on every keystroke; repeats are throttled, and peers stop
+   * showing us as typing if the signal is not repeated.
+   * @param {string} chatId - Chat identifier
+   * @param {boolean} typing - Whether we are typing
+   * @returns {Promise<number>} - Number of peers the signal was sent to
+   */
+  async setTyping(chatId, typing) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    return this.swarmManager.setTyping(chatId, Boolean(typing));
+  }
+
+  /**
+   * Set our presence in every chat
+   * @param {string} status - 'online', 'away' or 'offline'
+   * @returns {Promise<number>} - Number of peers the status was sent to
+   */
+  async setPresence(status) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    return this.swarmManager.setPresence(status);
+  }
+
+  /**
+   * Get the presence and typing state of the peers of a chat
+   * Peer keys are resolved to contact names where we know the peer.
+   * @param {string} chatId - Chat identifier
+   * @returns {Array<Object>} - [{peer, name, status, lastSeen, typing}]
+   */
+  getPresence(chatId) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    return this.swarmManager.getPresence(chatId).map((presence) => ({
+      ...presence,
+      name: this.contacts.resolveName(presence.peer),
+    }));
+  }
+
+  /**
+   * Get messages from a chat
+   * @param {string} chatId - Chat identifier
+   * @param {Object} options - Options (before, after, limit, reverse)
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getMessages(chatId, options = {}) {
+    const {messages} = await this.getMessagePage(chatId, options);
+    return messages;
+  }
+
+  /**
+   * Get a page of messages from a chat, in timeline order
+   * Pass the id of the oldest message loaded so far as `before` (with
+   * `reverse` for newest first) to scroll back.
+   * @param {string} chatId - Chat identifier
+   * @param {Object} options - Options
+   * @param {string} [options.before] - Only messages older than this message id
+   * @param {string} [options.after] - Only messages newer than this message id
+   * @param {number} [options.limit] - Maximum number of messages
+   * @param {boolean} [options.reverse] - Newest first
+   * @returns {Promise<Object>} - {messages, hasMore}
+   */
+  async getMessagePage(chatId, options = {}) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    try {
+      const page = await this.corestoreManager.getMessagePage(chatId, options);
+      console.log(
+        `[P2P] Retrieved ${page.messages.length} messages from ${chatId}`,
+      );
+      return page;
+    } catch (error) {
+      console.error(`[P2P] Failed to get messages from ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search messages across chats
+   * @param {Object} options - Search options
+   * @param {string} options.query - Words to look for; each one also matches
+   *   longer words it is the start of
+   * @param {Array<string>} [options.chatIds] - Only search these chats
+   * @param {string} [options.author] - Author identity key or display name
+   * @param {number} [options.from] - Earliest timestamp (inclusive)
+   * @param {number} [options.to] - Latest timestamp (inclusive)
+   * @param {number} [options.limit] - Maximum number of hits (default 50)
+   * @returns {Promise<Array>} - Hits, newest first:
+   *   {chatId, id, writer, seq, author, authorId, timestamp, snippet,
+   *   highlights: [{start, end}]} with highlight offsets into the snippet
+   */
+  async search(options = {}) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    const {query, chatIds, limit, from, to} = options;
+
+    if (typeof query !== 'string' || query.trim().length === 0) {
+      throw new Error('Search query must be a non-empty string');
+    }
+
+    if (chatIds !== undefined && chatIds !== null) {
+      if (!Array.isArray(chatIds)) {
+        throw new Error('chatIds must be an array');
+      }
+      for (const chatId of chatIds) {
+        if (!this.chats.has(chatId)) {
+          throw new Error(`Chat ${chatId} not found`);
+        }
+      }
+    }
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error('Limit must be a positive integer');
+    }
+
+    for (const [name, value] of Object.entries({from, to})) {
+      if (value !== undefined && value !== null && !Number.isFinite(value)) {
+        throw new Error(`${name} must be a timestamp`);
+      }
+    }
+
+    const hits = await this.corestoreManager.search(query, {
+      chatIds: chatIds || null,
+      author: options.author ?? null,
+      from: from ?? null,
+      to: to ?? null,
+      limit,
+    });
+
+    console.log(`[P2P] Search found ${hits.length} hits`);
+    return hits;
+  }
+
+  /**
+   * Watch for new messages in a chat
+   * @param {string} chatId - Chat identifier
+   * @param {Function} callback - Callback for new messages
+   * @returns {Promise<Stream>} - Message stream
+   */
+  async watchMessages(chatId, callback) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    try {
+      const stream = await this.corestoreManager.streamMessages(
+        chatId,
+        callback,
+      );
+      console.log(`[P2P] Started watching messages for ${chatId}`);
+      return stream;
+    } catch (error) {
+      console.error(`[P2P] Failed to watch messages for ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the members of a chat
+   * @param {string} chatId - Chat identifier
+   * @returns {Promise<Array>} - [{identity, writers, joinedAt, role, status,
+   *   name}]
+   */
+  async getMembers(chatId) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    const members = await this.corestoreManager.getMembers(chatId);
+
+    return members.map((member) => ({
+      ...member,
+      name: this.contacts.resolveName(member.identity),
+    }));
+  }
+
+  /**
+   * Give a member a role, or invite an identity with one
+   * Identities that were removed or have not joined yet are invited, which
+   * also lets kicked and banned members back in.
+   * @param {string} chatId - Chat identifier
+   * @param {string} identity - Hex-encoded identity key
+   * @param {string} role - 'admin', 'member' or 'read-only'
+   * @returns {Promise<Object>} - Chat info
+   */
+  async setRole(chatId, identity, role) {
+    const membership = this.corestoreManager.memberships.get(chatId);
+    const joined =
+      !!membership &&
+      membership.joined.has(identity) &&
+      membership.roleOf(identity).status === 'active';
+
+    return this.moderate(chatId, joined ? 'promote' : 'invite', identity, role);
+  }
+
+  /**
+   * Remove a member from a chat
+   * Blocks they append from now on are ignored; what they wrote before
+   * stays. In an encrypted chat the key is rotated, so they cannot read
+   * anything sent later either. They can be invited back with setRole.
+   * @param {string} chatId - Chat identifier
+   * @param {string} identity - Hex-encoded identity key of the member
+   * @returns {Promise<Object>} - Chat info with the new invite link
+   */
+  async removeMember(chatId, identity) {
+    return this.moderate(chatId, 'kick', identity);
+  }
+
+  /**
+   * Ban a member from a chat
+   * Like removeMember, but everything they ever wrote is hidden too.
+   * @param {string} chatId - Chat identifier
+   * @param {string} identity - Hex-encoded identity key of the member
+   * @returns {Promise<Object>} - Chat info with the new invite link
+   */
+  async ban(chatId, identity) {
+    return this.moderate(chatId, 'ban', identity);
+  }
+
+  /**
+   * Sign and append a membership operation
+   * In encrypted chats the key is rotated whenever someone loses or regains
+   * access, and sealed to every active member.
+   * @param {string} chatId - Chat identifier
+   * @param {string} action - 'invite', 'kick', 'ban' or 'promote'
+   * @param {string} identity - Hex-encoded identity key acted on
+   * @param {string} [role] - Role granted by invite or promote
+   * @returns {Promise<Object>} - Chat info
+   */
+  async moderate(chatId, action, identity, role) {
+    const chatInfo = this.chats.get(chatId);
+
+    if (!chatInfo) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    const self = this.identityManager.publicKey;
+    if (identity === self) {
+      throw new Error('Cannot change your own membership, leave the chat');
+    }
+
+    const membership = this.corestoreManager.memberships.get(chatId);
+    const reason = membership.check(self, action, identity, role);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    const wasActive = membership.roleOf(identity).status === 'active';
+
+    const operation = {
+      type: 'membership',
+      action,
+      identity,
+      writers: membership.writerLengths(identity),
+    };
+    if (role !== undefined) operation.role = role;
+
+    await this.appendOperation(chatId, operation);
+
+    const isActive = membership.roleOf(identity).status === 'active';
+    if (chatInfo.core.encrypted && isActive !== wasActive) {
+      await this.rotateChatKey(chatId);
+    }
+
+    console.log(`[P2P] Membership ${action} of ${identity} in ${chatId}`);
+
+    return this.getChatInfo(chatId);
+  }
+
+  /**
+   * Rotate the key of an encrypted chat, sealing the new key to every
+   * active member
+   * @param {string} chatId - Chat identifier
+   * @returns {Promise<number>} - The new key epoch
+   */
+  async rotateChatKey(chatId) {
+    const members = await this.corestoreManager.getMembers(chatId);
+
+    const recipients = members
+      .filter((member) => member.status === 'active')
+      .map((member) => this.corestoreManager.hexToBuffer(member.identity));
+
+    // Always keep access ourselves, even before our member entry is indexed
+    const self = this.identityManager.publicKey;
+    if (!members.some((member) => member.identity === self)) {
+      recipients.push(this.identityManager.keyPair.publicKey);
+    }
+
+    const epoch = await this.corestoreManager.rotateKey(
+      chatId,
+      recipients,
+      this.identityManager.keyPair,
+    );
+
+    console.log(`[P2P] Key of ${chatId} is now at epoch ${epoch}`);
+    return epoch;
+  }
+
+  /**
+   * Only replicate a chat with its members, or with anybody who has the
+   * invite again
+   * Members are identities that joined or were invited; peers that are not
+   * are disconnected.
+   * @param {string} chatId - Chat identifier
+   * @param {boolean} membersOnly - Whether to restrict the chat
+   * @returns {Promise<Object>} - Updated chat info
+   */
+  async setMembersOnly(chatId, membersOnly) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    await this.registry.put({chatId, membersOnly: Boolean(membersOnly)});
+    this.swarmManager.enforceChat(chatId);
+
+    return this.getChatInfo(chatId);
+  }
+
+  /**
+   * Why a peer may not replicate a chat: the per-chat allowlist of the
+   * firewall
+   * Kicked and banned members never may. In members-only chats, neither may
+   * anybody who did not join or was not invited; in direct chats, anybody
+   * but the chat's peer.
+   * @param {string} chatId - Chat identifier
+   * @param {string} peer - Hex-encoded identity public key
+   * @returns {string|null} - 'kicked', 'banned', 'not-member' or null
+   */
+  checkChatPeer(chatId, peer) {
+    const chatInfo = this.chats.get(chatId);
+    if (chatInfo && chatInfo.kind === 'direct') {
+      return peer === chatInfo.peer ? null : 'not-member';
+    }
+
+    // Still opening; nobody has been removed from it yet
+    const membership = this.corestoreManager.memberships.get(chatId);
+    if (!membership) return null;
+
+    const {status} = membership.roleOf(peer);
+    if (status !== 'active') return status;
+
+    const known = membership.joined.has(peer) || membership.history.has(peer);
+    if (!known && this.registry.get(chatId)?.membersOnly) return 'not-member';
+
+    return null;
+  }
+
+  /**
+   * Block a peer: refuse its connections and stop replicating with it
+   * @param {string} peer - Hex-encoded identity public key
+   * @returns {Promise<Object>} - {peer, blockedAt, name}
+   */
+  async blockPeer(peer) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!/^[0-9a-fA-F]{64}$/.test(peer || '')) {
+      throw new Error('Peer must be a 64 character hex public key');
+    }
+
+    peer = peer.toLowerCase();
+
+    if (peer === this.identityManager.publicKey) {
+      throw new Error('Cannot block ourselves');
+    }
+
+    // The swarm stops dialing the peer and closes its connections
+    const entry = await this.firewall.block(peer);
+    this.directRequests.delete(entry.peer);
+
+    return {...entry, name: this.contacts.resolveName(entry.peer)};
+  }
+
+  /**
+   * Let a blocked peer connect again
+   * @param {string} peer - Hex-encoded identity public key
+   * @returns {Promise<boolean>} - True if the peer was blocked
+   */
+  async unblockPeer(peer) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    return this.firewall.unblock(peer);
+  }
+
+  /**
+   * Get the blocked peers
+   * @returns {Array<Object>} - [{peer, blockedAt, name}]
+   */
+  getBlockedPeers() {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    return this.firewall.list().map((entry) => ({
+      ...entry,
+      name: this.contacts.resolveName(entry.peer),
+    }));
+  }
+
+  /**
+   * Get the identity of this device
+   * @returns {Object} - {publicKey, createdAt}
+   */
+  getIdentity() {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    return this.identityManager.getIdentity();
+  }
+
+  /**
+   * Get connected peers for a chat
+   * Peer keys are resolved to contact names where we know the peer.
+   * @param {string} chatId - Chat identifier
+   * @returns {Array} - Array of peer info
+   */
+  getConnectedPeers(chatId) {
+    return this.swarmManager.getConnectedPeers(chatId).map((peer) => ({
+      ...peer,
+      name: this.contacts.resolveName(peer.publicKey),
+    }));
+  }
+
+  /**
+   * How far a chat is downloaded
+   * Counts blocks of every writer, which hold messages and operations, and
+   * what each connected peer contributed since it connected.
+   * @param {string} chatId - Chat identifier
+   * @returns {Object} - {chatId, synced, downloaded, total, history, recent,
+   *   writers, peers}; total leaves out the history not downloaded
+   */
+  getSyncStatus(chatId) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    const core = this.corestoreManager.cores.get(chatId);
+    const writers = core.getSyncStatus();
+
+    let downloaded = 0;
+    let total = 0;
+    let history = 0;
+    for (const writer of writers) {
+      downloaded += writer.downloaded;
+      total += writer.length - writer.history;
+      history += writer.history;
+    }
+
+    return {
+      chatId,
+      synced: downloaded >= total,
+      downloaded,
+      total,
+      history,
+      recent: core.tail,
+      writers,
+      peers: this.getConnectedPeers(chatId).map((peer) => ({
+        peer: peer.publicKey,
+        name: peer.name,
+        downloadedBlocks: peer.replication.downloadedBlocks,
+        downloadedBytes: peer.replication.downloadedBytes,
+      })),
+    };
+  }
+
+  /**
+   * Download history left out of a chat joined with `recent`
+   * Newer history is downloaded first; resolves once peers sent it.
+   * @param {string} chatId - Chat identifier
+   * @param {number} [count] - Blocks to add per writer; all by default
+   * @returns {Promise<Object>} - Sync status afterwards
+   */
+  async backfill(chatId, count = null) {
+    if (!this.initialized) {
+      throw new Error('P2P Manager not initialized');
+    }
+
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+    if (count !== null && (!Number.isSafeInteger(count) || count < 1)) {
+      throw new Error('Count must be a positive integer');
+    }
+
+    const core = this.corestoreManager.cores.get(chatId);
+    const added = await core.backfill(count === null ? Infinity : count);
+
+    console.log(`[P2P] Backfilled ${added} blocks of ${chatId}`);
+    return this.getSyncStatus(chatId);
+  }
+
+  /**
+   * Get chat information
+   * @param {string} chatId - Chat identifier
+   * @returns {Promise<Object>} - Chat information
+   */
+  async getChatInfo(chatId) {
+    const chatInfo = this.chats.get(chatId);
+
+    if (!chatInfo) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+
+    const coreInfo = await this.corestoreManager.getCoreInfo(chatId);
+    const peers = this.getConnectedPeers(chatId);
+    const membership = this.corestoreManager.memberships
+      .get(chatId)
+      .roleOf(this.identityManager.publicKey);
+
+    return {
+      chatId,
+      metadata: chatInfo.metadata,
+      messageCount: coreInfo.messageCount,
+      discoveryKey: coreInfo.discoveryKey,
+      publicKey: coreInfo.publicKey,
+      invite: this.createChatInvite(chatInfo.core, chatInfo.metadata),
+      writers: coreInfo.writers,
+      encrypted: coreInfo.encrypted,
+      keyEpoch: coreInfo.keyEpoch,
+      peers: peers.length,
+      connectedPeers: peers,
+      kind: chatInfo.kind,
+      peer: chatInfo.peer,
+      peerName: chatInfo.peer ? this.contacts.resolveName(chatInfo.peer) : null,
+      role: chatInfo.role,
+      memberRole: membership.role,
+      memberStatus: membership.status,
+      membersOnly: !!this.registry.get(chatId)?.membersOnly,
+      createdAt: chatInfo.createdAt || chatInfo.joinedAt,
+    };
+  }
+
+  /**
+   * Get system stats
+   * @returns {Object} - System statistics
+   */
+  getStats() {
+    return {
+      initialized: this.initialized,
+      chats: this.chats.size,
+      swarm: this.swarmManager ? this.swarmManager.getStats() : null,
+      corestore: {
+        ready: this.corestoreManager.ready,
+        cores: this.corestoreManager.cores.size,
+      },
+    };
+  }
+
+  /**
+   * Leave a chat
+   * A direct chat we leave is remembered, so its peer cannot offer it again.
+   * @param {string} chatId - Chat identifier
+   * @param {Object} [options]
+   * @param {boolean} [options.remember] - Whether to remember a left direct
+   *   chat; false when it is replaced by the peer's
+   */
+  async leaveChat(chatId, {remember = true} = {}) {
+    const entry = this.registry.get(chatId);
+    if (remember && entry?.kind === 'direct') {
+      await this.registry.decline(entry.peer, entry.publicKey);
+    }
+
+    if (!this.chats.has(chatId)) {
+      // The chat may be registered but have failed to restore
+      return this.registry.delete(chatId);
+    }
+
+    try {
+      // Leave swarm topic (or stop connecting to the peer of a direct chat)
+      await this.swarmManager.leaveTopic(chatId);
+      this.swarmManager.leavePeer(chatId);
+
+      // Stop counting unread messages, close the core and delete its index
+      this.chats.get(chatId).unread?.close();
+      clearTimeout(this.chats.get(chatId).syncTimer);
+      await this.corestoreManager.closeCore(chatId, {purge: true});
+
+      // Remove from chats and forget it across restarts
+      this.chats.delete(chatId);
+      await this.registry.delete(chatId);
+
+      console.log(`[P2P] Left chat: ${chatId}`);
+      return true;
+    } catch (error) {
+      console.error(`[P2P] Failed to leave chat ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shutdown the P2P system
+   */
+  async shutdown() {
+    console.log('[P2P] Shutting down...');
+
+    try {
+      // Close swarm first
+      if (this.swarmManager) {
+        await this.swarmManager.close();
+      }
+
+      await this.mediaServer.close();
+      this.firewall.close();
+
+      // Close all cores
+      await this.corestoreManager.close();
+
+      for (const chatInfo of this.chats.values()) {
+        clearTimeout(chatInfo.syncTimer);
+      }
+      this.chats.clear();
+      this.initialized = false;
+
+      console.log('[P2P] Shutdown complete');
+    } catch (error) {
+      console.error('[P2P] Shutdown error:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Check the metadata of a voice note
+ * @param {Object} voice - {duration, peaks}
+ */
+function validateVoice(voice) {
+  if (!Number.isInteger(voice.duration) || voice.duration <= 0) {
+    throw new Error('Voice note duration must be a positive number of ms');
+  }
+
+  if (voice.peaks.length > MAX_VOICE_PEAKS) {
+    throw new Error(`Voice notes can have at most ${MAX_VOICE_PEAKS} peaks`);
+  }
+
+  for (const peak of voice.peaks) {
+    if (typeof peak !== 'number' || !(peak >= 0 && peak <= 1)) {
+      throw new Error('Voice note peaks must be numbers between 0 and 1');
+    }
+  }
+}
+
+/**
+ * Check the identity keys a message mentions
+ * @param {Array<string>} mentions - Hex-encoded identity keys
+ */
+function validateMentions(mentions) {
+  if (!Array.isArray(mentions) || mentions.length > MAX_MENTIONS) {
+    throw new Error(
+      `Mentions must be an array of at most ${MAX_MENTIONS} keys`,
+    );
+  }
+
+  for (const identity of mentions) {
+    if (typeof identity !== 'string' || !/^[0-9a-f]{64}$/.test(identity)) {
+      throw new Error('Mentions must be hex-encoded identity keys');
+    }
+  }
+}
+
+/**
+ * Check a voice message: its metadata and a single audio attachment
+ * @param {Object} message - Message with kind 'voice'
+ */
+function validateVoiceNote(message) {
+  if (!message.voice || !Array.isArray(message.voice.peaks)) {
+    throw new Error('Voice notes need a duration and peaks');
+  }
+  validateVoice(message.voice);
+
+  const {attachments} = message;
+  if (
+    !Array.isArray(attachments) ||
+    attachments.length !== 1 ||
+    !attachments[0].mime.startsWith('audio/')
+  ) {
+    throw new Error('Voice notes must have exactly one audio attachment');
+  }
+}
+
+/**
+ * The fields of chat metadata that are replicated
+ * @param {Object} metadata - Chat metadata
+ * @returns {Object}
+ */
+function pickSharedMetadata(metadata) {
+  const shared = {};
+
+  for (const field of ChatMetadata.FIELDS) {
+    if (metadata[field] !== undefined) shared[field] = metadata[field];
+  }
+
+  return shared;
+}
+
+/**
+ * Summary of a message for chat lists, from its metadata only
+ * @param {Object|null} message - Message from the view
+ * @returns {Object|null}
+ */
+function previewMessage(message) {
+  if (!message) return null;
+
+  return {
+    id: message.id,
+    author: message.author,
+    authorId: message.authorId,
+    timestamp: message.timestamp,
+    kind: message.kind,
+    text: message.text,
+    deleted: message.deleted,
+    duration: message.voice ? message.voice.duration : null,
+    attachments: message.attachments.length,
+  };
 }
 
 module.exports = P2PManager;
@@ -0,0 +1,238 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const BLOCKLIST_VERSION = 1;
+// Connection attempts accepted from one peer per window; the rest are
+// refused until the window ends
+const MAX_ATTEMPTS = 10;
+const ATTEMPT_WINDOW = 60000;
+
+/**
+ * PeerFirewall - Which peers may connect and replicate with us
+ *
+ * Peers are identified by their identity key, which is also the Noise key
+ * they connect with. Three checks:
+ *  - a global blocklist: blocked peers are refused any connection. Stored as
+ *    a JSON file under the storage path
+ *  - a rate limit on connection attempts per peer
+ *  - per-chat allowlists: `checkMember(chatId, peer)`, set by the owner of
+ *    the firewall, says why a peer may not replicate a chat (or null)
+ *
+ * Connections are checked by `checkConnection`, which the swarm calls from
+ * Hyperswarm's firewall, and chats by `checkChat` before any of their cores
+ * is replicated to a peer.
+ *
+ * Events:
+ *  - 'rejected' ({peer, reason, chatId}): a connection (chatId null) or a
+ *    chat was refused; reason is 'blocked', 'rate-limited' or what
+ *    `checkMember` returned
+ *  - 'blocked' (peer): a peer was added to the blocklist
+ *  - 'unblocked' (peer): a blocked or rate limited peer may connect again
+ */
+class PeerFirewall extends EventEmitter {
+  constructor(storagePath = './storage') {
+    super();
+    this.filePath = path.join(path.resolve(storagePath), 'blocklist.json');
+    this.blocked = new Map(); // Map<publicKeyHex, {peer, blockedAt}>
+    this.attempts = new Map(); // Map<publicKeyHex, {since, count, timer}>
+    this.checkMember = null; // (chatId, peer) => reason or null
+    this.writing = Promise.resolve();
+    this.loaded = false;
+  }
+
+  /**
+   * Load the blocklist from disk (a missing file means nobody is blocked)
+   */
+  async load() {
+    this.blocked.clear();
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      for (const entry of data.blocked || []) {
+        if (entry && isKeyHex(entry.peer)) this.blocked.set(entry.peer, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Firewall] Failed to load blocklist:', error);
+      }
+    }
+
+    this.loaded = true;
+    console.log(`[Firewall] Loaded ${this.blocked.size} blocked peers`);
+    return this.list();
+  }
+
+  /**
+   * Blocked peers, most recently blocked first
+   * @returns {Array<Object>} - [{peer, blockedAt}]
+   */
+  list() {
+    return Array.from(this.blocked.values()).sort(
+      (a, b) => b.blockedAt - a.blockedAt,
+    );
+  }
+
+  /**
+   * Whether a peer is on the blocklist
+   * @param {string} peer - Hex-encoded public key
+   * @returns {boolean}
+   */
+  isBlocked(peer) {
+    return this.blocked.has(normalizeKey(peer));
+  }
+
+  /**
+   * Add a peer to the blocklist
+   * @param {string} peer - Hex-encoded public key
+   * @returns {Promise<Object>} - {peer, blockedAt}
+   */
+  async block(peer) {
+    this._assertLoaded();
+
+    const key = normalizeKey(peer);
+    if (!isKeyHex(key)) {
+      throw new Error('Peer must be a 64 character hex public key');
+    }
+
+    if (!this.blocked.has(key)) {
+      this.blocked.set(key, {peer: key, blockedAt: Date.now()});
+      await this.save();
+      console.log(`[Firewall] Blocked ${key}`);
+      this.emit('blocked', key);
+    }
+
+    return this.blocked.get(key);
+  }
+
+  /**
+   * Remove a peer from the blocklist
+   * @param {string} peer - Hex-encoded public key
+   * @returns {Promise<boolean>} - True if the peer was blocked
+   */
+  async unblock(peer) {
+    this._assertLoaded();
+
+    const key = normalizeKey(peer);
+    if (!this.blocked.delete(key)) return false;
+
+    await this.save();
+    console.log(`[Firewall] Unblocked ${key}`);
+    this.emit('unblocked', key);
+    return true;
+  }
+
+  /**
+   * Check an incoming or outgoing connection attempt
+   * @param {string} peer - Hex-encoded public key
+   * @returns {string|null} - Why it is refused, or null
+   */
+  checkConnection(peer) {
+    if (this.isBlocked(peer)) {
+      return this._reject(peer, 'blocked', null);
+    }
+
+    const now = Date.now();
+    let attempts = this.attempts.get(peer);
+    if (!attempts || now - attempts.since >= ATTEMPT_WINDOW) {
+      if (attempts) clearTimeout(attempts.timer);
+      attempts = {since: now, count: 0, timer: null};
+      this.attempts.set(peer, attempts);
+    }
+
+    attempts.count++;
+    if (attempts.count <= MAX_ATTEMPTS) return null;
+
+    // Report once per window, and let the peer in again when it ends
+    if (!attempts.timer) {
+      attempts.timer = setTimeout(() => {
+        this.attempts.delete(peer);
+        if (!this.isBlocked(peer)) this.emit('unblocked', peer);
+      }, attempts.since + ATTEMPT_WINDOW - now);
+      attempts.timer.unref?.();
+
+      return this._reject(peer, 'rate-limited', null);
+    }
+
+    return 'rate-limited';
+  }
+
+  /**
+   * Check whether a peer may replicate a chat
+   * @param {string} chatId - Chat identifier
+   * @param {string} peer - Hex-encoded public key
+   * @returns {string|null} - Why it is refused, or null
+   */
+  checkChat(chatId, peer) {
+    const reason = this.reasonForChat(chatId, peer);
+    return reason ? this._reject(peer, reason, chatId) : null;
+  }
+
+  /**
+   * Like `checkChat`, without reporting a refusal
+   * @param {string} chatId - Chat identifier
+   * @param {string} peer - Hex-encoded public key
+   * @returns {string|null} - Why it is refused, or null
+   */
+  reasonForChat(chatId, peer) {
+    if (this.isBlocked(peer)) return 'blocked';
+    return this.checkMember ? this.checkMember(chatId, peer) : null;
+  }
+
+  /**
+   * Stop the rate limit timers
+   */
+  close() {
+    for (const {timer} of this.attempts.values()) clearTimeout(timer);
+    this.attempts.clear();
+  }
+
+  /**
+   * Write the blocklist to disk
+   * Writes are serialized and go through a temp file, like contacts.
+   */
+  async save() {
+    const data = JSON.stringify(
+      {version: BLOCKLIST_VERSION, blocked: this.list()},
+      null,
+      2,
+    );
+
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), {recursive: true});
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+
+    return this.writing;
+  }
+
+  _reject(peer, reason, chatId) {
+    console.log(
+      `[Firewall] Rejected ${peer}${chatId ? ` for ${chatId}` : ''}: ${reason}`,
+    );
+    this.emit('rejected', {peer, reason, chatId});
+    return reason;
+  }
+
+  _assertLoaded() {
+    if (!this.loaded) {
+      throw new Error('Blocklist not loaded');
+    }
+  }
+}
+
+function normalizeKey(publicKey) {
+  return typeof publicKey === 'string' ? publicKey.toLowerCase() : publicKey;
+}
+
+function isKeyHex(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+PeerFirewall.MAX_ATTEMPTS = MAX_ATTEMPTS;
+PeerFirewall.ATTEMPT_WINDOW = ATTEMPT_WINDOW;
+
+module.exports = PeerFirewall;
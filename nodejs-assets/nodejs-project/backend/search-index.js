@@ -0,0 +1,248 @@
+// Runs of letters and digits; everything else separates words
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_LENGTH = 120;
+// Characters of context kept before the first match in a snippet
+const SNIPPET_CONTEXT = 30;
+
+/**
+ * SearchIndex - In-memory inverted index of a chat's messages
+ *
+ * Follows a MessageView, so it picks up local appends and replicated blocks
+ * alike, and reindexes a message when it is edited or deleted. Terms are the
+ * lowercased words of the current text with diacritics removed. Every query
+ * word matches the terms it is a prefix of, and a message matches when all
+ * query words do.
+ *
+ * The index is never written to disk, so encrypted chats stay encrypted at
+ * rest. Reading every message is left for the first search instead of
+ * opening the chat, and done again on the next search after the view resets.
+ */
+class SearchIndex {
+  /**
+   * @param {string} chatId - Chat identifier, reported in hits
+   * @param {MessageView} view - View of the chat's messages
+   */
+  constructor(chatId, view) {
+    this.chatId = chatId;
+    this.view = view;
+    this.postings = new Map(); // Map<term, Set<messageId>>
+    this.terms = []; // Sorted terms, for prefix lookups
+    this.documents = new Map(); // Map<messageId, Set<term>>
+    this.building = null;
+
+    this._onMessage = (message) => this._index(message);
+    this._onReset = () => {
+      this.building = null;
+    };
+
+    view.on('message', this._onMessage);
+    view.on('update', this._onMessage);
+    view.on('reset', this._onReset);
+  }
+
+  /**
+   * Find the messages containing every query word
+   * @param {Array<string>} words - Normalized query words (see `tokenize`)
+   * @param {Object} [filters]
+   * @param {string} [filters.author] - Author identity key or display name
+   * @param {number} [filters.from] - Earliest timestamp (inclusive)
+   * @param {number} [filters.to] - Latest timestamp (inclusive)
+   * @returns {Promise<Array<Object>>} - Hits, newest first
+   */
+  async search(words, filters = {}) {
+    const {author = null, from = null, to = null} = filters;
+    if (words.length === 0) return [];
+
+    if (!this.building) {
+      this.building = this._rebuild().catch((error) => {
+        this.building = null;
+        throw error;
+      });
+    }
+    await this.building;
+
+    // Intersect the matches of each word, smallest first
+    const matches = words
+      .map((word) => this._match(word))
+      .sort((a, b) => a.size - b.size);
+
+    const hits = [];
+
+    for (const id of matches[0]) {
+      if (!matches.every((ids) => ids.has(id))) continue;
+
+      const message = await this.view.get(id);
+      if (!message || message.deleted) continue;
+
+      if (
+        author !== null &&
+        message.authorId !== author &&
+        message.author !== author
+      ) {
+        continue;
+      }
+      if (from !== null && message.timestamp < from) continue;
+      if (to !== null && message.timestamp > to) continue;
+
+      hits.push(toHit(this.chatId, message, words));
+    }
+
+    return hits.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Stop following the view
+   */
+  close() {
+    this.view.off('message', this._onMessage);
+    this.view.off('update', this._onMessage);
+    this.view.off('reset', this._onReset);
+  }
+
+  /**
+   * Ids of the messages with a term starting with a word
+   */
+  _match(word) {
+    const ids = new Set();
+
+    for (let i = lowerBound(this.terms, word); i < this.terms.length; i++) {
+      const term = this.terms[i];
+      if (!term.startsWith(word)) break;
+      for (const id of this.postings.get(term)) ids.add(id);
+    }
+
+    return ids;
+  }
+
+  async _rebuild() {
+    this.postings.clear();
+    this.documents.clear();
+    this.terms = [];
+
+    for (const message of await this.view.list()) this._index(message);
+  }
+
+  /**
+   * Index the current text of a message, replacing what it had before
+   */
+  _index(message) {
+    const terms =
+      message.deleted || typeof message.text !== 'string'
+        ? new Set()
+        : new Set(tokenize(message.text).map((token) => token.term));
+    const previous = this.documents.get(message.id) || new Set();
+
+    for (const term of previous) {
+      if (!terms.has(term)) this._removePosting(term, message.id);
+    }
+    for (const term of terms) {
+      if (!previous.has(term)) this._addPosting(term, message.id);
+    }
+
+    if (terms.size > 0) this.documents.set(message.id, terms);
+    else this.documents.delete(message.id);
+  }
+
+  _addPosting(term, id) {
+    let ids = this.postings.get(term);
+
+    if (!ids) {
+      ids = new Set();
+      this.postings.set(term, ids);
+      this.terms.splice(lowerBound(this.terms, term), 0, term);
+    }
+
+    ids.add(id);
+  }
+
+  _removePosting(term, id) {
+    const ids = this.postings.get(term);
+    if (!ids) return;
+
+    ids.delete(id);
+    if (ids.size > 0) return;
+
+    this.postings.delete(term);
+    this.terms.splice(lowerBound(this.terms, term), 1);
+  }
+}
+
+/**
+ * Split text into words
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} - [{term, start, end}]; term is the normalized
+ *   word, start and end are offsets of the word in the text
+ */
+function tokenize(text) {
+  const tokens = [];
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    tokens.push({
+      term: normalize(match[0]),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return tokens;
+}
+
+function normalize(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Build a hit: a snippet of the message around its first match, with the
+ * offsets of every matched word in the snippet
+ */
+function toHit(chatId, message, words) {
+  const {text} = message;
+  const matches = tokenize(text).filter(({term}) =>
+    words.some((word) => term.startsWith(word)),
+  );
+
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    const first = matches.length > 0 ? matches[0].start : 0;
+    start = Math.max(0, first - SNIPPET_CONTEXT);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    chatId,
+    id: message.id,
+    writer: message.writer,
+    seq: message.seq,
+    author: message.author,
+    authorId: message.authorId,
+    timestamp: message.timestamp,
+    snippet: prefix + text.slice(start, end) + suffix,
+    highlights: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({start: match.start + shift, end: match.end + shift})),
+  };
+}
+
+function lowerBound(list, value) {
+  let low = 0;
+  let high = list.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (list[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+SearchIndex.tokenize = tokenize;
+
+module.exports = SearchIndex;
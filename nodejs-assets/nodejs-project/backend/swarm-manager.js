@@ -1,18 +1,123 @@
+const EventEmitter = require('events');
 const Hyperswarm = require('hyperswarm');
+const DHT = require('hyperdht');
+const Hypercore = require('hypercore');
 const crypto = require('hypercore-crypto');
 const b4a = require('b4a');
+const WireProtocol = require('./wire-protocol');
+
+const PRESENCE_STATUSES = ['online', 'away', 'offline'];
+// We repeat our presence this often; a peer not heard from within
+// PRESENCE_TIMEOUT is considered offline
+const PRESENCE_INTERVAL = 30000;
+const PRESENCE_TIMEOUT = 75000;
+// While typing we repeat the signal at most this often; a peer that has not
+// repeated it within TYPING_TIMEOUT has stopped typing
+const TYPING_INTERVAL = 3000;
+const TYPING_TIMEOUT = 8000;
+// Presence and typing events accepted from one peer per chat per second; the
+// rest are dropped. Presence is announced in every chat we share with a peer,
+// so a limit across chats would drop it in most of them
+const EPHEMERAL_RATE = 10;
+// Replication progress is reported at most this often per peer and chat
+const PROGRESS_INTERVAL = 1000;
 
 /**
  * SwarmManager - Manages P2P connections and peer discovery via Hyperswarm
- * Uses topic hashes to discover peers for specific chats
+ * Uses topic hashes to discover peers for group chats, and connects to peers
+ * directly by public key for direct chats
+ *
+ * Also tracks the presence and typing state peers send over the ephemeral
+ * channels of our chats. Neither is ever stored: they expire unless repeated,
+ * and a peer goes offline in every chat when its connection closes.
+ *
+ * Every connection attempt and every chat replicated over a connection goes
+ * through the PeerFirewall, if one is given.
+ *
+ * Events:
+ *  - 'presence' ({chatId, peer, status, lastSeen}): a peer's status changed
+ *  - 'typing' ({chatId, peer, typing}): a peer started or stopped typing
+ *  - 'peer-connected' ({chatId, peer}): a peer started replicating a chat
+ *    with us; peer is as listed by getConnectedPeers. Reported again when a
+ *    new connection to the peer replaces the old one
+ *  - 'peer-disconnected' ({chatId, peer}): a peer (its public key) stopped
+ *    replicating a chat, because its connection closed or we left the chat
+ *  - 'replication-progress' ({chatId, peer, length, replication}): blocks
+ *    were exchanged with a peer; reported at most every PROGRESS_INTERVAL
  */
-class SwarmManager {
-  constructor(corestoreManager) {
+class SwarmManager extends EventEmitter {
+  /**
+   * @param {CorestoreManager} corestoreManager
+   * @param {WireProtocol} [protocol] - Protocol attached to every connection
+   * @param {Object} [options] - Hyperswarm options (e.g. keyPair, firewall
+   *   or maxPeers), plus where our DHT node bootstraps from and binds to
+   *   (bootstrap, host, port) unless a DHT node is given (dht)
+   * @param {PeerFirewall} [firewall] - Decides which peers may connect and
+   *   replicate which chats
+   */
+  constructor(
+    corestoreManager,
+    protocol = new WireProtocol(),
+    options = {},
+    firewall = null,
+  ) {
+    super();
     this.swarm = null;
     this.corestoreManager = corestoreManager;
+    this.protocol = protocol;
+    this.options = options;
+    this.firewall = firewall;
+    this.protocol.resolveChat = (discoveryKey, peerKey) => {
+      const chatId = this.corestoreManager.findChatByDiscoveryKey(discoveryKey);
+      return chatId && this.allowsChat(chatId, peerKey) ? chatId : null;
+    };
+    this.protocol.onChatClosed = (conn, chatId) =>
+      this.handleChatClosed(conn, chatId);
+    // Connections to a peer we block are closed, but messages may still be
+    // on their way
+    this.protocol.allowPeer = (peerKey) =>
+      !this.firewall || !this.firewall.isBlocked(peerKey);
     this.topics = new Map(); // Map<topicHex, { chatId, connections }>
+    this.directs = new Map(); // Map<peerKey, chatId> of direct chats
     this.peers = new Map(); // Map<peerKey, PeerInfo>
+    this.presence = {status: 'online', lastSeen: Date.now()}; // Our own
+    this.typing = new Map(); // Map<chatId, {typing, sentAt}> we sent
+    this.presences = new Map(); // Map<chatId, Map<peerKey, PeerPresence>>
+    this.rates = new Map(); // Map<peerKey, Map<chatId, {since, count}>>
+    this.refused = new Map(); // Map<chatId, Set<peerKey>> the firewall refused
+    this.heartbeat = null;
     this.ready = false;
+
+    // Hyperswarm bans peers its firewall refused until told otherwise. Its
+    // firewall only sees incoming connections, so we ban blocked peers
+    // ourselves to stop dialing them
+    this._onBlocked = (peerKey) => {
+      const peerInfo = this.swarm && this.swarm.peers.get(peerKey);
+      if (peerInfo) peerInfo.ban(true);
+      this.disconnectPeer(peerKey);
+    };
+    this._onUnblocked = (peerKey) => {
+      const peerInfo = this.swarm && this.swarm.peers.get(peerKey);
+      if (peerInfo) peerInfo.ban(false);
+    };
+    if (firewall) {
+      firewall.on('blocked', this._onBlocked);
+      firewall.on('unblocked', this._onUnblocked);
+    }
+
+    // The protocol outlives us when the owner initializes again, so our
+    // handlers are removed on close
+    this._unhandle = [
+      this.protocol.handle('control', 'announce', (event) => {
+        this.handleAnnounce(event);
+      }),
+      this.protocol.handle('ephemeral', 'presence', (event) => {
+        this.handlePresence(event);
+      }),
+      this.protocol.handle('ephemeral', 'typing', (event) => {
+        this.handleTyping(event);
+      }),
+    ];
   }
 
   /**
@@ -20,7 +125,25 @@ class SwarmManager {
    */
   async initialize() {
     try {
-      this.swarm = new Hyperswarm();
+      const {bootstrap, host, port, firewall, ...options} = this.options;
+
+      // Hyperswarm does not pass the bind host on to the DHT node it
+      // creates, which a private network on one machine or LAN needs
+      const dht =
+        options.dht ||
+        new DHT({
+          bootstrap,
+          host,
+          port,
+          deferRandomPunch: options.deferRandomPunch,
+          randomPunchInterval: options.randomPunchInterval,
+        });
+      this.swarm = new Hyperswarm({
+        ...options,
+        dht,
+        firewall: (remotePublicKey, payload) =>
+          this.handleFirewall(remotePublicKey, payload, firewall),
+      });
 
       // Set up event listeners
       this.setupEventListeners();
@@ -28,8 +151,19 @@ class SwarmManager {
       await this.swarm.listen();
       this.ready = true;
 
+      // Keep peers from expiring our presence
+      this.heartbeat = setInterval(() => {
+        this.announcePresence().catch((error) => {
+          console.error('[Swarm] Failed to announce presence:', error);
+        });
+      }, PRESENCE_INTERVAL);
+      this.heartbeat.unref?.();
+
       console.log('[Swarm] Initialized and listening');
-      console.log('[Swarm] Listening on:', this.swarm.address());
+      console.log('[Swarm] Listening on:', this.address());
+      if (bootstrap) {
+        console.log('[Swarm] Bootstrapping from:', bootstrap);
+      }
 
       return true;
     } catch (error) {
@@ -51,6 +185,107 @@ class SwarmManager {
     });
   }
 
+  /**
+   * Decide whether to refuse a connection, before it is opened
+   * @param {Buffer} remotePublicKey - Public key of the peer
+   * @param {Object} payload - Handshake payload (null when we connect)
+   * @param {Function} [custom] - Firewall from the network configuration
+   * @returns {boolean} - True to refuse
+   */
+  handleFirewall(remotePublicKey, payload, custom) {
+    const peerKey = b4a.toString(remotePublicKey, 'hex');
+
+    if (this.firewall && this.firewall.checkConnection(peerKey)) return true;
+    return custom ? !!custom(remotePublicKey, payload) : false;
+  }
+
+  /**
+   * Whether a peer may replicate a chat; refusals are reported by the
+   * firewall
+   * @param {string} chatId - Chat identifier
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @returns {boolean}
+   */
+  allowsChat(chatId, peerKey) {
+    if (!this.firewall || this.firewall.checkChat(chatId, peerKey) === null) {
+      return true;
+    }
+
+    if (!this.refused.has(chatId)) this.refused.set(chatId, new Set());
+    this.refused.get(chatId).add(peerKey);
+    return false;
+  }
+
+  /**
+   * Close every connection to a peer, e.g. after blocking it
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @returns {boolean} - True if the peer was connected
+   */
+  disconnectPeer(peerKey) {
+    let connected = false;
+
+    for (const conn of this.swarm ? this.swarm.connections : []) {
+      if (b4a.toString(conn.remotePublicKey, 'hex') === peerKey) {
+        conn.destroy();
+        connected = true;
+      }
+    }
+
+    if (connected) console.log(`[Swarm] Disconnected peer ${peerKey}`);
+    return connected;
+  }
+
+  /**
+   * Stop replicating a chat with a peer, keeping the connection open for the
+   * other chats we share
+   * @param {string} chatId - Chat identifier
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @returns {boolean} - True if the peer replicated the chat
+   */
+  closeChatWithPeer(chatId, peerKey) {
+    const peer = this.peers.get(peerKey);
+    if (!peer || !peer.chats.has(chatId)) return false;
+
+    const core = this.corestoreManager.cores.get(chatId);
+    if (core) {
+      core.unreplicate(peer.conn);
+      this.protocol.closeChat(core.discoveryKey, peer.conn);
+    }
+
+    this.removeChatPeer(chatId, peerKey, peer, true);
+    console.log(`[Swarm] Stopped replicating ${chatId} with ${peerKey}`);
+    return true;
+  }
+
+  /**
+   * Apply a change of who may replicate a chat: stop replicating it with the
+   * peers that no longer may, e.g. a banned member, and start replicating
+   * with connected peers that were refused before but now may, e.g. an
+   * invited one
+   * @param {string} chatId - Chat identifier
+   * @returns {number} - Number of peers the chat was closed for
+   */
+  enforceChat(chatId) {
+    let closed = 0;
+
+    for (const {publicKey} of this.getConnectedPeers(chatId)) {
+      if (!this.allowsChat(chatId, publicKey)) {
+        if (this.closeChatWithPeer(chatId, publicKey)) closed++;
+      }
+    }
+
+    for (const peerKey of this.refused.get(chatId) || []) {
+      const peer = this.peers.get(peerKey);
+      if (!peer || this.firewall.reasonForChat(chatId, peerKey)) continue;
+
+      this.refused.get(chatId).delete(peerKey);
+      this.addChatPeer(chatId, peerKey);
+      this.replicateCoreWithPeer(chatId, peer.conn);
+    }
+
+    return closed;
+  }
+
   /**
    * Handle new peer connection
    * @param {Stream} conn - Connection stream
@@ -59,6 +294,15 @@ class SwarmManager {
   handleConnection(conn, info) {
     const peerKey = b4a.toString(info.publicKey, 'hex');
 
+    // Only incoming connections went through the firewall; this one we
+    // dialed, e.g. to a peer loaded from the blocklist at startup
+    if (this.firewall && this.firewall.isBlocked(peerKey)) {
+      console.log(`[Swarm] Closing connection to blocked peer ${peerKey}`);
+      info.ban(true);
+      conn.destroy();
+      return;
+    }
+
     console.log('[Swarm] New connection');
     console.log('[Swarm] Peer:', peerKey);
     console.log('[Swarm] Client:', info.client);
@@ -67,14 +311,25 @@ class SwarmManager {
       info.topics?.map((t) => b4a.toString(t, 'hex')),
     );
 
+    // A new connection replaces an older one to the same peer, which then
+    // closes without being reported
+    const previous = this.peers.get(peerKey);
+    if (previous) this.forgetConnection(peerKey, previous, false);
+
     // Store peer info
     this.peers.set(peerKey, {
       publicKey: info.publicKey,
       conn,
       client: info.client,
       connectedAt: Date.now(),
+      chats: new Set(), // Chats replicated over this connection
+      transfers: new Map(), // Map<chatId, Transfer> replicated so far
     });
 
+    // Open the control channel; replication and ephemeral chat channels
+    // share the same multiplexer
+    this.protocol.attach(conn, peerKey);
+
     // Set up connection event handlers
     conn.on('error', (error) => {
       console.error(`[Swarm] Connection error with ${peerKey}:`, error);
@@ -82,26 +337,204 @@ class SwarmManager {
 
     conn.on('close', () => {
       console.log(`[Swarm] Connection closed with ${peerKey}`);
+
+      // A replaced duplicate connection does not mean the peer left
+      const peer = this.peers.get(peerKey);
+      if (peer?.conn !== conn) return;
+
       this.peers.delete(peerKey);
+      this.forgetConnection(peerKey, peer, true);
+      this.setPeerOffline(peerKey);
+      for (const peers of this.refused.values()) peers.delete(peerKey);
     });
 
     // Find which chat this connection is for
-    if (info.topics && info.topics.length > 0) {
-      for (const topic of info.topics) {
-        const topicHex = b4a.toString(topic, 'hex');
-        const topicInfo = this.topics.get(topicHex);
-
-        if (topicInfo) {
-          console.log(
-            `[Swarm] Peer ${peerKey} joined chat: ${topicInfo.chatId}`,
-          );
-          topicInfo.connections.add(peerKey);
-
-          // Replicate the core with this peer
-          this.replicateCoreWithPeer(topicInfo.chatId, conn);
-        }
-      }
+    for (const topic of info.topics || []) {
+      this.handlePeerTopic(peerKey, conn, topic);
+    }
+
+    // A connected peer found on a topic we joined later gets no new
+    // connection, only the topic
+    const onTopic = (topic) => this.handlePeerTopic(peerKey, conn, topic);
+    info.on('topic', onTopic);
+    conn.once('close', () => info.off('topic', onTopic));
+
+    // info.publicKey is the Noise static key the peer proved it holds, so a
+    // direct chat is only ever replicated with the peer it belongs to
+    const directChatId = this.directs.get(peerKey);
+    if (directChatId && this.allowsChat(directChatId, peerKey)) {
+      console.log(`[Swarm] Direct peer ${peerKey} connected: ${directChatId}`);
+      this.addChatPeer(directChatId, peerKey);
+      this.replicateDirectChat(directChatId, conn).catch((error) => {
+        console.error(
+          `[Swarm] Failed to replicate direct chat ${directChatId}:`,
+          error,
+        );
+      });
     }
+
+    // Server-side connections don't know which topic the peer came from, so
+    // start replicating a chat once the peer opens one of its cores
+    Hypercore.createProtocolStream(conn, {
+      ondiscoverykey: (discoveryKey) => {
+        this.handleRemoteDiscoveryKey(peerKey, conn, discoveryKey);
+      },
+    });
+  }
+
+  /**
+   * Start replicating the chat of a topic a connected peer was found on
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @param {Stream} conn - Connection stream
+   * @param {Buffer} topic - Topic the peer announced
+   */
+  handlePeerTopic(peerKey, conn, topic) {
+    const topicInfo = this.topics.get(b4a.toString(topic, 'hex'));
+    const peer = this.peers.get(peerKey);
+    if (!topicInfo || peer?.conn !== conn) return;
+    if (peer.chats.has(topicInfo.chatId)) return;
+    if (!this.allowsChat(topicInfo.chatId, peerKey)) return;
+
+    console.log(`[Swarm] Peer ${peerKey} joined chat: ${topicInfo.chatId}`);
+    this.addChatPeer(topicInfo.chatId, peerKey);
+
+    // Replicate the core with this peer
+    this.replicateCoreWithPeer(topicInfo.chatId, conn);
+  }
+
+  /**
+   * Handle a peer requesting a core we have not replicated with it yet
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @param {Stream} conn - Connection stream
+   * @param {Buffer} discoveryKey - Discovery key of the requested core
+   */
+  handleRemoteDiscoveryKey(peerKey, conn, discoveryKey) {
+    const chatId = this.corestoreManager.findChatByDiscoveryKey(discoveryKey);
+    if (!chatId || !this.allowsChat(chatId, peerKey)) return;
+
+    this.addChatPeer(chatId, peerKey);
+
+    console.log(`[Swarm] Peer ${peerKey} requested chat: ${chatId}`);
+    this.replicateCoreWithPeer(chatId, conn);
+  }
+
+  /**
+   * Record that a peer replicates a chat with us
+   * @param {string} chatId - Chat identifier
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @returns {boolean} - False if it already did or is not connected
+   */
+  addChatPeer(chatId, peerKey) {
+    const peer = this.peers.get(peerKey);
+    if (!peer) return false;
+
+    for (const topicInfo of this.topics.values()) {
+      if (topicInfo.chatId === chatId) topicInfo.connections.add(peerKey);
+    }
+
+    if (peer.chats.has(chatId)) return false;
+    peer.chats.add(chatId);
+
+    this.emit('peer-connected', {
+      chatId,
+      peer: this.peerStats(peerKey, chatId),
+    });
+    return true;
+  }
+
+  /**
+   * Record that a peer no longer replicates a chat with us
+   * @param {string} chatId - Chat identifier
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @param {Object} peer - Its PeerInfo, which may already be forgotten
+   * @param {boolean} report - Whether to emit 'peer-disconnected'
+   */
+  removeChatPeer(chatId, peerKey, peer, report) {
+    for (const topicInfo of this.topics.values()) {
+      if (topicInfo.chatId === chatId) topicInfo.connections.delete(peerKey);
+    }
+
+    if (!peer.chats.delete(chatId)) return;
+
+    clearTimeout(peer.transfers.get(chatId)?.timer);
+    peer.transfers.delete(chatId);
+
+    if (report) this.emit('peer-disconnected', {chatId, peer: peerKey});
+  }
+
+  /**
+   * Drop the chats replicated over a closed or replaced connection
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @param {Object} peer - PeerInfo of the connection
+   * @param {boolean} report - Whether to emit 'peer-disconnected'
+   */
+  forgetConnection(peerKey, peer, report) {
+    for (const chatId of [...peer.chats]) {
+      this.removeChatPeer(chatId, peerKey, peer, report);
+    }
+  }
+
+  /**
+   * Count a block exchanged with a peer while replicating a chat
+   * Reported with 'replication-progress' at most every PROGRESS_INTERVAL.
+   * @param {string} chatId - Chat identifier
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @param {string} direction - 'download' or 'upload'
+   * @param {number} byteLength - Size of the block
+   */
+  recordTransfer(chatId, peerKey, direction, byteLength) {
+    const peer = this.peers.get(peerKey);
+    if (!peer || !peer.chats.has(chatId)) return;
+
+    let transfer = peer.transfers.get(chatId);
+    if (!transfer) {
+      transfer = {
+        downloadedBlocks: 0,
+        downloadedBytes: 0,
+        uploadedBlocks: 0,
+        uploadedBytes: 0,
+        timer: null,
+      };
+      peer.transfers.set(chatId, transfer);
+    }
+
+    if (direction === 'download') {
+      transfer.downloadedBlocks++;
+      transfer.downloadedBytes += byteLength;
+    } else {
+      transfer.uploadedBlocks++;
+      transfer.uploadedBytes += byteLength;
+    }
+
+    if (transfer.timer) return;
+
+    transfer.timer = setTimeout(() => {
+      transfer.timer = null;
+
+      const core = this.corestoreManager.cores.get(chatId);
+      this.emit('replication-progress', {
+        chatId,
+        peer: peerKey,
+        length: core ? core.length : 0,
+        replication: replicationStats(transfer),
+      });
+    }, PROGRESS_INTERVAL);
+    transfer.timer.unref?.();
+  }
+
+  /**
+   * Handle a peer closing a chat on a connection that stays open, e.g.
+   * because it left the chat
+   * @param {Stream} conn - Connection stream
+   * @param {string} chatId - Chat identifier
+   */
+  handleChatClosed(conn, chatId) {
+    const peerKey = b4a.toString(conn.remotePublicKey, 'hex');
+    const peer = this.peers.get(peerKey);
+    if (!peer || peer.conn !== conn || !peer.chats.has(chatId)) return;
+
+    console.log(`[Swarm] Peer ${peerKey} left chat: ${chatId}`);
+    this.removeChatPeer(chatId, peerKey, peer, true);
   }
 
   /**
@@ -114,6 +547,27 @@ class SwarmManager {
       const core = await this.corestoreManager.getChatCore(chatId);
       const replicationStream = core.replicate(conn);
 
+      this.protocol.openChat(conn, chatId, core.discoveryKey);
+
+      // Let the peer know we are here without waiting for the heartbeat,
+      // and which of its messages we have and have read
+      this.protocol.sendEphemeral(
+        conn,
+        core.discoveryKey,
+        'presence',
+        this.presencePayload(),
+      );
+
+      const receipts = this.corestoreManager.receipts.get(chatId);
+      for (const receipt of receipts ? receipts.current() : []) {
+        this.protocol.sendEphemeral(
+          conn,
+          core.discoveryKey,
+          'receipt',
+          receipt,
+        );
+      }
+
       console.log(`[Swarm] Started replication for chat ${chatId}`);
 
       replicationStream.on('error', (error) => {
@@ -128,22 +582,120 @@ class SwarmManager {
     }
   }
 
+  /**
+   * Replicate a direct chat and offer it to the peer
+   * The offer tells a peer that does not have the chat yet how to join it,
+   * and tells both sides about each other's writer.
+   * @param {string} chatId - Chat identifier
+   * @param {Stream} conn - Connection with the chat's peer
+   */
+  async replicateDirectChat(chatId, conn) {
+    await this.replicateCoreWithPeer(chatId, conn);
+
+    const core = this.corestoreManager.cores.get(chatId);
+    if (!core || !core.encrypted) return;
+
+    const {epoch, key} = core.keyring.current;
+
+    this.protocol.sendControl(conn, 'direct', {
+      publicKey: b4a.toString(core.key, 'hex'),
+      key: b4a.toString(key, 'hex'),
+      epoch,
+      writer: b4a.toString(core.local.key, 'hex'),
+    });
+  }
+
+  /**
+   * Connect to a single peer for a direct chat
+   * Hyperswarm keeps looking the peer up on the DHT and reconnects whenever
+   * the connection drops.
+   * @param {string} chatId - Chat identifier
+   * @param {Buffer|string} publicKey - Peer public key (Buffer or hex)
+   * @returns {Object} - {chatId, peer}
+   */
+  joinPeer(chatId, publicKey) {
+    if (!this.ready) {
+      throw new Error('Swarm not initialized');
+    }
+
+    const peerKey =
+      typeof publicKey === 'string'
+        ? publicKey.toLowerCase()
+        : b4a.toString(publicKey, 'hex');
+
+    if (!/^[0-9a-f]{64}$/.test(peerKey)) {
+      throw new Error('Peer public key must be 32 bytes');
+    }
+
+    if (this.directs.get(peerKey) !== chatId) {
+      this.directs.set(peerKey, chatId);
+      this.swarm.joinPeer(b4a.from(peerKey, 'hex'));
+      console.log(`[Swarm] Joined peer ${peerKey} for chat: ${chatId}`);
+    }
+
+    // Already connected, e.g. the peer just offered us this chat
+    const peer = this.peers.get(peerKey);
+    if (peer && this.allowsChat(chatId, peerKey)) {
+      this.addChatPeer(chatId, peerKey);
+      this.replicateDirectChat(chatId, peer.conn).catch((error) => {
+        console.error(
+          `[Swarm] Failed to replicate direct chat ${chatId}:`,
+          error,
+        );
+      });
+    }
+
+    return {chatId, peer: peerKey};
+  }
+
+  /**
+   * Stop connecting to the peer of a direct chat
+   * @param {string} chatId - Chat identifier
+   */
+  leavePeer(chatId) {
+    for (const [peerKey, directChatId] of this.directs.entries()) {
+      if (directChatId === chatId) {
+        this.swarm.leavePeer(b4a.from(peerKey, 'hex'));
+        this.directs.delete(peerKey);
+
+        const core = this.corestoreManager.cores.get(chatId);
+        if (core) this.protocol.closeChat(core.discoveryKey);
+        this.forgetPresence(chatId);
+        this.refused.delete(chatId);
+        this.forgetChat(chatId);
+
+        console.log(`[Swarm] Left peer ${peerKey} for chat: ${chatId}`);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Join a chat topic for peer discovery
    * @param {string} chatId - Chat identifier
-   * @param {string} [topicString] - Optional topic string (defaults to chatId)
+   * @param {Buffer|string} [discoveryKey] - Discovery key of the chat's core
+   *   (Buffer or hex); defaults to a hash of chatId
    * @returns {Promise<Object>} - Topic info
    */
-  async joinTopic(chatId, topicString = null) {
+  async joinTopic(chatId, discoveryKey = null) {
     if (!this.ready) {
       throw new Error('Swarm not initialized');
     }
 
-    // Generate topic hash from string
-    const topicStr = topicString || chatId;
-    const topic = crypto.hash(b4a.from(topicStr));
+    // Announce on the core's real discovery key so creator and joiners meet
+    let topic = discoveryKey || crypto.hash(b4a.from(chatId));
+    if (typeof topic === 'string') {
+      topic = b4a.from(topic, 'hex');
+    }
+
     const topicHex = b4a.toString(topic, 'hex');
 
+    if (topic.length !== 32) {
+      throw new Error('Topic must be a 32-byte discovery key');
+    }
+
     // Check if already joined
     if (this.topics.has(topicHex)) {
       console.log(`[Swarm] Already joined topic for ${chatId}`);
@@ -162,7 +714,6 @@ class SwarmManager {
       chatId,
       topic,
       topicHex,
-      topicString: topicStr,
       discovery,
       connections: new Set(),
       joinedAt: Date.now(),
@@ -174,6 +725,14 @@ class SwarmManager {
     console.log(`[Swarm] Topic hash: ${topicHex}`);
     console.log(`[Swarm] Announced on DHT`);
 
+    // Peers we were already connected to were found while flushing
+    for (const [peerKey, peer] of this.peers) {
+      const info = this.swarm.peers.get(peerKey);
+      if (info && info.topics.some((t) => b4a.equals(t, topic))) {
+        this.handlePeerTopic(peerKey, peer.conn, topic);
+      }
+    }
+
     return topicInfo;
   }
 
@@ -186,6 +745,10 @@ class SwarmManager {
     for (const [topicHex, topicInfo] of this.topics.entries()) {
       if (topicInfo.chatId === chatId) {
         await topicInfo.discovery.destroy();
+        this.protocol.closeChat(topicInfo.topic);
+        this.forgetPresence(chatId);
+        this.refused.delete(chatId);
+        this.forgetChat(chatId);
         this.topics.delete(topicHex);
         console.log(`[Swarm] Left topic for chat: ${chatId}`);
         return true;
@@ -195,6 +758,16 @@ class SwarmManager {
     return false;
   }
 
+  /**
+   * Stop counting a chat we left as replicated with its peers
+   * @param {string} chatId - Chat identifier
+   */
+  forgetChat(chatId) {
+    for (const [peerKey, peer] of this.peers.entries()) {
+      this.removeChatPeer(chatId, peerKey, peer, true);
+    }
+  }
+
   /**
    * Get connected peers for a chat
    * @param {string} chatId - Chat identifier
@@ -203,24 +776,50 @@ class SwarmManager {
   getConnectedPeers(chatId) {
     const peers = [];
 
-    for (const [topicHex, topicInfo] of this.topics.entries()) {
-      if (topicInfo.chatId === chatId) {
-        for (const peerKey of topicInfo.connections) {
-          const peer = this.peers.get(peerKey);
-          if (peer) {
-            peers.push({
-              publicKey: peerKey,
-              connectedAt: peer.connectedAt,
-              client: peer.client,
-            });
-          }
-        }
+    for (const [peerKey, peer] of this.peers.entries()) {
+      if (peer.chats.has(chatId)) {
+        peers.push(this.peerStats(peerKey, chatId));
       }
     }
 
     return peers;
   }
 
+  /**
+   * What we know about a connected peer
+   * Latency and bytes are those of the whole connection, which carries
+   * every chat we share with the peer; replication counts the blocks of one
+   * chat.
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @param {string} chatId - Chat whose replication to count
+   * @returns {Object} - {publicKey, connectedAt, client, connectionType,
+   *   latency, bytesSent, bytesReceived, replication}
+   */
+  peerStats(peerKey, chatId) {
+    const peer = this.peers.get(peerKey);
+    const rawStream = peer.conn.rawStream || null;
+
+    return {
+      publicKey: peerKey,
+      connectedAt: peer.connectedAt,
+      client: peer.client,
+      connectionType: connectionType(rawStream && rawStream.remoteHost),
+      latency: (rawStream && rawStream.rtt) || null,
+      bytesSent: rawStream ? rawStream.bytesTransmitted : 0,
+      bytesReceived: rawStream ? rawStream.bytesReceived : 0,
+      replication: replicationStats(peer.transfers.get(chatId)),
+    };
+  }
+
+  /**
+   * Local address of the swarm's DHT socket
+   * Hyperswarm has no address of its own; it listens through its DHT node.
+   * @returns {Object|null} - {host, family, port}, or null before listening
+   */
+  address() {
+    return this.swarm ? this.swarm.dht.address() : null;
+  }
+
   /**
    * Get swarm stats
    * @returns {Object} - Swarm statistics
@@ -229,50 +828,344 @@ class SwarmManager {
     return {
       ready: this.ready,
       topics: this.topics.size,
+      directs: this.directs.size,
       peers: this.peers.size,
       connections: this.swarm?.connections?.size || 0,
-      address: this.ready ? this.swarm.address() : null,
+      address: this.ready ? this.address() : null,
     };
   }
 
   /**
-   * Broadcast a message to all peers in a chat
+   * Announce a new message to all peers in a chat
+   * The message itself travels through replication; this only tells peers
+   * which writer grew so they can start tracking it right away.
    * @param {string} chatId - Chat identifier
-   * @param {Object} message - Message to broadcast
+   * @param {Object} message - Message that was appended
    */
   async broadcastMessage(chatId, message) {
-    const peers = this.getConnectedPeers(chatId);
+    const core = await this.corestoreManager.getChatCore(chatId);
 
-    const messageData = {
-      type: 'chat-message',
-      chatId,
-      message,
-      timestamp: Date.now(),
-    };
+    for (const peer of this.getConnectedPeers(chatId)) {
+      const peerInfo = this.peers.get(peer.publicKey);
+      if (!peerInfo) continue;
+
+      this.protocol.sendControl(peerInfo.conn, 'announce', {
+        discoveryKey: b4a.toString(core.discoveryKey, 'hex'),
+        writer: message.writer,
+        length: message.seq + 1,
+      });
+    }
+  }
 
-    const encoded = b4a.from(JSON.stringify(messageData));
+  /**
+   * Send an ephemeral event (typing, presence, receipt) to all peers in a chat
+   * @param {string} chatId - Chat identifier
+   * @param {string} type - Ephemeral message type
+   * @param {Object} payload - Message payload
+   * @returns {Promise<number>} - Number of peers the event was sent to
+   */
+  async sendEphemeral(chatId, type, payload) {
+    const core = await this.corestoreManager.getChatCore(chatId);
+    let sent = 0;
 
-    for (const peer of peers) {
+    for (const peer of this.getConnectedPeers(chatId)) {
       const peerInfo = this.peers.get(peer.publicKey);
-      if (peerInfo && peerInfo.conn) {
-        try {
-          peerInfo.conn.write(encoded);
-          console.log(`[Swarm] Broadcast message to peer: ${peer.publicKey}`);
-        } catch (error) {
-          console.error(
-            `[Swarm] Failed to broadcast to ${peer.publicKey}:`,
-            error,
-          );
-        }
+      if (!peerInfo) continue;
+
+      if (
+        this.protocol.sendEphemeral(
+          peerInfo.conn,
+          core.discoveryKey,
+          type,
+          payload,
+        )
+      ) {
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Set our presence and tell every chat about it
+   * @param {string} status - 'online', 'away' or 'offline'
+   * @returns {Promise<number>} - Number of peers the status was sent to
+   */
+  async setPresence(status) {
+    if (!PRESENCE_STATUSES.includes(status)) {
+      throw new Error(`Unknown presence status: ${status}`);
+    }
+
+    if (status === this.presence.status) return 0;
+
+    this.presence = {status, lastSeen: Date.now()};
+    return this.announcePresence();
+  }
+
+  /**
+   * Send our presence to the peers of every chat
+   * @returns {Promise<number>} - Number of peers the status was sent to
+   */
+  async announcePresence() {
+    const chatIds = new Set([
+      ...[...this.topics.values()].map((topicInfo) => topicInfo.chatId),
+      ...this.directs.values(),
+    ]);
+
+    let sent = 0;
+    for (const chatId of chatIds) {
+      sent += await this.sendEphemeral(
+        chatId,
+        'presence',
+        this.presencePayload(),
+      );
+    }
+
+    return sent;
+  }
+
+  /**
+   * Our presence as sent to peers; lastSeen is now while we are online
+   * @returns {Object} - {status, lastSeen}
+   */
+  presencePayload() {
+    const {status, lastSeen} = this.presence;
+    return {status, lastSeen: status === 'online' ? Date.now() : lastSeen};
+  }
+
+  /**
+   * Tell the peers of a chat that we started or stopped typing
+   * Repeated starts are only sent every TYPING_INTERVAL, and a stop only if
+   * we sent a start.
+   * @param {string} chatId - Chat identifier
+   * @param {boolean} typing - Whether we are typing
+   * @returns {Promise<number>} - Number of peers the signal was sent to
+   */
+  async setTyping(chatId, typing) {
+    const now = Date.now();
+    const last = this.typing.get(chatId);
+
+    if (typing && last?.typing && now - last.sentAt < TYPING_INTERVAL) {
+      return 0;
+    }
+    if (!typing && !last?.typing) return 0;
+
+    this.typing.set(chatId, {typing, sentAt: now});
+    return this.sendEphemeral(chatId, 'typing', {typing});
+  }
+
+  /**
+   * Presence and typing state of the peers we heard from in a chat
+   * @param {string} chatId - Chat identifier
+   * @returns {Array<Object>} - [{peer, status, lastSeen, typing}]
+   */
+  getPresence(chatId) {
+    const peers = this.presences.get(chatId) || new Map();
+
+    return [...peers.entries()].map(([peer, state]) => ({
+      peer,
+      status: state.status,
+      lastSeen: state.lastSeen,
+      typing: state.typing,
+    }));
+  }
+
+  /**
+   * Handle a presence update from a peer
+   * @param {Object} event - {peer, chatId, status, lastSeen}
+   */
+  handlePresence(event) {
+    if (!this.allowEphemeral(event.peer, event.chatId)) return;
+    if (!PRESENCE_STATUSES.includes(event.status)) return;
+
+    // Online peers are seen right now; otherwise trust their clock, but not
+    // into the future
+    const now = Date.now();
+    const lastSeen =
+      event.status === 'online' ? now : Math.min(event.lastSeen, now);
+
+    this.updatePresence(event.chatId, event.peer, event.status, lastSeen);
+  }
+
+  /**
+   * Handle a typing signal from a peer
+   * @param {Object} event - {peer, chatId, typing}
+   */
+  handleTyping(event) {
+    if (!this.allowEphemeral(event.peer, event.chatId)) return;
+
+    this.updateTyping(event.chatId, event.peer, event.typing);
+  }
+
+  /**
+   * Mark a peer offline in every chat, e.g. when its connection closes
+   * @param {string} peerKey - Hex-encoded peer public key
+   */
+  setPeerOffline(peerKey) {
+    this.rates.delete(peerKey);
+
+    for (const [chatId, peers] of this.presences.entries()) {
+      const state = peers.get(peerKey);
+      if (state && state.status !== 'offline') {
+        this.updatePresence(chatId, peerKey, 'offline', Date.now());
       }
     }
   }
 
+  /**
+   * Count an ephemeral event against a peer's rate limit in a chat
+   * @param {string} peerKey - Hex-encoded peer public key
+   * @param {string} chatId - Chat identifier
+   * @returns {boolean} - False if the event should be dropped
+   */
+  allowEphemeral(peerKey, chatId) {
+    const now = Date.now();
+    if (!this.rates.has(peerKey)) this.rates.set(peerKey, new Map());
+
+    const rates = this.rates.get(peerKey);
+    let rate = rates.get(chatId);
+
+    if (!rate || now - rate.since >= 1000) {
+      rate = {since: now, count: 0};
+      rates.set(chatId, rate);
+    }
+
+    rate.count++;
+    if (rate.count === EPHEMERAL_RATE + 1) {
+      console.warn(
+        `[Swarm] Peer ${peerKey} is sending too many events in ${chatId}`,
+      );
+    }
+
+    return rate.count <= EPHEMERAL_RATE;
+  }
+
+  updatePresence(chatId, peerKey, status, lastSeen) {
+    const state = this.peerPresence(chatId, peerKey);
+    const changed = state.status !== status;
+
+    state.status = status;
+    state.lastSeen = lastSeen;
+
+    clearTimeout(state.presenceTimer);
+    state.presenceTimer = null;
+
+    if (status === 'offline') {
+      this.updateTyping(chatId, peerKey, false);
+    } else {
+      state.presenceTimer = setTimeout(() => {
+        this.updatePresence(chatId, peerKey, 'offline', state.lastSeen);
+      }, PRESENCE_TIMEOUT);
+      state.presenceTimer.unref?.();
+    }
+
+    if (changed) {
+      this.emit('presence', {chatId, peer: peerKey, status, lastSeen});
+    }
+  }
+
+  updateTyping(chatId, peerKey, typing) {
+    const state = this.peerPresence(chatId, peerKey);
+
+    clearTimeout(state.typingTimer);
+    state.typingTimer = null;
+
+    if (typing) {
+      state.typingTimer = setTimeout(() => {
+        this.updateTyping(chatId, peerKey, false);
+      }, TYPING_TIMEOUT);
+      state.typingTimer.unref?.();
+    }
+
+    if (state.typing !== typing) {
+      state.typing = typing;
+      this.emit('typing', {chatId, peer: peerKey, typing});
+    }
+  }
+
+  peerPresence(chatId, peerKey) {
+    if (!this.presences.has(chatId)) {
+      this.presences.set(chatId, new Map());
+    }
+
+    const peers = this.presences.get(chatId);
+    if (!peers.has(peerKey)) {
+      peers.set(peerKey, {
+        status: 'offline',
+        lastSeen: null,
+        typing: false,
+        presenceTimer: null,
+        typingTimer: null,
+      });
+    }
+
+    return peers.get(peerKey);
+  }
+
+  /**
+   * Drop the presence state of a chat we left
+   * @param {string} chatId - Chat identifier
+   */
+  forgetPresence(chatId) {
+    for (const state of (this.presences.get(chatId) || new Map()).values()) {
+      clearTimeout(state.presenceTimer);
+      clearTimeout(state.typingTimer);
+    }
+
+    this.presences.delete(chatId);
+    this.typing.delete(chatId);
+    for (const rates of this.rates.values()) rates.delete(chatId);
+  }
+
+  /**
+   * Handle a peer announcing new blocks for one of our chats
+   * The writer is only a hint: the chat admits it once its member entry
+   * checks out (see ChatBase.addWriter), and records nothing otherwise.
+   * @param {Object} event - {peer, discoveryKey, writer, length}
+   */
+  handleAnnounce(event) {
+    const chatId = this.corestoreManager.findChatByDiscoveryKey(
+      b4a.from(event.discoveryKey, 'hex'),
+    );
+    if (!chatId) return;
+    if (this.firewall && this.firewall.reasonForChat(chatId, event.peer)) {
+      return;
+    }
+
+    const core = this.corestoreManager.cores.get(chatId);
+    core.addWriter(event.writer).catch((error) => {
+      console.error(`[Swarm] Failed to check writer ${event.writer}:`, error);
+    });
+  }
+
   /**
    * Close the swarm and all connections
    */
   async close() {
+    for (const unhandle of this._unhandle) unhandle();
+    this._unhandle = [];
+
+    if (this.firewall) {
+      this.firewall.off('blocked', this._onBlocked);
+      this.firewall.off('unblocked', this._onUnblocked);
+    }
+
     if (this.swarm) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+
+      // Best effort: peers that miss it expire us after PRESENCE_TIMEOUT
+      await this.setPresence('offline').catch(() => {});
+
+      for (const chatId of [...this.presences.keys()]) {
+        this.forgetPresence(chatId);
+      }
+
+      for (const [peerKey, peer] of this.peers.entries()) {
+        this.forgetConnection(peerKey, peer, false);
+      }
+
       // Leave all topics
       for (const topicInfo of this.topics.values()) {
         await topicInfo.discovery.destroy();
@@ -282,6 +1175,7 @@ class SwarmManager {
       await this.swarm.destroy();
 
       this.topics.clear();
+      this.directs.clear();
       this.peers.clear();
       this.ready = false;
 
@@ -290,4 +1184,30 @@ class SwarmManager {
   }
 }
 
+/**
+ * Kind of network a connection crosses, from the peer's address
+ * @param {string} [host] - Remote address of the connection
+ * @returns {string|null} - 'loopback', 'lan' or 'internet'
+ */
+function connectionType(host) {
+  if (!host) return null;
+  if (host === '::1' || host.startsWith('127.')) return 'loopback';
+  if (
+    /^(10|192\.168|169\.254|172\.(1[6-9]|2\d|3[01]))\./.test(host) ||
+    /^f[cd]/i.test(host)
+  ) {
+    return 'lan';
+  }
+  return 'internet';
+}
+
+function replicationStats(transfer) {
+  return {
+    downloadedBlocks: transfer ? transfer.downloadedBlocks : 0,
+    downloadedBytes: transfer ? transfer.downloadedBytes : 0,
+    uploadedBlocks: transfer ? transfer.uploadedBlocks : 0,
+    uploadedBytes: transfer ? transfer.uploadedBytes : 0,
+  };
+}
+
 module.exports = SwarmManager;
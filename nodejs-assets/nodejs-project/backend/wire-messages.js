@@ -0,0 +1,106 @@
+const c = require('compact-encoding');
+const b4a = require('b4a');
+
+/**
+ * Compact-encoding schemas for the P2P Nexus wire protocol
+ *
+ * Each channel is a separate Protomux protocol with its own version, sent in
+ * the channel handshake. Bump a channel's version when one of its message
+ * schemas changes in a way older peers cannot decode.
+ */
+
+/**
+ * Build an encoding for a flat object from an ordered list of fields
+ * @param {Array<[string, Object]>} fields - [name, encoding] pairs
+ * @returns {Object} - compact-encoding codec
+ */
+function struct(fields) {
+  return {
+    preencode(state, m) {
+      for (const [name, enc] of fields) enc.preencode(state, m[name]);
+    },
+    encode(state, m) {
+      for (const [name, enc] of fields) enc.encode(state, m[name]);
+    },
+    decode(state) {
+      const m = {};
+      for (const [name, enc] of fields) m[name] = enc.decode(state);
+      return m;
+    },
+  };
+}
+
+/**
+ * 32-byte key, hex-encoded on the JS side so payloads stay JSON friendly
+ */
+const hexKey = {
+  preencode(state) {
+    state.end += 32;
+  },
+  encode(state, m) {
+    c.fixed32.encode(state, b4a.from(m, 'hex'));
+  },
+  decode(state) {
+    return b4a.toString(c.fixed32.decode(state), 'hex');
+  },
+};
+
+const handshake = struct([['version', c.uint]]);
+
+/**
+ * Control channel: one per connection, not tied to a chat
+ */
+const control = {
+  protocol: 'p2pnexus/control',
+  version: 1,
+  messages: {
+    // Sent once the channel opens
+    hello: struct([
+      ['client', c.string],
+      ['capabilities', c.array(c.string)],
+    ]),
+    // Hint that a writer of a chat has new blocks
+    announce: struct([
+      ['discoveryKey', hexKey],
+      ['writer', hexKey],
+      ['length', c.uint],
+    ]),
+    // Direct chat offer, only ever sent to the peer the chat is with. The
+    // Noise channel authenticates and encrypts it, so it can carry the key.
+    direct: struct([
+      ['publicKey', hexKey],
+      ['key', hexKey],
+      ['epoch', c.uint],
+      ['writer', hexKey],
+    ]),
+  },
+};
+
+/**
+ * Ephemeral channel: one per chat per connection (channel id is the chat's
+ * discovery key). Nothing sent here is ever written to a Hypercore.
+ */
+const ephemeral = {
+  protocol: 'p2pnexus/ephemeral',
+  version: 1,
+  messages: {
+    typing: struct([['typing', c.bool]]),
+    presence: struct([
+      ['status', c.string],
+      ['lastSeen', c.uint],
+    ]),
+    receipt: struct([
+      ['kind', c.string],
+      ['writer', hexKey],
+      ['seq', c.uint],
+    ]),
+  },
+};
+
+module.exports = {
+  struct,
+  hexKey,
+  handshake,
+  control,
+  ephemeral,
+};
@@ -0,0 +1,270 @@
+const Hypercore = require('hypercore');
+const b4a = require('b4a');
+const schemas = require('./wire-messages');
+
+const CLIENT_NAME = 'p2p-nexus';
+
+/**
+ * WireProtocol - Multiplexed protocol layer on top of peer connections
+ *
+ * Every connection carries one Protomux instance shared by three kinds of
+ * channels:
+ *  - replication: Hypercore's own `hypercore/alpha` protocol, opened by
+ *    `core.replicate(conn)`
+ *  - control: one `p2pnexus/control` channel per connection
+ *  - ephemeral: one `p2pnexus/ephemeral` channel per chat, identified by the
+ *    chat's discovery key (typing, presence, receipts)
+ *
+ * Incoming messages are dispatched to handlers registered with `handle()`.
+ */
+class WireProtocol {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.resolveChat] - Maps a discovery key and the
+   *   peer's key to a local chatId (or null), used to accept ephemeral
+   *   channels opened by peers
+   * @param {Function} [options.onChatClosed] - Called with (conn, chatId)
+   *   when a peer closes the ephemeral channel of a chat, e.g. by leaving it
+   * @param {Function} [options.allowPeer] - Whether messages from a peer (its
+   *   key) are dispatched, e.g. false once it is blocked
+   */
+  constructor(options = {}) {
+    this.handlers = new Map(); // Map<'channel.type', Set<Function>>
+    this.sessions = new Map(); // Map<conn, {peerKey, mux, control, chats}>
+    this.resolveChat = options.resolveChat || (() => null);
+    this.onChatClosed = options.onChatClosed || (() => {});
+    this.allowPeer = options.allowPeer || (() => true);
+  }
+
+  /**
+   * Register a handler for a message type
+   * @param {string} channel - 'control' or 'ephemeral'
+   * @param {string} type - Message type (e.g. 'typing')
+   * @param {Function} handler - Called with the decoded event
+   * @returns {Function} - Unsubscribe function
+   */
+  handle(channel, type, handler) {
+    const name = `${channel}.${type}`;
+
+    if (!schemas[channel] || !schemas[channel].messages[type]) {
+      throw new Error(`Unknown wire message: ${name}`);
+    }
+
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, new Set());
+    }
+    this.handlers.get(name).add(handler);
+
+    return () => this.handlers.get(name)?.delete(handler);
+  }
+
+  /**
+   * Attach the protocol to a new connection and open its control channel
+   * @param {Stream} conn - Connection stream
+   * @param {string} peerKey - Hex-encoded remote public key
+   */
+  attach(conn, peerKey) {
+    if (this.sessions.has(conn)) {
+      return this.sessions.get(conn);
+    }
+
+    // Share the mux with Hypercore replication on the same connection
+    const mux = Hypercore.createProtocolStream(conn).noiseStream.userData;
+
+    const session = {peerKey, mux, control: null, chats: new Map()};
+    this.sessions.set(conn, session);
+
+    conn.once('close', () => this.sessions.delete(conn));
+
+    // Protomux rejects channels the remote opens before we do, unless a pair
+    // handler creates our side in time
+    mux.pair({protocol: schemas.ephemeral.protocol}, (discoveryKey) => {
+      const chatId = discoveryKey
+        ? this.resolveChat(discoveryKey, peerKey)
+        : null;
+      if (chatId) this.openChat(conn, chatId, discoveryKey);
+    });
+
+    session.control = this._openChannel(
+      session,
+      schemas.control,
+      null,
+      {peer: peerKey},
+      () => {
+        session.control = null;
+      },
+    );
+
+    if (session.control) {
+      this._send(session.control, schemas.control, 'hello', {
+        client: CLIENT_NAME,
+        capabilities: Object.keys(schemas.ephemeral.messages),
+      });
+    }
+
+    return session;
+  }
+
+  /**
+   * Open the ephemeral channel of a chat on a connection
+   * @param {Stream} conn - Connection stream
+   * @param {string} chatId - Local chat identifier
+   * @param {Buffer} discoveryKey - Chat discovery key (used as channel id)
+   */
+  openChat(conn, chatId, discoveryKey) {
+    const session = this.sessions.get(conn);
+    if (!session) return null;
+
+    const id = b4a.toString(discoveryKey, 'hex');
+    if (session.chats.has(id)) {
+      return session.chats.get(id);
+    }
+
+    const channel = this._openChannel(
+      session,
+      schemas.ephemeral,
+      discoveryKey,
+      {peer: session.peerKey, chatId},
+      () => {
+        // Channels we close ourselves are unregistered first
+        if (session.chats.get(id) !== channel) return;
+
+        session.chats.delete(id);
+        this.onChatClosed(conn, chatId);
+      },
+    );
+
+    if (channel) {
+      session.chats.set(id, channel);
+    }
+
+    return channel;
+  }
+
+  /**
+   * Close the ephemeral channels of a chat
+   * @param {Buffer} discoveryKey - Chat discovery key
+   * @param {Stream} [conn] - Only on this connection; all by default
+   */
+  closeChat(discoveryKey, conn = null) {
+    const id = b4a.toString(discoveryKey, 'hex');
+    const sessions = conn
+      ? [this.sessions.get(conn)].filter(Boolean)
+      : this.sessions.values();
+
+    for (const session of sessions) {
+      const channel = session.chats.get(id);
+      if (channel) {
+        session.chats.delete(id);
+        channel.close();
+      }
+    }
+  }
+
+  /**
+   * Send a control message to a peer
+   * @param {Stream} conn - Connection stream
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @returns {boolean} - True if the message was sent
+   */
+  sendControl(conn, type, payload) {
+    const session = this.sessions.get(conn);
+    if (!session || !session.control) return false;
+
+    return this._send(session.control, schemas.control, type, payload);
+  }
+
+  /**
+   * Send an ephemeral chat event to a peer
+   * @param {Stream} conn - Connection stream
+   * @param {Buffer} discoveryKey - Chat discovery key
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @returns {boolean} - True if the message was sent
+   */
+  sendEphemeral(conn, discoveryKey, type, payload) {
+    const session = this.sessions.get(conn);
+    if (!session) return false;
+
+    const channel = session.chats.get(b4a.toString(discoveryKey, 'hex'));
+    if (!channel) return false;
+
+    return this._send(channel, schemas.ephemeral, type, payload);
+  }
+
+  /**
+   * Create and open a channel for a protocol definition
+   * @param {Object} session - Connection session
+   * @param {Object} definition - Channel schema (protocol, version, messages)
+   * @param {Buffer|null} id - Channel id
+   * @param {Object} context - Extra fields added to every dispatched event
+   * @param {Function} onclose - Called when either side closes the channel
+   */
+  _openChannel(session, definition, id, context, onclose) {
+    const channelName = definition.protocol.split('/').pop();
+    const types = Object.keys(definition.messages);
+
+    const channel = session.mux.createChannel({
+      protocol: definition.protocol,
+      id,
+      handshake: schemas.handshake,
+      messages: types.map((type) => ({
+        encoding: definition.messages[type],
+        onmessage: (message) => {
+          if (!channel.remoteVersionOk || !this.allowPeer(session.peerKey)) {
+            return;
+          }
+          this._dispatch(`${channelName}.${type}`, {...context, ...message});
+        },
+      })),
+      onopen: (remoteHandshake) => {
+        // A version mismatch means incompatible schemas. New message types
+        // are appended at the end and do not need a version bump.
+        channel.remoteVersionOk = remoteHandshake.version === definition.version;
+        if (!channel.remoteVersionOk) {
+          console.warn(
+            `[Wire] Peer ${session.peerKey} speaks ${definition.protocol} ` +
+              `v${remoteHandshake.version}, expected v${definition.version}`,
+          );
+          channel.close();
+        }
+      },
+      onclose,
+    });
+
+    // Null means the channel is a duplicate or was already rejected
+    if (!channel) return null;
+
+    channel.remoteVersionOk = false;
+    channel.open({version: definition.version});
+    return channel;
+  }
+
+  _send(channel, definition, type, payload) {
+    const index = Object.keys(definition.messages).indexOf(type);
+    if (index === -1) {
+      throw new Error(`Unknown wire message: ${definition.protocol}.${type}`);
+    }
+
+    if (channel.closed) return false;
+
+    channel.messages[index].send(payload);
+    return true;
+  }
+
+  _dispatch(name, event) {
+    const handlers = this.handlers.get(name);
+    if (!handlers) return;
+
+    for (const handler of handlers) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`[Wire] Handler for ${name} failed:`, error);
+      }
+    }
+  }
+}
+
+module.exports = WireProtocol;
@@ -0,0 +1,70 @@
+/**
+ * Private DHT bootstrap node
+ * Starts a bootstrap node and a few DHT nodes around it, so peers that
+ * bootstrap from it discover each other without the public DHT:
+ *
+ *   node bootstrap-node.js --host 192.168.1.10 [--port 49737] [--nodes 2]
+ *
+ * then initialize every peer with the printed bootstrap address, e.g.
+ * `p2p.initialize({network: {bootstrap: ['192.168.1.10:49737']}})`. The
+ * host must be an IPv4 address peers can reach; 127.0.0.1 keeps the network
+ * on this machine.
+ */
+
+const DHT = require('hyperdht');
+
+const DEFAULT_PORT = 49737;
+// A bootstrap node alone cannot store announcements for a whole network
+const DEFAULT_NODES = 2;
+
+function arg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+async function start() {
+  const host = arg('host', '127.0.0.1');
+  const port = Number(arg('port', DEFAULT_PORT));
+  const count = Number(arg('nodes', DEFAULT_NODES));
+
+  if (!Number.isSafeInteger(port) || port <= 0 || port > 65535) {
+    throw new Error(`Invalid port: ${arg('port')}`);
+  }
+  if (!Number.isSafeInteger(count) || count < 0) {
+    throw new Error(`Invalid number of nodes: ${arg('nodes')}`);
+  }
+
+  const bootstrapper = DHT.bootstrapper(port, host);
+  await bootstrapper.ready();
+  const nodes = [bootstrapper];
+
+  const bootstrap = [{host, port}];
+  for (let i = 0; i < count; i++) {
+    const node = new DHT({
+      bootstrap,
+      host: host === '127.0.0.1' ? host : '0.0.0.0',
+      ephemeral: false,
+      firewalled: false,
+    });
+    await node.fullyBootstrapped();
+    nodes.push(node);
+  }
+
+  console.log(`[Bootstrap] Bootstrap node listening on ${host}:${port}`);
+  console.log(`[Bootstrap] ${count} DHT node(s) joined`);
+  console.log(`[Bootstrap] Peers bootstrap from: ${host}:${port}`);
+
+  const stop = async () => {
+    console.log('[Bootstrap] Shutting down...');
+    for (const node of nodes.reverse()) await node.destroy();
+    process.exit(0);
+  };
+
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+start().catch((error) => {
+  console.error('[Bootstrap] Failed to start:', error);
+  process.exit(1);
+});
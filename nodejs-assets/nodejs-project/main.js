@@ -61,6 +61,78 @@ function sendRPCEvent(eventType, data) {
   console.log('[RPC] Event sent:', eventType);
 }
 
+// Forward direct chats started by peers, and their requests, to React Native
+p2pManager.on('direct-chat', (chatInfo) => {
+  sendRPCEvent('chat.direct', {chatInfo});
+});
+
+p2pManager.on('direct-request', (request) => {
+  sendRPCEvent('chat.directRequest', request);
+});
+
+// Forward presence and typing changes of peers to React Native
+p2pManager.on('presence-changed', (presence) => {
+  sendRPCEvent('presence.changed', presence);
+});
+
+p2pManager.on('typing-changed', (typing) => {
+  sendRPCEvent('typing.changed', typing);
+});
+
+// Forward delivery and read receipts to React Native
+p2pManager.on('receipt-updated', (receipt) => {
+  sendRPCEvent('receipt.updated', receipt);
+});
+
+// Forward membership changes to React Native
+p2pManager.on('members-changed', (change) => {
+  sendRPCEvent('members.changed', change);
+});
+
+// Forward chats that can be sent to, e.g. for the outbox, to React Native
+p2pManager.on('chat-loaded', (event) => {
+  sendRPCEvent('chat.loaded', event);
+});
+
+// Forward changes of replicated chat metadata to React Native
+p2pManager.on('chat-updated', (update) => {
+  sendRPCEvent('chat.updated', update);
+});
+
+// Forward unread and mention counts to React Native
+p2pManager.on('unread-changed', (counts) => {
+  sendRPCEvent('unread.changed', counts);
+});
+
+// Forward peers the firewall refused to React Native
+p2pManager.on('peer-rejected', (rejection) => {
+  sendRPCEvent('peer.rejected', rejection);
+});
+
+// Forward peers joining and leaving chats, and what replicates with them,
+// to React Native
+p2pManager.on('peer-connected', (event) => {
+  sendRPCEvent('peer.connected', event);
+});
+
+p2pManager.on('peer-disconnected', (event) => {
+  sendRPCEvent('peer.disconnected', event);
+});
+
+p2pManager.on('replication-progress', (progress) => {
+  sendRPCEvent('replication.progress', progress);
+});
+
+// Forward how far chats are downloaded to React Native
+p2pManager.on('sync-progress', (status) => {
+  sendRPCEvent('sync.progress', status);
+});
+
+// Forward attachment download progress to React Native
+p2pManager.on('attachment-progress', (progress) => {
+  sendRPCEvent('attachment.progress', progress);
+});
+
 // Listen for messages from React Native
 rn_bridge.channel.on('message', async (msg) => {
   console.log('[RPC] Received message:', msg);
@@ -97,12 +169,16 @@ async function processMessage(msg) {
 
     case 'p2p.initialize':
       if (!p2pInitialized) {
-        const result = await p2pManager.initialize();
+        const result = await p2pManager.initialize(params.network || {});
         p2pInitialized = true;
         return {initialized: true, ...result};
       }
       return {initialized: true, message: 'Already initialized'};
 
+    case 'p2p.getIdentity':
+      const identity = p2pManager.getIdentity();
+      return {identity};
+
     case 'p2p.createChat':
       const chatInfo = await p2pManager.createChat(
         params.chatId,
@@ -113,16 +189,43 @@ async function processMessage(msg) {
     case 'p2p.joinChat':
       const joinedChat = await p2pManager.joinChat(
         params.chatId,
-        params.discoveryKey,
+        params.invite,
         params.metadata || {},
+        {recent: params.recent ?? null},
       );
       return {chatInfo: joinedChat};
 
+    case 'p2p.startDirectChat':
+      const directChat = await p2pManager.startDirectChat(
+        params.peer,
+        params.metadata || {},
+      );
+      return {chatInfo: directChat};
+
+    case 'p2p.getDirectRequests':
+      return {requests: p2pManager.getDirectRequests()};
+
+    case 'p2p.acceptDirectChat':
+      const acceptedChat = await p2pManager.acceptDirectChat(params.peer);
+      return {chatInfo: acceptedChat};
+
+    case 'p2p.declineDirectChat':
+      const declined = await p2pManager.declineDirectChat(params.peer);
+      return {declined};
+
+    case 'p2p.listChats':
+      const chats = await p2pManager.listChats();
+      return {chats};
+
     case 'p2p.sendMessage':
       const sentMessage = await p2pManager.sendMessage(params.chatId, {
         text: params.text,
         author: params.author,
         authorId: params.authorId,
+        replyTo: params.replyTo,
+        attachments: params.attachments,
+        clientId: params.clientId,
+        mentions: params.mentions,
       });
 
       // Emit event for the sent message
@@ -133,12 +236,114 @@ async function processMessage(msg) {
 
       return {message: sentMessage};
 
+    case 'p2p.attachFile':
+      // Store a local file; send the returned reference with sendMessage
+      const attachment = await p2pManager.attachFile(
+        params.chatId,
+        params.path,
+        {name: params.name, mime: params.mime},
+      );
+      return {chatId: params.chatId, attachment};
+
+    case 'p2p.fetchAttachment':
+      // Download to the local cache; progress arrives as attachment.progress
+      const fetched = await p2pManager.fetchAttachment(
+        params.chatId,
+        params.messageId,
+        params.index || 0,
+      );
+      return {chatId: params.chatId, messageId: params.messageId, ...fetched};
+
+    case 'p2p.sendVoiceNote':
+      // {chatId, path, duration, peaks, mime, author, authorId, replyTo}
+      const {chatId: voiceChatId, ...note} = params;
+      const voiceMessage = await p2pManager.sendVoiceNote(voiceChatId, note);
+
+      sendRPCEvent('message.sent', {
+        chatId: voiceChatId,
+        message: voiceMessage,
+      });
+
+      return {message: voiceMessage};
+
+    case 'p2p.getAttachmentUrl':
+      // Loopback URL for players; streams while the file replicates
+      const url = await p2pManager.getAttachmentUrl(
+        params.chatId,
+        params.messageId,
+        params.index || 0,
+      );
+      return {chatId: params.chatId, messageId: params.messageId, url};
+
+    case 'p2p.getThread':
+      const thread = await p2pManager.getThread(params.chatId, params.rootId);
+      return {chatId: params.chatId, rootId: params.rootId, ...thread};
+
+    case 'p2p.editMessage':
+      const editedMessage = await p2pManager.editMessage(
+        params.chatId,
+        params.messageId,
+        params.text,
+      );
+      return {message: editedMessage};
+
+    case 'p2p.deleteMessage':
+      const deletedMessage = await p2pManager.deleteMessage(
+        params.chatId,
+        params.messageId,
+      );
+      return {message: deletedMessage};
+
+    case 'p2p.react':
+      const reactedMessage = await p2pManager.react(
+        params.chatId,
+        params.messageId,
+        params.emoji,
+        params.remove,
+      );
+      return {message: reactedMessage};
+
+    case 'p2p.markRead':
+      // Everything up to the message (default the latest) counts as read;
+      // peers get read receipts
+      const read = await p2pManager.markRead(params.chatId, params.messageId);
+      return {chatId: params.chatId, ...read};
+
+    case 'p2p.getUnreadCounts':
+      const unreadCounts = p2pManager.getUnreadCounts(params.chatIds);
+      return {counts: unreadCounts};
+
+    case 'p2p.setTyping':
+      const typingSentTo = await p2pManager.setTyping(
+        params.chatId,
+        params.typing,
+      );
+      return {chatId: params.chatId, peers: typingSentTo};
+
+    case 'p2p.setPresence':
+      const presenceSentTo = await p2pManager.setPresence(params.status);
+      return {status: params.status, peers: presenceSentTo};
+
+    case 'p2p.getPresence':
+      const presence = p2pManager.getPresence(params.chatId);
+      return {chatId: params.chatId, presence};
+
     case 'p2p.getMessages':
-      const messages = await p2pManager.getMessages(
+      // Options: {before, after, limit, reverse}; cursors are message ids
+      const page = await p2pManager.getMessagePage(
         params.chatId,
         params.options || {},
       );
-      return {chatId: params.chatId, messages};
+      return {
+        chatId: params.chatId,
+        messages: page.messages,
+        hasMore: page.hasMore,
+      };
+
+    case 'p2p.search':
+      // {query, chatIds, author, from, to, limit}
+      const hits = await p2pManager.search(params);
+      return {query: params.query, hits};
 
     case 'p2p.watchMessages':
       // Subscribe to new messages in a chat
@@ -148,13 +353,23 @@ async function processMessage(msg) {
       if (!messageWatchers.has(chatId)) {
         messageWatchers.set(chatId, new Set());
 
-        // Set up the watcher for this chat
-        await p2pManager.watchMessages(chatId, (message) => {
-          sendRPCEvent('message.received', {
-            chatId,
-            message,
-            watcherId,
-          });
+        // Set up the watcher for this chat; edits, deletions and reactions
+        // arrive as updates of the message they target, and a rebuilt view
+        // (after a ban, kick or role change) as a reset
+        await p2pManager.watchMessages(chatId, (message, change) => {
+          if (change === 'reset') {
+            sendRPCEvent('messages.reset', {chatId, watcherId});
+            return;
+          }
+
+          sendRPCEvent(
+            change === 'updated' ? 'message.updated' : 'message.received',
+            {
+              chatId,
+              message,
+              watcherId,
+            },
+          );
         });
       }
 
@@ -184,10 +399,87 @@ async function processMessage(msg) {
       const info = await p2pManager.getChatInfo(params.chatId);
       return {info};
 
+    case 'p2p.updateChatMetadata':
+      // Replicated to every member; null clears a field
+      const updatedInfo = await p2pManager.updateChatMetadata(
+        params.chatId,
+        params.metadata,
+      );
+      return {info: updatedInfo};
+
+    case 'p2p.getSyncStatus':
+      return {status: p2pManager.getSyncStatus(params.chatId)};
+
+    case 'p2p.backfill':
+      const backfilled = await p2pManager.backfill(
+        params.chatId,
+        params.count ?? null,
+      );
+      return {status: backfilled};
+
     case 'p2p.getPeers':
       const peers = p2pManager.getConnectedPeers(params.chatId);
       return {chatId: params.chatId, peers};
 
+    case 'p2p.getMembers':
+      const members = await p2pManager.getMembers(params.chatId);
+      return {chatId: params.chatId, members};
+
+    case 'p2p.removeMember':
+      const updatedChat = await p2pManager.removeMember(
+        params.chatId,
+        params.identity,
+      );
+      return {chatInfo: updatedChat};
+
+    case 'p2p.setRole':
+      const roleChat = await p2pManager.setRole(
+        params.chatId,
+        params.identity,
+        params.role,
+      );
+      return {chatInfo: roleChat};
+
+    case 'p2p.ban':
+      const bannedChat = await p2pManager.ban(params.chatId, params.identity);
+      return {chatInfo: bannedChat};
+
+    case 'p2p.setMembersOnly':
+      const restrictedChat = await p2pManager.setMembersOnly(
+        params.chatId,
+        params.membersOnly,
+      );
+      return {chatInfo: restrictedChat};
+
+    case 'p2p.blockPeer':
+      const blocked = await p2pManager.blockPeer(params.peer);
+      return {blocked};
+
+    case 'p2p.unblockPeer':
+      const unblocked = await p2pManager.unblockPeer(params.peer);
+      return {unblocked};
+
+    case 'p2p.getBlockedPeers':
+      return {blocked: p2pManager.getBlockedPeers()};
+
+    case 'contacts.add':
+      const contact = await p2pManager.contacts.add(params);
+      return {contact};
+
+    case 'contacts.update':
+      const updatedContact = await p2pManager.contacts.update(
+        params.publicKey,
+        params,
+      );
+      return {contact: updatedContact};
+
+    case 'contacts.remove':
+      const removed = await p2pManager.contacts.remove(params.publicKey);
+      return {publicKey: params.publicKey, removed};
+
+    case 'contacts.list':
+      return {contacts: p2pManager.contacts.list()};
+
     case 'p2p.getStats':
       const stats = p2pManager.getStats();
       return {stats};
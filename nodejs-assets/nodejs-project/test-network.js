@@ -0,0 +1,543 @@
+/**
+ * Multi-node test for the P2P backend
+ * Starts a hyperdht testnet on localhost and several P2PManagers with
+ * temporary storage in this process, then checks that chats are created,
+ * joined, replicated, paged, searched, broadcast to, moderated and left end
+ * to end, that receipts and unread counts follow what peers got and read,
+ * and that blocked peers are refused. Needs no network access, so it runs offline and
+ * in CI.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createTestnet = require('hyperdht/testnet');
+const P2PManager = require('./backend/p2p-manager');
+
+const NODES = 3;
+// Time allowed for each step that waits on the network
+const STEP_TIMEOUT = 20000;
+// Time allowed for the whole run
+const RUN_TIMEOUT = 180000;
+
+/**
+ * Reject if a promise does not settle in time
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${ms}ms: ${label}`)),
+      ms,
+    );
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, label, ms = STEP_TIMEOUT) {
+  const poll = async () => {
+    while (!(await condition())) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  };
+
+  await withTimeout(poll(), ms, label);
+}
+
+/**
+ * Resolve with the first message matching a predicate seen by a watcher
+ * A rebuilt view resets instead of emitting the messages it gained, so the
+ * chat is read again then.
+ */
+async function waitForMessage(node, chatId, predicate, label) {
+  const find = async () => (await node.getMessages(chatId)).find(predicate);
+
+  let resolve;
+  const received = new Promise((done) => {
+    resolve = done;
+  });
+
+  const stream = await node.watchMessages(chatId, (message, change) => {
+    if (change !== 'reset') {
+      if (predicate(message)) resolve(message);
+      return;
+    }
+
+    find()
+      .then((found) => found && resolve(found))
+      .catch(() => {});
+  });
+
+  try {
+    // It may have arrived before we started watching
+    const existing = await find();
+    return existing || (await withTimeout(received, STEP_TIMEOUT, label));
+  } finally {
+    stream.destroy();
+  }
+}
+
+async function runTests() {
+  console.log('=== P2P Network Test Suite ===\n');
+
+  const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'p2p-nexus-'));
+  const nodes = [];
+  let testnet = null;
+  let network = null;
+
+  // Keep the backend's logging out of the test output; peers going away
+  // log connection errors that are expected here
+  const {log, error} = console;
+  const quiet = () => {
+    console.log = () => {};
+    console.error = () => {};
+  };
+  const loud = () => {
+    console.log = log;
+    console.error = error;
+  };
+
+  const step = async (title, fn) => {
+    log(`Test: ${title}`);
+    quiet();
+    try {
+      await fn();
+    } finally {
+      loud();
+    }
+    log(`✓ ${title}\n`);
+  };
+
+  try {
+    await step(`Start a local DHT and ${NODES} nodes`, async () => {
+      testnet = await createTestnet(3);
+      network = {bootstrap: testnet.bootstrap, host: '127.0.0.1'};
+
+      for (let i = 0; i < NODES; i++) {
+        const node = new P2PManager(path.join(storageRoot, `node-${i}`));
+        await withTimeout(node.initialize(network), STEP_TIMEOUT, 'initialize');
+        nodes.push(node);
+      }
+
+      const address = nodes[0].swarmManager.address();
+      assert.ok(address && address.port > 0, 'swarm has a local address');
+    });
+
+    const [alice, bob, carol] = nodes;
+    const aliceKey = alice.getIdentity().publicKey;
+    const bobKey = bob.getIdentity().publicKey;
+    const carolKey = carol.getIdentity().publicKey;
+    let invite;
+
+    await step('Create a chat', async () => {
+      const chat = await alice.createChat('room', {name: 'Test Room'});
+      invite = chat.invite;
+
+      assert.match(invite, /^p2pnexus:\/\/join\//);
+      assert.strictEqual(chat.metadata.name, 'Test Room');
+    });
+
+    await step('Join the chat from two other nodes', async () => {
+      await bob.joinChat('room', invite);
+      await carol.joinChat('room', invite);
+
+      await waitFor(
+        () => nodes.every((node) => node.getConnectedPeers('room').length > 0),
+        'peers connected',
+      );
+
+      const [peer] = alice.getConnectedPeers('room');
+      assert.strictEqual(peer.connectionType, 'loopback');
+      assert.ok(peer.bytesReceived > 0, 'connection counts bytes');
+    });
+
+    await step('Replicate messages written before joining', async () => {
+      const sent = await alice.sendMessage('room', {
+        text: 'first',
+        author: 'alice',
+      });
+
+      for (const node of [bob, carol]) {
+        const message = await waitForMessage(
+          node,
+          'room',
+          (candidate) => candidate.id === sent.id,
+          'first message replicated',
+        );
+        assert.strictEqual(message.text, 'first');
+        assert.strictEqual(message.verified, true);
+        assert.strictEqual(message.authorId, alice.getIdentity().publicKey);
+      }
+    });
+
+    await step('Merge messages from every writer', async () => {
+      await bob.sendMessage('room', {text: 'from bob', author: 'bob'});
+      await carol.sendMessage('room', {text: 'from carol', author: 'carol'});
+
+      for (const node of nodes) {
+        for (const text of ['from bob', 'from carol']) {
+          await waitForMessage(
+            node,
+            'room',
+            (message) => message.text === text,
+            `"${text}" replicated`,
+          );
+        }
+      }
+
+      // Every node settles on the same order
+      const orders = await Promise.all(
+        nodes.map(async (node) =>
+          (await node.getMessages('room')).map((message) => message.id),
+        ),
+      );
+      assert.deepStrictEqual(orders[1], orders[0]);
+      assert.deepStrictEqual(orders[2], orders[0]);
+    });
+
+    await step('Broadcast ephemeral events to connected peers', async () => {
+      const typing = new Promise((resolve) => {
+        alice.on('typing-changed', (event) => {
+          if (event.chatId === 'room' && event.typing) resolve(event);
+        });
+      });
+
+      await bob.setTyping('room', true);
+      const event = await withTimeout(typing, STEP_TIMEOUT, 'typing event');
+      assert.strictEqual(event.peer, bob.getIdentity().publicKey);
+    });
+
+    await step('Page messages in timeline order', async () => {
+      const all = (await bob.getMessages('room')).map((message) => message.id);
+      assert.strictEqual(all.length, 3);
+
+      const first = await bob.getMessagePage('room', {limit: 2});
+      assert.strictEqual(first.hasMore, true);
+
+      const rest = await bob.getMessagePage('room', {
+        limit: 2,
+        after: first.messages[1].id,
+      });
+      assert.strictEqual(rest.hasMore, false);
+      assert.deepStrictEqual(
+        [...first.messages, ...rest.messages].map((message) => message.id),
+        all,
+      );
+
+      // Newest first, scrolling back from the latest message
+      const latest = await bob.getMessagePage('room', {limit: 1, reverse: true});
+      const earlier = await bob.getMessagePage('room', {
+        limit: 2,
+        reverse: true,
+        before: latest.messages[0].id,
+      });
+      assert.deepStrictEqual(
+        [...latest.messages, ...earlier.messages].map((message) => message.id),
+        [...all].reverse(),
+      );
+    });
+
+    await step('Search replicated messages', async () => {
+      // Words also match longer words they are the start of, which are
+      // highlighted whole
+      let hits = [];
+      await waitFor(async () => {
+        hits = await bob.search({query: 'caro'});
+        return hits.length > 0;
+      }, 'message of carol indexed');
+
+      assert.strictEqual(hits.length, 1);
+      assert.strictEqual(hits[0].chatId, 'room');
+      assert.strictEqual(hits[0].authorId, carolKey);
+      const [highlight] = hits[0].highlights;
+      assert.strictEqual(
+        hits[0].snippet.slice(highlight.start, highlight.end).toLowerCase(),
+        'carol',
+      );
+
+      const fromBob = await bob.search({
+        query: 'from',
+        author: bobKey,
+      });
+      assert.deepStrictEqual(fromBob.map((hit) => hit.author), ['bob']);
+
+      assert.strictEqual((await bob.search({query: 'nowhere'})).length, 0);
+    });
+
+    await step('Count unread messages and send receipts', async () => {
+      const counts = () => bob.getUnreadCounts(['room'])[0];
+
+      // Messages of the others, nothing read yet
+      assert.strictEqual(counts().unread, 2);
+      assert.strictEqual(counts().mentions, 0);
+
+      const receipts = [];
+      alice.on('receipt-updated', (receipt) => {
+        if (receipt.chatId === 'room' && receipt.peer === bobKey) {
+          receipts.push(receipt);
+        }
+      });
+      const covered = (kind, message) =>
+        receipts.some(
+          (receipt) =>
+            receipt.kind === kind &&
+            receipt.writer === message.writer &&
+            receipt.seq >= message.seq,
+        );
+
+      const sent = await alice.sendMessage('room', {
+        text: 'ping bob',
+        author: 'alice',
+        mentions: [bobKey],
+      });
+
+      await waitFor(() => covered('delivered', sent), 'delivered receipt');
+      await waitFor(
+        () => counts().unread === 3 && counts().mentions === 1,
+        'mention counted',
+      );
+      assert.strictEqual(covered('read', sent), false);
+
+      const read = await bob.markRead('room');
+      assert.strictEqual(read.messageId, sent.id);
+      assert.strictEqual(read.unread, 0);
+      assert.strictEqual(read.mentions, 0);
+      assert.ok(counts().lastReadAt > 0, 'read cursor saved');
+
+      await waitFor(() => covered('read', sent), 'read receipt');
+    });
+
+    // Moderation runs in a chat of its own, so the room stays untouched
+    const writerOf = (node, chatId) =>
+      node.corestoreManager.bufferToHex(
+        node.corestoreManager.cores.get(chatId).local.key,
+      );
+    let carolMessage;
+
+    await step('Open a chat to moderate', async () => {
+      const chat = await alice.createChat('mod', {name: 'Moderated'});
+      await bob.joinChat('mod', chat.invite);
+      await carol.joinChat('mod', chat.invite);
+
+      carolMessage = await carol.sendMessage('mod', {
+        text: 'before kick',
+        author: 'carol',
+      });
+      for (const node of [alice, bob]) {
+        await waitForMessage(
+          node,
+          'mod',
+          (message) => message.id === carolMessage.id,
+          'message of carol replicated',
+        );
+      }
+    });
+
+    await step('Ignore membership operations of non-admins', async () => {
+      // Appended directly, as a modified client would
+      const op = await bob.appendOperation('mod', {
+        type: 'membership',
+        action: 'kick',
+        identity: carolKey,
+        writers: {},
+      });
+
+      const membership = alice.corestoreManager.memberships.get('mod');
+      await waitFor(
+        () => membership.ops.some((candidate) => candidate.id === op.id),
+        'operation of bob merged',
+      );
+      assert.strictEqual(membership.roleOf(carolKey).status, 'active');
+    });
+
+    await step('Hide messages posted after a kick', async () => {
+      await alice.removeMember('mod', carolKey);
+
+      const membership = bob.corestoreManager.memberships.get('mod');
+      await waitFor(
+        () => membership.roleOf(carolKey).status === 'kicked',
+        'kick replicated',
+      );
+
+      // Carol's client would refuse, so append past the check
+      const late = await carol.corestoreManager.appendMessage(
+        'mod',
+        {type: 'message', text: 'after kick', author: 'carol'},
+        carol.identityManager.keyPair,
+      );
+      await carol.swarmManager.broadcastMessage('mod', late);
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+
+      const messages = await bob.getMessages('mod');
+      assert.ok(messages.some((message) => message.id === carolMessage.id));
+      assert.ok(!messages.some((message) => message.id === late.id));
+    });
+
+    await step('Hide everything a banned member wrote', async () => {
+      await alice.ban('mod', carolKey);
+
+      for (const node of [alice, bob]) {
+        await waitFor(
+          async () =>
+            !(await node.getMessages('mod')).some(
+              (message) => message.authorId === carolKey,
+            ),
+          'messages of carol hidden',
+        );
+      }
+    });
+
+    await step('Ignore key rotations of non-admins', async () => {
+      const core = alice.corestoreManager.cores.get('mod');
+      const epoch = core.keyring.epoch;
+
+      await bob.corestoreManager.rotateKey(
+        'mod',
+        [aliceKey, bobKey, carolKey].map((key) =>
+          bob.corestoreManager.hexToBuffer(key),
+        ),
+        bob.identityManager.keyPair,
+      );
+
+      const writer = writerOf(bob, 'mod');
+      await waitFor(
+        () => core.pendingRotations.some((op) => op.writer === writer),
+        'rotation of bob received',
+      );
+      assert.strictEqual(core.keyring.epoch, epoch);
+    });
+
+    await step('Leave the chat', async () => {
+      const left = new Promise((resolve) => {
+        alice.on('peer-disconnected', (event) => {
+          if (event.peer === carol.getIdentity().publicKey) resolve(event);
+        });
+      });
+
+      await carol.leaveChat('room');
+
+      assert.strictEqual(
+        (await carol.listChats()).some((chat) => chat.chatId === 'room'),
+        false,
+      );
+
+      // Leaving does not close the connection; the others drop the peer
+      // from the chat when it closes the chat's channels
+      const event = await withTimeout(left, STEP_TIMEOUT, 'peer left');
+      assert.strictEqual(event.chatId, 'room');
+      assert.strictEqual(
+        alice
+          .getConnectedPeers('room')
+          .some((peer) => peer.publicKey === event.peer),
+        false,
+      );
+
+      // The others keep chatting
+      const sent = await alice.sendMessage('room', {
+        text: 'after leave',
+        author: 'alice',
+      });
+      await waitForMessage(
+        bob,
+        'room',
+        (message) => message.id === sent.id,
+        'message after leave replicated',
+      );
+    });
+
+    await step('Restore chats after a restart', async () => {
+      await bob.shutdown();
+
+      const restarted = new P2PManager(path.join(storageRoot, 'node-1'));
+      nodes[1] = restarted;
+      await withTimeout(restarted.initialize(network), STEP_TIMEOUT, 'restart');
+
+      const messages = await restarted.getMessages('room');
+      assert.ok(messages.some((message) => message.text === 'after leave'));
+
+      // The read cursor is restored; only what came after it is unread
+      assert.strictEqual(restarted.getUnreadCounts(['room'])[0].unread, 1);
+
+      // Resumed from the index: only control entries are kept in memory, and
+      // pages are read from the index
+      const core = restarted.corestoreManager.cores.get('room');
+      assert.ok(core.timeline.every((entry) => entry.type !== 'message'));
+
+      const page = await restarted.getMessagePage('room', {
+        limit: 1,
+        reverse: true,
+      });
+      assert.strictEqual(page.messages[0].text, 'after leave');
+      assert.strictEqual(page.hasMore, true);
+
+      const older = await restarted.getMessagePage('room', {
+        limit: 1,
+        reverse: true,
+        before: page.messages[0].id,
+      });
+      assert.strictEqual(
+        older.messages[0].id,
+        messages[messages.length - 2].id,
+      );
+    });
+
+    await step('Refuse a blocked peer', async () => {
+      // Bob, restarted, still shares the room with alice
+      const restarted = nodes[1];
+      await waitFor(
+        () =>
+          alice
+            .getConnectedPeers('room')
+            .some((peer) => peer.publicKey === bobKey),
+        'bob connected',
+      );
+
+      await alice.blockPeer(bobKey);
+      const connections = () =>
+        [...alice.swarmManager.swarm.connections].filter(
+          (connection) => connection.remotePublicKey.toString('hex') === bobKey,
+        );
+      await waitFor(() => connections().length === 0, 'bob disconnected');
+
+      let requested = false;
+      alice.on('direct-request', (event) => {
+        if (event.peer === bobKey) requested = true;
+      });
+      await restarted.startDirectChat(aliceKey);
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+
+      assert.strictEqual(connections().length, 0);
+      assert.strictEqual(requested, false);
+      assert.strictEqual(alice.findDirectChat(bobKey), null);
+    });
+
+    log('=== All Network Tests Passed! ===');
+  } finally {
+    quiet();
+    for (const node of nodes) {
+      await node.shutdown().catch(() => {});
+    }
+    if (testnet) await testnet.destroy();
+    loud();
+
+    fs.rmSync(storageRoot, {recursive: true, force: true});
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  withTimeout(runTests(), RUN_TIMEOUT, 'network test run').then(
+    () => process.exit(0),
+    (error) => {
+      console.error('\n✗ Test failed:', error);
+      process.exit(1);
+    },
+  );
+}
+
+module.exports = {runTests};
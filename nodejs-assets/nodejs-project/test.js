@@ -107,11 +107,9 @@ async function runTests() {
 
     console.log('=== All Tests Passed! ===');
     console.log(
-      '\nNOTE: To test P2P connectivity, run this script on two different',
-    );
-    console.log(
-      'machines or processes and use the discovery key to join the same chat.',
+      '\nNOTE: To test P2P connectivity between several nodes on a local',
     );
+    console.log('DHT, run `npm run test:network`.');
     console.log('\nDiscovery Key from this test:', chatInfo.discoveryKey);
   } catch (error) {
     console.error('\n✗ Test failed:', error);